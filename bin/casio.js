@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * casio: evaluate fx-991ES PLUS expressions from the command line
+ */
+
+import { main } from '../src/cli.js';
+
+process.exitCode = await main(process.argv.slice(2));
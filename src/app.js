@@ -10,10 +10,11 @@
 // Global Application State
 // ===========================
 const state = {
-    mode: 'Math',              // 'Math', 'STAT', 'MATRIX', 'BASE', 'COMPLEX', 'EQN'
+    mode: 'Math',              // 'Math', 'STAT', 'MATRIX', 'VECTOR', 'BASE', 'COMPLEX', 'EQN'
     angleUnit: 'DEG',          // 'DEG' | 'RAD' | 'GRAD'
     shift: false,              // shift key active
     alpha: false,              // alpha key active
+    storing: false,            // STO pressed, waiting for the variable key
     hypMode: false,
     inputBuffer: '',           // raw input string
     cursorPosition: 0,
@@ -30,9 +31,24 @@ const state = {
         B: null,
         C: null
     },
+    vectors: {                 // vector memories (VctAns holds the last vector result)
+        VctA: null,
+        VctB: null,
+        VctC: null,
+        VctAns: null
+    },
     lastAns: 0,               // last answer
-    precision: 10,            // display precision
-    error: null               // current error message
+    lastResult: null,         // exact form of the last answer (Fraction or number)
+    resultFormat: 'exact',    // 'exact' | 'decimal' (toggled by S⇔D)
+    displayFormat: { mode: 'NORM', digits: 1 },  // SETUP Fix / Sci / Norm
+    engSymbols: false,        // show and accept engineering symbols (k, M, m, µ...)
+    engShift: null,           // ENG / ←ENG steps applied to the last result
+    dmsDisplay: false,        // show the last result in degrees-minutes-seconds
+    labeledResult: null,      // several labelled results (Pol(, Rec(, SOLVE) ({ labels, values })
+    vectorResult: null,       // last result when it is a vector
+    solutions: null,          // EQN solutions shown one at a time ({ labels, values, index }), INEQ intervals
+    error: null,              // error screen shown (Math ERROR...), null if none
+    errorPosition: null       // source offset ◀/▶ return to from the error screen
 };
 
 // ===========================
@@ -43,13 +59,13 @@ function initCalculator() {
     
     // Load saved settings from localStorage
     loadSettings();
-
+    
     // Load calculation history
     if (typeof window.historyManager !== 'undefined') {
         window.historyManager.load();
         console.log('✅ History manager initialized');
     }
-
+    
     // Initialize mode manager
     if (typeof window.modeManager !== 'undefined') {
         console.log('✅ Mode manager initialized');
@@ -77,19 +93,24 @@ function initCalculator() {
         console.error('❌ initInputController function not found');
     }
     
+    // Initialize the graph panel
+    if (typeof window.graphPanel !== 'undefined') {
+        window.graphPanel.init();
+        console.log('✅ Graph panel initialized');
+    }
+    
     // Update display
     updateDisplay();
     
     console.log('✅ Calculator initialized successfully!');
     console.log('State:', state);
-
+    
     // Enable auto-save
     enableAutoSave();
     
     // Log success message
     console.log('✅ Calculator initialized successfully!');
     console.log('📋 Quick commands:');
-    console.log('  - runTests() - Run test suite');
     console.log('  - modeManager.switchMode("STAT") - Switch modes');
     console.log('  - memoryManager.displayMemories() - View memories');
     console.log('  - Press S for SHIFT, A for ALPHA, M for MODE');
@@ -110,7 +131,8 @@ function loadSettings() {
 function saveSettings() {
     saveToStorage({
         angleUnit: state.angleUnit,
-        precision: state.precision,
+        displayFormat: state.displayFormat,
+        engSymbols: state.engSymbols,
         memory: state.memory,
         lastAns: state.lastAns
     });
@@ -157,49 +179,55 @@ function updateDisplay() {
     }
 }
 
-function formatNumber(num) {
-    if (typeof num !== 'number') return String(num);
-    
-    // Handle special cases
-    if (!isFinite(num)) return num > 0 ? '∞' : '-∞';
-    if (isNaN(num)) return 'Math ERROR';
-    
-    // Format with precision
-    const str = num.toPrecision(state.precision);
-    
-    // Remove trailing zeros after decimal point
-    return parseFloat(str).toString();
-}
-
 // ===========================
 // Error Handling
 // ===========================
-function setError(message) {
+/**
+ * Show an error screen (Math ERROR, Syntax ERROR...) until AC, or until ◀/▶
+ * return to the input with the cursor at position (the end of the input if null)
+ */
+function setError(message, position = null) {
     state.error = message;
+    state.errorPosition = position;
     updateDisplay();
-    
-    // Clear error after 2 seconds
-    setTimeout(() => {
-        state.error = null;
-        updateDisplay();
-    }, 2000);
 }
 
 function clearError() {
     state.error = null;
+    state.errorPosition = null;
 }
 
 // ===========================
 // Utility Functions
 // ===========================
 function clearAll() {
+    if (window.calcManager) {
+        window.calcManager.cancel();
+        window.solveManager.cancel();
+    }
+    if (window.menuManager) {
+        window.menuManager.close();
+        window.gridEditor.clear();
+    }
+    
     state.inputBuffer = '';
     state.displayTree = null;
     state.error = null;
+    state.errorPosition = null;
+    state.engShift = null;
+    state.dmsDisplay = false;
+    state.labeledResult = null;
+    state.solutions = null;
     state.shift = false;
     state.alpha = false;
+    state.storing = false;
     state.cursorPosition = 0;
     window.cursorManager.reset(0);
+    
+    // TABLE mode starts over at f(X)=
+    if (window.modeManager && window.modeManager.isMode('TABLE')) {
+        window.tableManager.start();
+    }
     updateDisplay();
     updateShiftAlphaIndicators();
 }
@@ -209,7 +237,7 @@ function deleteLastChar() {
         state.inputBuffer = window.cursorManager.deleteAt(state.inputBuffer);
         state.cursorPosition = window.cursorManager.getPosition();
         updateDisplay();
-
+    
     }
 }
 
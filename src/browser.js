@@ -0,0 +1,38 @@
+/**
+ * Browser Adapter
+ * Installs the headless engine on window for the page scripts,
+ * with helpers bound to the page's window.calculatorState
+ */
+
+import * as engine from './engine.js';
+
+/**
+ * Expose the engine's exports as globals on target (normally window)
+ */
+function installEngine(target) {
+    Object.assign(target, engine);
+    
+    // Evaluation context for the page's current calculator state
+    target.getStateContext = (options = {}) => engine.getStateContext(target.calculatorState, options);
+    
+    // Evaluate with the page's state; pass { exact: true } to get Fraction results back
+    target.evaluateWithState = (expression, options = {}) =>
+        engine.evaluateExpression(expression, target.getStateContext(options));
+    
+    // Evaluate as the = key does: the result becomes the page's Ans, stored registers are saved
+    target.evaluateInput = (expression) => engine.evaluateInto(
+        target.calculatorState,
+        expression,
+        (register, value) => target.memoryManager.store(register, value)
+    );
+    
+    // Format with the SETUP display format unless one is given
+    target.formatNumber = (num, format = target.calculatorState?.displayFormat) => engine.formatNumber(num, format);
+}
+
+if (typeof window !== 'undefined') {
+    installEngine(window);
+}
+
+// Export
+export { installEngine };
@@ -0,0 +1,253 @@
+/**
+ * CALC and SOLVE Functions
+ * Evaluate or solve a stored formula, prompting for each memory variable it uses
+ */
+
+/**
+ * Root-finding tolerance, and how small L−R must be (relative to the sides) to accept a root
+ */
+const SOLVE_TOLERANCE = 1e-12;
+const SOLVE_RESIDUAL_TOLERANCE = 1e-6;
+
+class CalcManager {
+    constructor() {
+        this.expression = null;     // Text as entered (reused by the next CALC)
+        this.formula = null;        // Part to evaluate (right side of an assignment)
+        this.offset = 0;            // Where the formula starts in the expression
+        this.target = null;         // Register an assignment stores into
+        this.variables = [];        // Variables to prompt for
+        this.index = -1;            // Current prompt (-1 = not prompting)
+    }
+    
+    /**
+     * Begin a CALC run for an expression
+     */
+    start(expression, options = {}) {
+        const assignment = splitAssignment(expression);
+        
+        this.expression = expression;
+        this.target = assignment ? assignment.target : null;
+        this.formula = assignment ? assignment.formula : expression;
+        this.offset = assignment ? assignment.offset : 0;
+        this.variables = findVariables(this.formula, options);
+        this.index = 0;
+        
+        console.log(`🔢 CALC: ${expression} (variables: ${this.variables.join(', ') || 'none'})`);
+    }
+    
+    /**
+     * Check if waiting for a variable value
+     */
+    isPrompting() {
+        return this.index >= 0 && this.index < this.variables.length;
+    }
+    
+    /**
+     * Current prompt: the variable and its stored value
+     */
+    getPrompt() {
+        if (!this.isPrompting()) return null;
+        
+        const variable = this.variables[this.index];
+        const value = window.calculatorState.memory[variable];
+        return { variable, value: value ?? 0 };
+    }
+    
+    /**
+     * Accept the value typed for the current variable (blank keeps the stored value)
+     * Returns true once every variable has been entered
+     */
+    submit(entry) {
+        const { variable, value } = this.getPrompt();
+        
+        window.memoryManager.store(variable, entry.trim() ? evaluateWithState(entry) : value);
+        this.index++;
+        
+        return !this.isPrompting();
+    }
+    
+    /**
+     * Evaluate the formula with the entered values
+     * An assignment also stores the result into its target register
+     */
+    evaluate() {
+        this.index = -1;
+        
+        let exactResult;
+        try {
+            exactResult = evaluateWithState(this.formula, { exact: true });
+        } catch (error) {
+            throw offsetError(error, this.offset);
+        }
+        if (this.target) {
+            window.memoryManager.store(this.target, Fraction.toNumber(exactResult));
+        }
+        
+        return exactResult;
+    }
+    
+    /**
+     * Abandon the prompts (AC)
+     */
+    cancel() {
+        this.index = -1;
+    }
+}
+
+class SolveManager extends CalcManager {
+    constructor() {
+        super();
+        this.lhs = null;                // Left side of the equation
+        this.rhs = null;                // Right side (0 for a plain expression)
+        this.unknown = null;            // Variable being solved for
+        this.candidates = [];           // Variables that could be the unknown
+        this.choosingUnknown = false;   // Waiting for "Solve for"
+    }
+    
+    /**
+     * Begin a SOLVE run for lhs=rhs, or an expression treated as =0
+     * Defaults to solving for X; with several variables the first prompt picks the unknown
+     */
+    start(expression, options = {}) {
+        const equation = splitEquation(expression);
+        
+        this.expression = expression;
+        this.lhs = equation ? equation.lhs : expression;
+        this.rhs = equation ? equation.rhs : '0';
+        this.formula = `(${this.lhs})-(${this.rhs})`;
+        this.candidates = [...new Set([
+            ...findVariables(this.lhs, options),
+            ...findVariables(this.rhs, options)
+        ])];
+        
+        if (this.candidates.length === 0) {
+            throw new CalcSyntaxError('No variable to solve for');
+        }
+        
+        this.choosingUnknown = this.candidates.length > 1 && !options.unknown;
+        this.setUnknown(options.unknown || (this.candidates.includes('X') ? 'X' : this.candidates[0]));
+        this.index = 0;
+        
+        console.log(`🎯 SOLVE: ${this.lhs}=${this.rhs} for ${this.unknown}`);
+    }
+    
+    /**
+     * Choose the unknown; its prompt (the initial value) comes last
+     */
+    setUnknown(variable) {
+        if (!this.candidates.includes(variable)) {
+            throw new ArgumentError(`${variable} is not in the equation`);
+        }
+        
+        this.unknown = variable;
+        this.variables = [...this.candidates.filter(name => name !== variable), variable];
+    }
+    
+    /**
+     * Check if waiting for the unknown or a variable value
+     */
+    isPrompting() {
+        return this.choosingUnknown || super.isPrompting();
+    }
+    
+    /**
+     * Current prompt: "Solve for" with the default unknown, then each variable
+     */
+    getPrompt() {
+        if (this.choosingUnknown) {
+            return { variable: 'Solve for', value: this.unknown };
+        }
+        return super.getPrompt();
+    }
+    
+    /**
+     * Accept the unknown's name or a variable value (blank keeps the default)
+     */
+    submit(entry) {
+        if (this.choosingUnknown) {
+            if (entry.trim()) {
+                this.setUnknown(entry.trim());
+            }
+            this.choosingUnknown = false;
+            return false;
+        }
+        
+        return super.submit(entry);
+    }
+    
+    /**
+     * Solve from the unknown's stored value and store the root into it
+     * Newton's method from the initial value first, like the device, then a bracketing search
+     * @returns {{ variable: string, root: number, residual: number }}
+     */
+    evaluate() {
+        this.index = -1;
+        
+        const initialValue = Number(window.calculatorState.memory[this.unknown]) || 0;
+        
+        for (const method of ['newton', 'brent']) {
+            try {
+                const root = solve(this.formula, this.unknown, initialValue, {
+                    method,
+                    tolerance: SOLVE_TOLERANCE,
+                    context: getStateContext()
+                });
+                const residual = this.residualAt(root);
+                
+                if (residual !== null) {
+                    return { variable: this.unknown, root, residual };
+                }
+            } catch (error) {
+                console.log(`🎯 SOLVE: ${method} failed (${error.message})`);
+            }
+        }
+        
+        window.memoryManager.store(this.unknown, initialValue);
+        throw new CalculatorError("Can't Solve");
+    }
+    
+    /**
+     * L−R with the root stored into the unknown; null if the root does not satisfy the equation
+     * Rounding noise within the root-finding tolerance shows as 0, as on the device
+     */
+    residualAt(root) {
+        if (!Number.isFinite(root)) return null;
+        
+        window.memoryManager.store(this.unknown, root);
+        const left = evaluateWithState(this.lhs);
+        const right = evaluateWithState(this.rhs);
+        const residual = left - right;
+        
+        const scale = Math.max(1, Math.abs(left), Math.abs(right));
+        if (!Number.isFinite(residual) || Math.abs(residual) > SOLVE_RESIDUAL_TOLERANCE * scale) {
+            return null;
+        }
+        return Math.abs(residual) <= SOLVE_TOLERANCE * scale ? 0 : residual;
+    }
+    
+    /**
+     * Abandon the prompts (AC)
+     */
+    cancel() {
+        super.cancel();
+        this.choosingUnknown = false;
+    }
+}
+
+/**
+ * The CALC, SOLVE or TABLE prompt currently on the display, if any
+ */
+function getActivePrompt() {
+    return calcManager.getPrompt() || solveManager.getPrompt() || window.tableManager.getPrompt();
+}
+
+// Create global instances
+const calcManager = new CalcManager();
+const solveManager = new SolveManager();
+
+// Export
+window.CalcManager = CalcManager;
+window.SolveManager = SolveManager;
+window.calcManager = calcManager;
+window.solveManager = solveManager;
+window.getActivePrompt = getActivePrompt;
@@ -0,0 +1,418 @@
+/**
+ * Command Line Interface
+ * One-shot evaluation and a REPL on top of the headless engine, with state kept in a JSON file
+ *
+ *   casio "sin(30)+1/3"          → 5/6
+ *   casio --rad --fix 3 "sin(1)" → 0.841
+ *   casio                        → REPL (:help for commands)
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import readline from 'node:readline';
+import {
+    createCalculator,
+    serializeState,
+    restoreState,
+    displayFormatLabel,
+    formatNumber,
+    describeError,
+    MEMORY_REGISTERS
+} from './engine.js';
+
+/**
+ * State file used when neither --state nor CASIO_STATE is given
+ */
+const DEFAULT_STATE_FILE = path.join(os.homedir(), '.casio-calculator.json');
+
+const USAGE = `Usage: casio [options] [expression...]
+
+Evaluates each expression and prints its result; with no expression, starts a REPL.
+
+Options:
+  --deg, --rad, --grad     Angle unit for this run
+  -a, --angle <unit>       Angle unit for this run (DEG, RAD or GRAD)
+  --fix <n>, --sci <n>, --norm <n>
+                           Display format for this run (Fix 0–9, Sci 1–10, Norm 1–2)
+  --eng, --no-eng          Engineering symbols (k, M, m, µ...) on or off for this run
+  -d, --decimal            Show results as decimals instead of exact forms
+  --state <file>           State file (default: $CASIO_STATE or ~/.casio-calculator.json)
+  --no-save                Do not write Ans and memory back to the state file
+  -h, --help               Show this help`;
+
+const REPL_HELP = `Enter an expression to evaluate it; Ans, M, A–F, X and Y work as on the calculator.
+A=5 stores into A, Pol(/Rec( store into X and Y.
+
+  :deg, :rad, :grad        Angle unit
+  :fix <n>, :sci <n>, :norm <n>
+                           Display format
+  :eng on|off              Engineering symbols
+  :sd                      Toggle the last result between exact and decimal (S⇔D)
+  :sto <register>          Store Ans into a register (STO)
+  :m+, :m-                 Add Ans to / subtract Ans from M
+  :mem                     Show the memory registers
+  :clr                     Clear the memory registers (Ans is kept)
+  :mode                    Show the current settings
+  :help                    Show this help
+  :quit                    Leave (Ctrl+D also works)`;
+
+/**
+ * Parse command line arguments
+ * @returns {{ settings: Object, expressions: string[], stateFile: string, save: boolean,
+ *             decimal: boolean, help: boolean }}
+ */
+function parseArguments(argv, env = process.env) {
+    const options = {
+        settings: {},
+        expressions: [],
+        stateFile: env.CASIO_STATE || DEFAULT_STATE_FILE,
+        save: true,
+        decimal: false,
+        help: false
+    };
+    
+    const valueOf = (flag, index) => {
+        if (index >= argv.length) {
+            throw new Error(`${flag} needs a value`);
+        }
+        return argv[index];
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        
+        switch (arg) {
+            case '--deg':
+            case '--rad':
+            case '--grad':
+                options.settings.angleUnit = arg.slice(2).toUpperCase();
+                break;
+            case '-a':
+            case '--angle':
+                options.settings.angleUnit = valueOf(arg, ++i).toUpperCase();
+                break;
+            case '--fix':
+            case '--sci':
+            case '--norm':
+                options.settings.displayFormat = {
+                    mode: arg.slice(2).toUpperCase(),
+                    digits: Number(valueOf(arg, ++i))
+                };
+                break;
+            case '--eng':
+            case '--no-eng':
+                options.settings.engSymbols = arg === '--eng';
+                break;
+            case '-d':
+            case '--decimal':
+                options.decimal = true;
+                break;
+            case '--state':
+                options.stateFile = valueOf(arg, ++i);
+                break;
+            case '--no-save':
+                options.save = false;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--':
+                options.expressions.push(...argv.slice(i + 1));
+                i = argv.length;
+                break;
+            default:
+                // Only --words are options; -2+1 and -sin(30) are expressions
+                if (/^--[a-z]/i.test(arg)) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.expressions.push(arg);
+        }
+    }
+    
+    return options;
+}
+
+/**
+ * Read a saved state file; null if there is none
+ */
+function loadStateFile(file) {
+    if (!fs.existsSync(file)) return null;
+    
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read state file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Write a state file in the saveCompleteState schema
+ * Mode data from the page is kept as it was; the CLI only computes in COMP
+ */
+function saveStateFile(file, state, modeData) {
+    const data = serializeState(state, modeData || {});
+    
+    try {
+        fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+    } catch (error) {
+        throw new Error(`Cannot write state file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * A CLI session: a calculator restored from the state file plus the settings to save back
+ * Settings given as flags apply to this run only; REPL commands change the saved settings too
+ */
+function createSession(options) {
+    const calculator = createCalculator();
+    const saved = options.stateFile ? loadStateFile(options.stateFile) : null;
+    
+    const modeData = saved ? restoreState(calculator.state, saved) : null;
+    
+    // Memory registers the file does not mention start out unset
+    calculator.state.memory = { ...MEMORY_REGISTERS, ...calculator.state.memory };
+    
+    const savedSettings = {
+        angleUnit: calculator.state.angleUnit,
+        displayFormat: calculator.state.displayFormat,
+        engSymbols: calculator.state.engSymbols
+    };
+    
+    applySettings(calculator, options.settings);
+    
+    return {
+        calculator,
+        decimal: options.decimal,
+        
+        /**
+         * Change a setting for the rest of the session and in the state file
+         */
+        changeSettings(settings) {
+            applySettings(calculator, settings);
+            Object.keys(settings).forEach(key => {
+                savedSettings[key] = calculator.state[key];
+            });
+        },
+        
+        /**
+         * Evaluate an expression and return the result line
+         */
+        evaluate(expression) {
+            calculator.evaluate(expression);
+            if (this.decimal) {
+                calculator.toggleResultFormat();
+            }
+            return calculator.formatResult();
+        },
+        
+        /**
+         * Write Ans, memory and the saved settings back to the state file
+         */
+        save() {
+            if (!options.save || !options.stateFile) return;
+            saveStateFile(options.stateFile, { ...calculator.state, ...savedSettings }, modeData);
+        }
+    };
+}
+
+/**
+ * Apply angle unit, display format and engineering symbol settings
+ */
+function applySettings(calculator, settings) {
+    if (settings.angleUnit !== undefined) calculator.setAngleUnit(settings.angleUnit);
+    if (settings.displayFormat !== undefined) calculator.setDisplayFormat(settings.displayFormat);
+    if (settings.engSymbols !== undefined) calculator.setEngineeringSymbols(settings.engSymbols);
+}
+
+/**
+ * Memory register named in a REPL command
+ */
+function registerArgument(name) {
+    const register = (name || '').toUpperCase();
+    if (!Object.hasOwn(MEMORY_REGISTERS, register)) {
+        throw new Error(`Unknown memory register: ${name || '(none)'}`);
+    }
+    return register;
+}
+
+/**
+ * Run a REPL command (a line starting with ':')
+ * @returns {string|null} Text to print, or null to quit
+ */
+function runCommand(session, line) {
+    const { calculator } = session;
+    const { state } = calculator;
+    const [command, argument] = line.slice(1).trim().split(/\s+/);
+    
+    switch (command.toLowerCase()) {
+        case 'deg':
+        case 'rad':
+        case 'grad':
+            session.changeSettings({ angleUnit: command.toUpperCase() });
+            return state.angleUnit;
+        
+        case 'fix':
+        case 'sci':
+        case 'norm':
+            session.changeSettings({ displayFormat: { mode: command.toUpperCase(), digits: Number(argument) } });
+            return displayFormatLabel(state.displayFormat);
+        
+        case 'eng':
+            if (!['on', 'off'].includes(argument)) {
+                throw new Error(':eng needs on or off');
+            }
+            session.changeSettings({ engSymbols: argument === 'on' });
+            return `Engineer Symbol ${argument === 'on' ? 'On' : 'Off'}`;
+        
+        case 'sd':
+            calculator.toggleResultFormat();
+            return calculator.formatResult();
+        
+        case 'sto': {
+            const register = registerArgument(argument);
+            calculator.store(register, state.lastAns);
+            return `Ans→${register}`;
+        }
+        
+        case 'm+':
+        case 'm-': {
+            const sign = command === 'm+' ? 1 : -1;
+            calculator.store('M', calculator.recall('M') + sign * state.lastAns);
+            return `M=${formatNumber(calculator.recall('M'), state.displayFormat)}`;
+        }
+        
+        case 'mem':
+            return Object.keys(MEMORY_REGISTERS)
+                .map(register => `${register}=${formatNumber(calculator.recall(register), state.displayFormat)}`)
+                .join('  ');
+        
+        case 'clr':
+            state.memory = { ...MEMORY_REGISTERS };
+            return 'Memory cleared';
+        
+        case 'mode':
+            return [
+                'COMP',
+                state.angleUnit,
+                displayFormatLabel(state.displayFormat),
+                state.engSymbols ? 'Engineer Symbol On' : null,
+                session.decimal ? 'Decimal' : null
+            ].filter(Boolean).join('  ');
+        
+        case 'help':
+            return REPL_HELP;
+        
+        case 'quit':
+        case 'exit':
+            return null;
+        
+        default:
+            throw new Error(`Unknown command: ${line.trim()} (:help lists the commands)`);
+    }
+}
+
+/**
+ * Read-evaluate-print loop over input; prompts only on a terminal
+ * A state file that cannot be written is reported once on errors, and the session goes on
+ * @returns {Promise<number>} Resolves when the input ends or :quit is entered: 2 if saving failed, else 0
+ */
+function startRepl(session, input = process.stdin, output = process.stdout, errors = process.stderr) {
+    const interactive = !!input.isTTY;
+    const rl = readline.createInterface({ input, output, terminal: interactive, prompt: '> ' });
+    
+    return new Promise(resolve => {
+        let closed = false;
+        let saveFailed = false;
+        
+        const save = () => {
+            try {
+                session.save();
+            } catch (error) {
+                if (!saveFailed) errors.write(`casio: ${error.message}\n`);
+                saveFailed = true;
+            }
+        };
+        
+        rl.on('line', line => {
+            // Lines already read when :quit closed the interface
+            if (closed) return;
+            
+            const text = line.trim();
+            
+            try {
+                if (text.startsWith(':')) {
+                    const reply = runCommand(session, text);
+                    if (reply === null) {
+                        rl.close();
+                        return;
+                    }
+                    output.write(`${reply}\n`);
+                } else if (text) {
+                    output.write(`${session.evaluate(text)}\n`);
+                }
+            } catch (error) {
+                output.write(`${text.startsWith(':') ? error.message : describeError(error)}\n`);
+            }
+            save();
+            
+            if (interactive) rl.prompt();
+        });
+        
+        rl.on('close', () => {
+            closed = true;
+            save();
+            resolve(saveFailed ? 2 : 0);
+        });
+        
+        if (interactive) rl.prompt();
+    });
+}
+
+/**
+ * CLI entry point
+ * @returns {Promise<number>} Exit code: 1 if any expression failed, 2 for bad usage or a state
+ *   file that cannot be written
+ */
+async function main(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+    let options;
+    let session;
+    
+    try {
+        options = parseArguments(argv);
+        if (options.help) {
+            io.stdout.write(`${USAGE}\n`);
+            return 0;
+        }
+        session = createSession(options);
+    } catch (error) {
+        io.stderr.write(`casio: ${error.message}\n`);
+        return 2;
+    }
+    
+    if (options.expressions.length === 0) {
+        return startRepl(session, io.stdin, io.stdout, io.stderr);
+    }
+    
+    let status = 0;
+    for (const expression of options.expressions) {
+        try {
+            io.stdout.write(`${session.evaluate(expression)}\n`);
+        } catch (error) {
+            io.stderr.write(`${describeError(error)}\n`);
+            status = 1;
+        }
+    }
+    
+    try {
+        session.save();
+    } catch (error) {
+        io.stderr.write(`casio: ${error.message}\n`);
+        return 2;
+    }
+    return status;
+}
+
+// Export functions
+export { main, parseArguments, createSession, runCommand, startRepl, DEFAULT_STATE_FILE };
@@ -72,15 +72,15 @@ class CursorManager {
     }
     
     /**
-     * Delete character at cursor position (backspace)
+     * Delete the entry before the cursor (backspace): a character, or a whole name
+     * typed by one key, with its bracket (sin⁻¹(, Ans, VctA)
      */
     deleteAt(currentBuffer) {
         if (this.position === 0) return currentBuffer;
         
-        const before = currentBuffer.substring(0, this.position - 1);
-        const after = currentBuffer.substring(this.position);
-        this.position--;
-        return before + after;
+        const { start, end } = entryAt(currentBuffer, this.position - 1);
+        this.position = start;
+        return currentBuffer.substring(0, start) + currentBuffer.substring(end);
     }
     
     /**
@@ -139,6 +139,36 @@ class CursorManager {
     }
 }
 
+/**
+ * Span { start, end } of the entry holding the character at index: a function name with the
+ * bracket after it, Ans or a vector name, or else the character alone
+ */
+function entryAt(buffer, index) {
+    const names = [...Object.keys(window.FUNCTIONS), ...window.VECTOR_NAMES, 'Ans']
+        .sort((a, b) => b.length - a.length);
+    const withBracket = (start, name) => {
+        const end = start + name.length;
+        return { start, end: window.FUNCTIONS[name] && buffer[end] === '(' ? end + 1 : end };
+    };
+    
+    // The bracket of a function goes with its name
+    const opening = buffer[index] === '(' && names.find(name =>
+        window.FUNCTIONS[name] && index >= name.length && buffer.startsWith(name, index - name.length));
+    if (opening) {
+        return withBracket(index - opening.length, opening);
+    }
+    
+    for (const name of names) {
+        for (let start = Math.max(0, index - name.length + 1); start <= index; start++) {
+            if (buffer.startsWith(name, start)) {
+                return withBracket(start, name);
+            }
+        }
+    }
+    
+    return { start: index, end: index + 1 };
+}
+
 // Create global instance
 const cursorManager = new CursorManager();
 
@@ -4,7 +4,8 @@
  */
 
 /**
- * Parse expression into a display tree for natural rendering
+ * Split expression into flat display tokens
+ * Fallback used when the input cannot be parsed into an AST
  */
 function parseDisplayExpression(expression) {
     const tokens = [];
@@ -143,52 +144,57 @@ function renderToken(token) {
             span.className += ' token-number';
             span.textContent = token.value;
             break;
-            
+        
         case 'operator':
             span.className += ' token-operator';
             span.textContent = token.value;
             break;
-            
+        
         case 'function':
             span.className += ' token-function';
             span.textContent = token.value;
             break;
-            
+        
         case 'constant':
             span.className += ' token-constant';
             span.textContent = token.value;
             break;
-            
+        
         case 'variable':
             span.className += ' token-variable';
             span.textContent = token.value;
             break;
-            
+        
         case 'paren':
             span.className += ' token-paren';
             span.textContent = token.value;
             break;
-            
+        
         case 'sqrt':
             span.className += ' token-sqrt';
             span.innerHTML = '<span class="sqrt-symbol">√</span><span class="sqrt-overline"></span>';
             break;
-            
+        
         case 'root':
             span.className += ' token-root';
             span.innerHTML = `<sup class="root-index">${token.index}</sup><span class="sqrt-symbol">√</span>`;
             break;
-            
+        
         case 'power':
             span.className += ' token-power';
             span.innerHTML = `${token.base}<sup>${token.exp}</sup>`;
             break;
-            
+        
+        case 'empty':
+            span.className += ' token-empty';
+            span.textContent = token.value;
+            break;
+        
         case 'exp10':
             span.className += ' token-exp10';
             span.innerHTML = '×10<sup class="exp-placeholder">□</sup>';
             break;
-            
+        
         default:
             span.textContent = token.value;
     }
@@ -198,15 +204,32 @@ function renderToken(token) {
 
 /**
  * Render expression with natural formatting
+ * Uses the AST when the input parses, otherwise falls back to flat tokens
  */
-function renderNaturalDisplay(expression) {
+function renderNaturalDisplay(expression, tree = tryParse(expression)) {
     if (!expression) return '';
     
     try {
-        const tokens = parseDisplayExpression(expression);
         const container = document.createElement('div');
         container.className = 'natural-expression';
         
+        if (tree) {
+            container.appendChild(renderNode(tree));
+            return container;
+        }
+        
+        // Equations and assignments: render each side around the '='
+        const equation = splitEquation(expression);
+        if (equation) {
+            container.appendChild(renderSequence([
+                renderNaturalDisplay(equation.lhs),
+                renderToken({ type: 'operator', value: '=' }),
+                renderNaturalDisplay(equation.rhs)
+            ]));
+            return container;
+        }
+        
+        const tokens = parseDisplayExpression(expression);
         tokens.forEach(token => {
             const element = renderToken(token);
             container.appendChild(element);
@@ -222,6 +245,244 @@ function renderNaturalDisplay(expression) {
     }
 }
 
+/**
+ * Strip the parentheses around a structural slot (exponent, radicand, fraction part)
+ */
+function unwrapGroup(node) {
+    return node.type === NodeType.GROUP ? node.expression : node;
+}
+
+/**
+ * Render an AST node to DOM
+ */
+function renderNode(node) {
+    switch (node.type) {
+        case NodeType.NUMBER:
+            if (node.dms) {
+                return renderToken({ type: 'number', value: node.dms.map(part => `${part}°`).join('') });
+            }
+            return renderToken({ type: 'number', value: node.raw + (node.prefix || '') });
+        
+        case NodeType.CONSTANT:
+            return renderToken({ type: 'constant', value: node.name });
+        
+        case NodeType.VARIABLE:
+            return renderToken({ type: 'variable', value: node.name });
+        
+        case NodeType.EMPTY:
+            return renderToken({ type: 'empty', value: '□' });
+        
+        case NodeType.GROUP:
+            return renderSequence([
+                renderToken({ type: 'paren', value: '(' }),
+                renderNode(node.expression),
+                node.closed ? renderToken({ type: 'paren', value: ')' }) : null
+            ]);
+        
+        case NodeType.UNARY:
+            return renderSequence([
+                renderToken({ type: 'operator', value: node.operator === '-' ? '−' : node.operator }),
+                renderNode(node.operand)
+            ]);
+        
+        case NodeType.POSTFIX:
+            return renderSequence([
+                renderNode(node.operand),
+                renderToken({ type: 'operator', value: node.operator })
+            ]);
+        
+        case NodeType.BINARY:
+            if (node.operator === '^') {
+                return renderSuperscript(renderNode(node.left), renderNode(unwrapGroup(node.right)));
+            }
+            if (node.operator === '/') {
+                return renderFraction(renderNode(unwrapGroup(node.left)), renderNode(unwrapGroup(node.right)));
+            }
+            if (node.implicit) {
+                return renderSequence([renderNode(node.left), renderNode(node.right)]);
+            }
+            return renderSequence([
+                renderNode(node.left),
+                renderToken({ type: 'operator', value: node.operator === '-' ? '−' : node.operator }),
+                renderNode(node.right)
+            ]);
+        
+        case NodeType.CALL:
+            return renderCall(node);
+        
+        default:
+            return renderToken({ type: 'text', value: '' });
+    }
+}
+
+/**
+ * Render a function call (roots get a radical sign, others name(args))
+ */
+function renderCall(node) {
+    if (node.name === '√' || node.name === 'sqrt') {
+        return renderSquareRoot(renderNode(unwrapGroup(node.args[0])));
+    }
+    
+    if (node.name === '∛' || node.name === '∜') {
+        const root = renderSquareRoot(renderNode(unwrapGroup(node.args[0])));
+        const index = document.createElement('sup');
+        index.className = 'root-index';
+        index.textContent = node.name === '∛' ? '3' : '4';
+        root.insertBefore(index, root.firstChild);
+        return root;
+    }
+    
+    if (node.name === 'd/dx') {
+        return renderDerivative(node);
+    }
+    
+    if (node.name === '∫') {
+        return renderIntegral(node);
+    }
+    
+    if (node.name === 'Σ' || node.name === 'Π') {
+        return renderSeries(node);
+    }
+    
+    const parts = [
+        renderToken({ type: 'function', value: node.name }),
+        renderToken({ type: 'paren', value: '(' })
+    ];
+    node.args.forEach((arg, index) => {
+        if (index > 0) parts.push(renderToken({ type: 'operator', value: ',' }));
+        parts.push(renderNode(arg));
+    });
+    if (node.closed) {
+        parts.push(renderToken({ type: 'paren', value: ')' }));
+    }
+    
+    return renderSequence(parts);
+}
+
+/**
+ * Render d/dx(f(x), a) as a d/dx fraction, the bracketed function and |x=a
+ */
+function renderDerivative(node) {
+    const [body, point] = node.args;
+    const parts = [
+        renderFraction('d', 'dx'),
+        renderToken({ type: 'paren', value: '(' }),
+        renderNode(body)
+    ];
+    
+    if (point) {
+        const evaluationPoint = document.createElement('sub');
+        evaluationPoint.className = 'eval-point';
+        evaluationPoint.appendChild(renderToken({ type: 'variable', value: 'x=' }));
+        evaluationPoint.appendChild(renderNode(point));
+        
+        parts.push(renderToken({ type: 'paren', value: ')' }));
+        parts.push(renderToken({ type: 'operator', value: '|' }));
+        parts.push(evaluationPoint);
+    }
+    
+    return renderSequence(parts);
+}
+
+/**
+ * Render ∫(f(x), a, b) as an integral sign with its bounds, the integrand and dx
+ */
+function renderIntegral(node) {
+    const [body, lower, upper] = node.args;
+    
+    const integral = document.createElement('span');
+    integral.className = 'integral-container';
+    
+    const symbol = document.createElement('span');
+    symbol.className = 'integral-symbol';
+    symbol.textContent = '∫';
+    
+    const bounds = document.createElement('span');
+    bounds.className = 'integral-bounds';
+    
+    const upperBound = document.createElement('span');
+    upperBound.className = 'integral-upper';
+    appendContent(upperBound, upper ? renderNode(upper) : '');
+    
+    const lowerBound = document.createElement('span');
+    lowerBound.className = 'integral-lower';
+    appendContent(lowerBound, lower ? renderNode(lower) : '');
+    
+    bounds.appendChild(upperBound);
+    bounds.appendChild(lowerBound);
+    integral.appendChild(symbol);
+    integral.appendChild(bounds);
+    integral.appendChild(renderNode(body));
+    
+    if (node.closed) {
+        integral.appendChild(renderToken({ type: 'variable', value: 'dx' }));
+    }
+    
+    return integral;
+}
+
+/**
+ * Render Σ(f(x), x, a, b) or Π( as the symbol with x=a below and b above, then (f(x))
+ */
+function renderSeries(node) {
+    const [body, counter, lower, upper] = node.args;
+    
+    const limits = document.createElement('span');
+    limits.className = 'series-limits';
+    
+    const upperLimit = document.createElement('span');
+    upperLimit.className = 'series-upper';
+    appendContent(upperLimit, upper ? renderNode(upper) : '');
+    
+    const symbol = document.createElement('span');
+    symbol.className = 'series-symbol';
+    symbol.textContent = node.name;
+    
+    const lowerLimit = document.createElement('span');
+    lowerLimit.className = 'series-lower';
+    if (counter) {
+        lowerLimit.appendChild(renderNode(counter));
+        lowerLimit.appendChild(renderToken({ type: 'operator', value: '=' }));
+    }
+    if (lower) {
+        lowerLimit.appendChild(renderNode(lower));
+    }
+    
+    limits.appendChild(upperLimit);
+    limits.appendChild(symbol);
+    limits.appendChild(lowerLimit);
+    
+    const parts = [limits, renderToken({ type: 'paren', value: '(' }), renderNode(body)];
+    if (node.closed) {
+        parts.push(renderToken({ type: 'paren', value: ')' }));
+    }
+    
+    return renderSequence(parts);
+}
+
+/**
+ * Group rendered parts into a single inline span
+ */
+function renderSequence(parts) {
+    const span = document.createElement('span');
+    span.className = 'display-group';
+    parts.forEach(part => {
+        if (part) span.appendChild(part);
+    });
+    return span;
+}
+
+/**
+ * Put text or an already rendered element into a container
+ */
+function appendContent(container, content) {
+    if (typeof content === 'string' || typeof content === 'number') {
+        container.textContent = content;
+    } else {
+        container.appendChild(content);
+    }
+}
+
 /**
  * Render fraction in natural format
  */
@@ -231,11 +492,11 @@ function renderFraction(numerator, denominator) {
     
     const num = document.createElement('div');
     num.className = 'frac-num';
-    num.textContent = numerator;
+    appendContent(num, numerator);
     
     const den = document.createElement('div');
     den.className = 'frac-den';
-    den.textContent = denominator;
+    appendContent(den, denominator);
     
     frac.appendChild(num);
     frac.appendChild(den);
@@ -260,7 +521,7 @@ function renderSquareRoot(content) {
     
     const radicand = document.createElement('span');
     radicand.className = 'sqrt-content';
-    radicand.textContent = content;
+    appendContent(radicand, content);
     
     sqrt.appendChild(symbol);
     sqrt.appendChild(overline);
@@ -278,11 +539,11 @@ function renderSuperscript(base, exponent) {
     
     const baseSpan = document.createElement('span');
     baseSpan.className = 'power-base';
-    baseSpan.textContent = base;
+    appendContent(baseSpan, base);
     
     const expSpan = document.createElement('sup');
     expSpan.className = 'power-exp';
-    expSpan.textContent = exponent;
+    appendContent(expSpan, exponent);
     
     container.appendChild(baseSpan);
     container.appendChild(expSpan);
@@ -290,6 +551,11 @@ function renderSuperscript(base, exponent) {
     return container;
 }
 
+/**
+ * Second line of an error screen
+ */
+const ERROR_SCREEN_HINT = '[AC]:Cancel  [◀][▶]:Goto';
+
 /**
  * Update the display with natural rendering
  */
@@ -299,7 +565,7 @@ function updateNaturalDisplay() {
     const resultEl = document.getElementById('display-result');
     
     if (!inputEl || !resultEl) return;
-
+    
     // Show history indicator if browsing
     const upIndicator = document.getElementById('indicator-up');
     if (upIndicator && window.historyManager) {
@@ -312,29 +578,218 @@ function updateNaturalDisplay() {
         }
     }
     
-    // Render input
+    // CALC / SOLVE prompt: "X?" with the entry on the input line, stored value below
+    const prompt = window.getActivePrompt ? window.getActivePrompt() : null;
+    if (prompt && !state.error) {
+        renderPrompt(inputEl, resultEl, prompt, state.inputBuffer);
+        return;
+    }
+    
+    // Error screen: the error on the first line, the keys that leave it below
     if (state.error) {
         inputEl.textContent = state.error;
         inputEl.style.color = '#ff0000';
-    } else if (state.inputBuffer) {
+        resultEl.textContent = ERROR_SCREEN_HINT;
+        return;
+    }
+    
+    // Menu: numbered choices over both lines
+    if (window.menuManager && window.menuManager.isOpen()) {
+        const [first, second] = window.menuManager.getLines();
+        inputEl.textContent = first;
+        inputEl.style.color = '#000';
+        resultEl.textContent = second;
+        return;
+    }
+    
+    // EQN solutions: one per screen, ▲/▼ to scroll; complex roots in the COMPLEX format
+    // INEQ: the inequality over its solution intervals
+    if (state.solutions) {
+        const { labels, values, index, inequality } = state.solutions;
         inputEl.innerHTML = '';
-        const rendered = renderNaturalDisplay(state.inputBuffer);
+        inputEl.style.color = '#000';
+        
+        if (inequality) {
+            inputEl.appendChild(renderToken({ type: 'variable', value: labels[index] }));
+            resultEl.textContent = formatInequality(values[index], state.displayFormat);
+            return;
+        }
+        
+        inputEl.appendChild(renderToken({ type: 'variable', value: `${labels[index]}=` }));
+        resultEl.textContent = formatComplex(values[index], {
+            displayFormat: state.displayFormat,
+            complexFormat: window.modeManager.modeData.COMPLEX.format,
+            angleUnit: state.angleUnit
+        });
+        return;
+    }
+    
+    // Vector / coefficient editor: the cells above, the entry (or the current cell's value) below
+    if (window.gridEditor && window.gridEditor.isOpen()) {
+        renderGridEditor(inputEl, resultEl, window.gridEditor, state.inputBuffer);
+        return;
+    }
+    
+    // Render input
+    if (state.inputBuffer) {
+        inputEl.innerHTML = '';
+        state.displayTree = tryParse(state.inputBuffer, { engSymbols: state.engSymbols });
+        const rendered = renderNaturalDisplay(state.inputBuffer, state.displayTree);
         inputEl.appendChild(rendered);
         inputEl.style.color = '#000';
     } else {
         // Empty input, just show cursor
+        state.displayTree = null;
         inputEl.innerHTML = '<span id="cursor" class="cursor">▌</span>';
         inputEl.style.color = '#000';
     }
     
     // Render result
     if (state.lastAns !== null && state.lastAns !== undefined) {
-        resultEl.textContent = formatNumber(state.lastAns);
+        resultEl.innerHTML = '';
+        resultEl.appendChild(renderResult(state));
     } else {
         resultEl.textContent = '';
     }
 }
 
+/**
+ * Render a variable prompt (CALC / SOLVE), or a TABLE prompt under its own label (f(X)=, Start?)
+ */
+function renderPrompt(inputEl, resultEl, prompt, entry) {
+    inputEl.innerHTML = '';
+    inputEl.style.color = '#000';
+    inputEl.appendChild(renderToken({ type: 'variable', value: prompt.label || `${prompt.variable}?` }));
+    
+    if (entry) {
+        inputEl.appendChild(renderNaturalDisplay(entry));
+    } else {
+        const cursor = document.createElement('span');
+        cursor.id = 'cursor';
+        cursor.className = 'cursor';
+        cursor.textContent = '▌';
+        inputEl.appendChild(cursor);
+    }
+    
+    resultEl.textContent = prompt.value === null ? '' : formatNumber(prompt.value);
+}
+
+/**
+ * Render the grid editor: its title or headers and cells, the current cell highlighted
+ */
+function renderGridEditor(inputEl, resultEl, editor, entry) {
+    const { title, headers, values, row, col } = editor.grid;
+    
+    inputEl.innerHTML = '';
+    inputEl.style.color = '#000';
+    if (title) {
+        inputEl.appendChild(renderToken({ type: 'variable', value: title }));
+    }
+    
+    const table = document.createElement('table');
+    table.className = 'grid-editor';
+    
+    // Column headers (a, b, c) over numbered rows
+    if (headers) {
+        const headerRow = table.insertRow();
+        headerRow.appendChild(document.createElement('th'));
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headerRow.appendChild(th);
+        });
+    }
+    
+    // Only the rows in view when the grid scrolls (TABLE)
+    const { start, end } = editor.getVisibleRange();
+    values.slice(start, end).forEach((cells, offset) => {
+        const i = start + offset;
+        const tableRow = table.insertRow();
+        if (headers) {
+            const th = document.createElement('th');
+            th.textContent = String(i + 1);
+            tableRow.appendChild(th);
+        }
+        cells.forEach((value, j) => {
+            const cell = tableRow.insertCell();
+            cell.className = i === row && j === col ? 'grid-cell grid-cell-active' : 'grid-cell';
+            cell.textContent = formatGridCell(value);
+        });
+    });
+    inputEl.appendChild(table);
+    
+    if (entry) {
+        resultEl.innerHTML = '';
+        resultEl.appendChild(renderNaturalDisplay(entry));
+    } else {
+        resultEl.textContent = formatGridCell(editor.getCell().value);
+    }
+}
+
+/**
+ * A grid cell's text; a cell without a value (a TABLE error) shows ERROR
+ */
+function formatGridCell(value) {
+    return value === null ? 'ERROR' : formatNumber(value);
+}
+
+/**
+ * Render an exact form in natural display (½, 2√2, √3⁄2, 3π⁄4)
+ */
+function renderExactForm(form) {
+    let negative;
+    let numerator;
+    let denominator;
+    
+    switch (form.form) {
+        case 'fraction': {
+            const { fraction } = form;
+            negative = fraction.numerator < 0n;
+            numerator = (negative ? -fraction.numerator : fraction.numerator).toString();
+            denominator = fraction.denominator;
+            break;
+        }
+        
+        case 'surd':
+            negative = form.sign < 0;
+            numerator = renderSequence([
+                form.coefficient === 1 ? null : renderToken({ type: 'number', value: String(form.coefficient) }),
+                renderSquareRoot(String(form.radicand))
+            ]);
+            denominator = form.denominator;
+            break;
+        
+        case 'pi': {
+            const magnitude = Math.abs(form.numerator);
+            negative = form.numerator < 0;
+            numerator = renderSequence([
+                magnitude === 1 ? null : renderToken({ type: 'number', value: String(magnitude) }),
+                renderToken({ type: 'constant', value: 'π' })
+            ]);
+            denominator = form.denominator;
+            break;
+        }
+    }
+    
+    const body = String(denominator) === '1'
+        ? numerator
+        : renderFraction(numerator, String(denominator));
+    
+    return negative
+        ? renderSequence([renderToken({ type: 'operator', value: '−' }), body])
+        : body;
+}
+
+/**
+ * Render the result line in exact or decimal form per the S⇔D setting
+ * ENG / ←ENG presses and DMS display override both until the next calculation
+ */
+function renderResult(state) {
+    const form = displayedExactForm(state);
+    
+    return form ? renderExactForm(form) : document.createTextNode(formatResultText(state));
+}
+
 /**
  * Render expression with cursor
  */
@@ -395,39 +850,9 @@ function renderNaturalDisplayWithCursor(expression, cursorPos) {
     }
 }
 
-/**
- * Format number for display
- */
-function formatNumber(num) {
-    if (typeof num !== 'number') return String(num);
-    
-    // Handle special cases
-    if (!isFinite(num)) return num > 0 ? '∞' : '-∞';
-    if (isNaN(num)) return 'Math ERROR';
-    
-    const state = window.calculatorState;
-    const precision = state.precision || 10;
-    
-    // Handle very small numbers (scientific notation)
-    if (Math.abs(num) < 1e-10 && num !== 0) {
-        return num.toExponential(precision - 1);
-    }
-    
-    // Handle very large numbers
-    if (Math.abs(num) > 1e10) {
-        return num.toExponential(precision - 1);
-    }
-    
-    // Format with precision
-    const str = num.toPrecision(precision);
-    const parsed = parseFloat(str);
-    
-    // Remove trailing zeros
-    return parsed.toString();
-}
-
 // Export functions
 window.renderNaturalDisplay = renderNaturalDisplay;
+window.renderNode = renderNode;
 window.updateNaturalDisplay = updateNaturalDisplay;
 window.renderFraction = renderFraction;
 window.renderSquareRoot = renderSquareRoot;
@@ -0,0 +1,256 @@
+/**
+ * Calculator Engine
+ * Headless entry point: parser, evaluator and math engine with no DOM dependency
+ *
+ *   import { createCalculator } from 'casio-calculator';
+ *   const calc = createCalculator({ angleUnit: 'RAD' });
+ *   calc.evaluate('sin(π/6)+1/3');   // 0.8333333333
+ *   calc.formatResult();             // '5/6'
+ */
+
+import { Fraction } from './mathEngine/fraction.js';
+import { Vector, VECTOR_NAMES } from './mathEngine/vector.js';
+import { evaluateExpression, evaluateCoordinates, getStateContext, isDmsExpression } from './evaluator.js';
+import { tryParse } from './parser.js';
+import { normalizeDisplayFormat, DEFAULT_DISPLAY_FORMAT } from './numberFormat.js';
+import { splitAssignment } from './formula.js';
+import { formatResultText } from './resultFormat.js';
+import { offsetError, ArgumentError } from './errors.js';
+
+/**
+ * Memory registers: M starts at 0, the others are unset until stored
+ */
+const MEMORY_REGISTERS = {
+    M: 0,
+    A: null, B: null, C: null,
+    D: null, E: null, F: null,
+    X: null, Y: null
+};
+
+const ANGLE_UNITS = ['DEG', 'RAD', 'GRAD'];
+
+/**
+ * Vector memories, all unset until stored
+ */
+const VECTOR_MEMORIES = Object.fromEntries(VECTOR_NAMES.map(name => [name, null]));
+
+/**
+ * Make an exact result (Fraction or number) the state's new Ans, shown in exact form
+ */
+function setAnswer(state, exactResult) {
+    state.lastResult = exactResult;
+    state.lastAns = Fraction.toNumber(exactResult);
+    state.labeledResult = null;
+    state.vectorResult = null;
+    state.resultFormat = 'exact';
+    state.engShift = null;
+    state.dmsDisplay = false;
+}
+
+/**
+ * Evaluate an expression into a calculator state and make the result the new Ans, as the = key does:
+ * Pol(/Rec( store both results into X and Y, and Y=X²+1 stores into Y
+ * A vector result goes into VctAns and leaves Ans alone
+ * @param {Object} state - Calculator state (see createCalculator)
+ * @param {string} expression - Expression to evaluate
+ * @param {Function} store - (register, value) stores into a memory register
+ * @returns {number|Vector} The new Ans, or the vector result
+ */
+function evaluateInto(state, expression, store) {
+    const coordinates = evaluateCoordinates(expression, getStateContext(state));
+    const assignment = coordinates ? null : splitAssignment(expression);
+    
+    let exactResult;
+    try {
+        exactResult = coordinates
+            ? coordinates.values[0]
+            : evaluateExpression(
+                assignment ? assignment.formula : expression,
+                getStateContext(state, { exact: true })
+            );
+    } catch (error) {
+        // Point errors in the formula of Y=X²+1 at the whole input
+        throw assignment ? offsetError(error, assignment.offset) : error;
+    }
+    
+    if (Vector.isVector(exactResult)) {
+        if (assignment) {
+            throw new ArgumentError(`A vector cannot be stored in ${assignment.target}`);
+        }
+        state.vectors.VctAns = exactResult;
+        state.vectorResult = exactResult;
+        state.labeledResult = null;
+        state.engShift = null;
+        state.dmsDisplay = false;
+        return exactResult;
+    }
+    
+    if (coordinates) {
+        store('X', coordinates.values[0]);
+        store('Y', coordinates.values[1]);
+    } else if (assignment) {
+        store(assignment.target, Fraction.toNumber(exactResult));
+    }
+    
+    setAnswer(state, exactResult);
+    state.labeledResult = coordinates;
+    state.dmsDisplay = isDmsExpression(tryParse(expression, { engSymbols: state.engSymbols }));
+    
+    return state.lastAns;
+}
+
+/**
+ * Create a calculator with its own state
+ * @param {Object} options - { angleUnit, displayFormat, engSymbols, memory, vectors, lastAns }
+ * @returns {Object} Calculator: state plus evaluate, formatResult and settings methods
+ */
+function createCalculator(options = {}) {
+    const state = {
+        mode: 'Math',
+        angleUnit: 'DEG',
+        displayFormat: DEFAULT_DISPLAY_FORMAT,
+        engSymbols: false,
+        memory: { ...MEMORY_REGISTERS },
+        vectors: { ...VECTOR_MEMORIES },
+        lastAns: 0,
+        lastResult: null,         // exact form of the last answer (Fraction or number)
+        labeledResult: null,      // Pol/Rec results: { labels, values }
+        vectorResult: null,       // last result when it is a vector (also in VctAns)
+        resultFormat: 'exact',    // 'exact' | 'decimal' (S⇔D)
+        engShift: null,           // ENG / ←ENG steps applied to the last answer
+        dmsDisplay: false         // last answer shown in DMS
+    };
+    
+    const calculator = {
+        state,
+        
+        /**
+         * Evaluation context for this calculator (see getStateContext)
+         */
+        context(extra = {}) {
+            return getStateContext(state, extra);
+        },
+        
+        /**
+         * Evaluate an expression and make the result the new Ans, as the = key does (see evaluateInto)
+         * @returns {number|Vector}
+         */
+        evaluate(expression) {
+            return evaluateInto(state, expression, calculator.store);
+        },
+        
+        /**
+         * The last result as the display shows it: exact form where there is one,
+         * otherwise the SETUP display format
+         */
+        formatResult(options = {}) {
+            const { dms = state.dmsDisplay } = options;
+            
+            return formatResultText({ ...state, dmsDisplay: dms });
+        },
+        
+        /**
+         * S⇔D: switch the last result between exact and decimal form
+         */
+        toggleResultFormat() {
+            state.resultFormat = state.resultFormat === 'exact' ? 'decimal' : 'exact';
+            return state.resultFormat;
+        },
+        
+        /**
+         * Store a value into a memory register
+         */
+        store(register, value) {
+            if (!Object.hasOwn(MEMORY_REGISTERS, register)) {
+                throw new Error(`Unknown memory register: ${register}`);
+            }
+            state.memory[register] = value;
+        },
+        
+        /**
+         * Value of a memory register (0 if unset)
+         */
+        recall(register) {
+            if (!Object.hasOwn(MEMORY_REGISTERS, register)) {
+                throw new Error(`Unknown memory register: ${register}`);
+            }
+            return state.memory[register] ?? 0;
+        },
+        
+        /**
+         * Store components into a vector memory: storeVector('VctA', [1, 2, 3])
+         */
+        storeVector(name, components) {
+            if (!Object.hasOwn(VECTOR_MEMORIES, name)) {
+                throw new Error(`Unknown vector memory: ${name}`);
+            }
+            state.vectors[name] = Vector.from(components);
+        },
+        
+        /**
+         * DEG, RAD or GRAD
+         */
+        setAngleUnit(unit) {
+            const normalized = String(unit).toUpperCase();
+            if (!ANGLE_UNITS.includes(normalized)) {
+                throw new Error(`Unknown angle unit: ${unit}`);
+            }
+            state.angleUnit = normalized;
+        },
+        
+        /**
+         * SETUP display format: { mode: 'FIX' | 'SCI' | 'NORM', digits }
+         */
+        setDisplayFormat(format) {
+            const normalized = normalizeDisplayFormat(format);
+            if (!normalized) {
+                throw new Error(`Invalid display format: ${JSON.stringify(format)}`);
+            }
+            state.displayFormat = normalized;
+        },
+        
+        /**
+         * Show and accept engineering symbols (k, M, m, µ...)
+         */
+        setEngineeringSymbols(enabled) {
+            state.engSymbols = !!enabled;
+        }
+    };
+    
+    // Apply initial settings through the same validation
+    if (options.angleUnit !== undefined) calculator.setAngleUnit(options.angleUnit);
+    if (options.displayFormat !== undefined) calculator.setDisplayFormat(options.displayFormat);
+    if (options.engSymbols !== undefined) calculator.setEngineeringSymbols(options.engSymbols);
+    if (options.lastAns !== undefined) state.lastAns = options.lastAns;
+    Object.entries(options.memory || {}).forEach(([register, value]) => calculator.store(register, value));
+    Object.entries(options.vectors || {}).forEach(([name, components]) => {
+        if (components) calculator.storeVector(name, components);
+    });
+    
+    return calculator;
+}
+
+// Export
+export { createCalculator, evaluateInto, setAnswer, MEMORY_REGISTERS, ANGLE_UNITS, VECTOR_MEMORIES };
+export * from './mathEngine/utils.js';
+export * from './mathEngine/fraction.js';
+export * from './mathEngine/exactForm.js';
+export * from './mathEngine/dms.js';
+export * from './mathEngine/complex.js';
+export * from './mathEngine/derivative.js';
+export * from './mathEngine/integration.js';
+export * from './mathEngine/solver.js';
+export * from './mathEngine/matrix.js';
+export * from './mathEngine/vector.js';
+export * from './mathEngine/equation.js';
+export * from './mathEngine/functionTable.js';
+export * from './mathEngine/graph.js';
+export * from './mathEngine/stats.js';
+export * from './mathEngine/base.js';
+export * from './numberFormat.js';
+export * from './parser.js';
+export * from './evaluator.js';
+export * from './formula.js';
+export * from './resultFormat.js';
+export * from './savedState.js';
+export * from './errors.js';
@@ -0,0 +1,114 @@
+/**
+ * Calculator Errors
+ * One class per error screen of the device, each carrying the source offset it refers to
+ * so ◀/▶ can put the cursor back at the offending spot
+ *
+ *   Syntax ERROR     the input cannot be parsed
+ *   Math ERROR       the calculation is undefined or out of range (÷0, ln 0, singular matrix)
+ *   Stack ERROR      brackets and functions are nested too deeply
+ *   Argument ERROR   a function gets the wrong number or kind of arguments
+ *   Dimension ERROR  matrix or vector sizes do not fit the operation
+ */
+
+/**
+ * Base class: `screen` is the text the display shows, `message` the detail
+ * Screens without a subclass (Can't Solve) use this class directly
+ */
+class CalculatorError extends Error {
+    /**
+     * @param {string} screen - Error screen text
+     * @param {string} [message] - Detail, defaults to the screen text
+     * @param {number|null} [position] - Source offset the error refers to
+     */
+    constructor(screen, message = screen, position = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.screen = screen;
+        this.position = position;
+    }
+}
+
+// Not SyntaxError: the browser adapter copies engine exports onto window
+class CalcSyntaxError extends CalculatorError {
+    constructor(message, position = null) {
+        super('Syntax ERROR', message, position);
+    }
+}
+
+class MathError extends CalculatorError {
+    constructor(message, position = null) {
+        super('Math ERROR', message, position);
+    }
+}
+
+class StackError extends CalculatorError {
+    constructor(message, position = null) {
+        super('Stack ERROR', message, position);
+    }
+}
+
+class ArgumentError extends CalculatorError {
+    constructor(message, position = null) {
+        super('Argument ERROR', message, position);
+    }
+}
+
+class DimensionError extends CalculatorError {
+    constructor(message, position = null) {
+        super('Dimension ERROR', message, position);
+    }
+}
+
+/**
+ * Error screen for any error; untyped errors from outside the engine count as Math ERROR,
+ * and running out of JavaScript stack as Stack ERROR
+ */
+function errorScreen(error) {
+    if (error instanceof CalculatorError) return error.screen;
+    if (error instanceof RangeError && /call stack/i.test(error.message)) return 'Stack ERROR';
+    return 'Math ERROR';
+}
+
+/**
+ * Source offset an error refers to: its own position, else the start of the node it was
+ * raised in; null when unknown
+ */
+function errorPosition(error) {
+    if (error && error.position !== null && error.position !== undefined) return error.position;
+    if (error && error.span) return error.span.start;
+    return null;
+}
+
+/**
+ * Re-base an error's position onto the text the failing part was cut from
+ * (the formula of Y=X²+1 starts at offset 2)
+ */
+function offsetError(error, offset) {
+    const position = errorPosition(error);
+    if (position !== null) {
+        error.position = position + offset;
+    }
+    return error;
+}
+
+/**
+ * One-line description: "Math ERROR: Division by zero"
+ */
+function describeError(error) {
+    const screen = errorScreen(error);
+    return error.message && error.message !== screen ? `${screen}: ${error.message}` : screen;
+}
+
+// Export functions
+export {
+    CalculatorError,
+    CalcSyntaxError,
+    MathError,
+    StackError,
+    ArgumentError,
+    DimensionError,
+    errorScreen,
+    errorPosition,
+    offsetError,
+    describeError
+};
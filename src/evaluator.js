@@ -1,8 +1,18 @@
 /**
  * Expression Evaluator
- * Evaluates RPN (Reverse Polish Notation) expressions
+ * Evaluates the abstract syntax tree produced by the parser
  */
 
+import { Fraction } from './mathEngine/fraction.js';
+import { MathUtils } from './mathEngine/utils.js';
+import { dmsToFraction } from './mathEngine/dms.js';
+import { differentiate } from './mathEngine/derivative.js';
+import { integrate } from './mathEngine/integration.js';
+import { Vector, VECTOR_NAMES } from './mathEngine/vector.js';
+import { ENGINEERING_SYMBOLS } from './numberFormat.js';
+import { parse, NodeType, FUNCTIONS, CONSTANTS } from './parser.js';
+import { CalcSyntaxError, MathError, ArgumentError, DimensionError } from './errors.js';
+
 /**
  * Convert degrees to radians
  */
@@ -58,8 +68,20 @@ function applyInverseAngleUnit(value, angleUnit) {
 
 /**
  * Evaluate a single operator or function
+ * A result that is not a finite number (sin⁻¹(2), 171!, 2^10000) is a Math ERROR
  */
 function evaluateOperation(operator, args, angleUnit = 'DEG') {
+    const result = applyOperation(operator, args, angleUnit);
+    if (!Number.isFinite(result)) {
+        throw new MathError(`${operator} has no finite result`);
+    }
+    return result;
+}
+
+/**
+ * The value of an operator or function, possibly NaN or ±Infinity
+ */
+function applyOperation(operator, args, angleUnit) {
     switch (operator) {
         // Arithmetic operators
         case '+':
@@ -72,14 +94,14 @@ function evaluateOperation(operator, args, angleUnit = 'DEG') {
             return args[0] * args[1];
         case '÷':
         case '/':
-            if (args[1] === 0) throw new Error('Division by zero');
+            if (args[1] === 0) throw new MathError('Division by zero');
             return args[0] / args[1];
         case '^':
         case 'xʸ':
             return Math.pow(args[0], args[1]);
-        case '%':
-            return args[0] % args[1];
-            
+        case '•':
+            throw new ArgumentError('The dot product needs two vectors');
+        
         // Trigonometric functions (normal)
         case 'sin':
             return Math.sin(applyAngleUnit(args[0], angleUnit));
@@ -87,7 +109,7 @@ function evaluateOperation(operator, args, angleUnit = 'DEG') {
             return Math.cos(applyAngleUnit(args[0], angleUnit));
         case 'tan':
             return Math.tan(applyAngleUnit(args[0], angleUnit));
-            
+        
         // Inverse trigonometric functions
         case 'sin⁻¹':
         case 'asin':
@@ -98,7 +120,7 @@ function evaluateOperation(operator, args, angleUnit = 'DEG') {
         case 'tan⁻¹':
         case 'atan':
             return applyInverseAngleUnit(Math.atan(args[0]), angleUnit);
-            
+        
         // Hyperbolic functions
         case 'sinh':
             return Math.sinh(args[0]);
@@ -106,34 +128,38 @@ function evaluateOperation(operator, args, angleUnit = 'DEG') {
             return Math.cosh(args[0]);
         case 'tanh':
             return Math.tanh(args[0]);
-            
+        
         // Logarithmic functions
         case 'log':
-            if (args[0] <= 0) throw new Error('Invalid domain for log');
+            if (args[0] <= 0) throw new MathError('Invalid domain for log');
             return Math.log10(args[0]);
         case 'ln':
-            if (args[0] <= 0) throw new Error('Invalid domain for ln');
+            if (args[0] <= 0) throw new MathError('Invalid domain for ln');
             return Math.log(args[0]);
-            
+        
         // Root functions
         case '√':
         case 'sqrt':
-            if (args[0] < 0) throw new Error('Invalid domain for sqrt');
+            if (args[0] < 0) throw new MathError('Invalid domain for sqrt');
             return Math.sqrt(args[0]);
         case '∛':
             return Math.cbrt(args[0]);
         case '∜':
             return Math.pow(args[0], 1/4);
-            
+        
         // Other functions
         case 'abs':
         case 'Abs':
             return Math.abs(args[0]);
-
+        
+        // Percent: 20% = 0.2
+        case '%':
+            return args[0] / 100;
+        
         // Combinatorics
         case '!':
             if (!Number.isInteger(args[0]) || args[0] < 0) {
-                throw new Error('Factorial requires non-negative integer');
+                throw new MathError('Factorial requires non-negative integer');
             }
             return MathUtils.factorial(args[0]);
         
@@ -142,132 +168,583 @@ function evaluateOperation(operator, args, angleUnit = 'DEG') {
         
         case 'nCr':
             return MathUtils.combination(args[0], args[1]);
-            
+        
+        default:
+            throw new CalcSyntaxError(`Unknown operator: ${operator}`);
+    }
+}
+
+/**
+ * Operators with a vector operand: VctA+VctB, 2VctA, VctA÷2,
+ * VctA×VctB (cross product) and VctA•VctB (dot product)
+ */
+function evaluateVectorOperation(operator, a, b) {
+    const both = Vector.isVector(a) && Vector.isVector(b);
+    
+    switch (operator) {
+        case '+':
+            if (both) return a.add(b);
+            break;
+        case '-':
+            if (both) return a.subtract(b);
+            break;
+        case '×':
+            if (both) return a.cross(b);
+            return Vector.isVector(a) ? a.scale(Fraction.toNumber(b)) : b.scale(Fraction.toNumber(a));
+        case '÷':
+        case '/':
+            if (!Vector.isVector(b)) return a.divide(Fraction.toNumber(b));
+            break;
+        case '•':
+            if (both) return a.dot(b);
+            break;
+    }
+    
+    throw new ArgumentError(`${operator} cannot combine these vector and number operands`);
+}
+
+/**
+ * Functions taking vectors: Abs(VctA) is the length, UnitV( the unit vector,
+ * Angle( the angle between two vectors in the current angle unit
+ */
+function evaluateVectorFunction(name, args, angleUnit = 'DEG') {
+    const [u, v] = args;
+    
+    switch (name) {
+        case 'abs':
+        case 'Abs':
+            return u.magnitude();
+        case 'UnitV':
+            if (Vector.isVector(u)) return u.unit();
+            break;
+        case 'Angle':
+            if (Vector.isVector(u) && Vector.isVector(v)) {
+                return applyInverseAngleUnit(u.angle(v), angleUnit);
+            }
+            break;
+    }
+    
+    throw new ArgumentError(`${name} cannot take these arguments`);
+}
+
+/**
+ * Number value of an operand that cannot be a vector (function arguments, limits)
+ */
+function toScalar(value) {
+    if (Vector.isVector(value)) {
+        throw new ArgumentError('A vector cannot be used here');
+    }
+    return Fraction.toNumber(value);
+}
+
+/**
+ * Pol(x,y) → [r, θ] and Rec(r,θ) → [x, y], with θ in the current angle unit
+ */
+function convertCoordinates(name, args, angleUnit = 'DEG') {
+    if (name === 'Pol') {
+        const [x, y] = args;
+        return [Math.hypot(x, y), applyInverseAngleUnit(Math.atan2(y, x), angleUnit)];
+    }
+    
+    const [r, theta] = args;
+    const radians = applyAngleUnit(theta, angleUnit);
+    
+    // Drop round-off such as cos(90°) = 6.1e-17 so Rec(2,90) gives x = 0
+    const clean = value => Math.abs(value) < Math.abs(r) * 1e-14 ? 0 : value;
+    return [clean(r * Math.cos(radians)), clean(r * Math.sin(radians))];
+}
+
+/**
+ * Attach the source span of the failing node to an error (innermost wins)
+ */
+function withSpan(error, node) {
+    if (error && !error.span && node && node.span) {
+        error.span = node.span;
+    }
+    return error;
+}
+
+/**
+ * Operators evaluated exactly when both operands are Fractions
+ * Returns null when the operation has no exact result worth keeping
+ */
+function evaluateExactOperation(operator, a, b) {
+    let result;
+    
+    switch (operator) {
+        case '+':
+            result = a.add(b);
+            break;
+        case '-':
+            result = a.subtract(b);
+            break;
+        case '×':
+            result = a.multiply(b);
+            break;
+        case '÷':
+        case '/':
+            result = a.divide(b);
+            break;
+        case '^':
+            result = b.isInteger() ? a.pow(b.numerator) : null;
+            break;
         default:
-            throw new Error(`Unknown operator: ${operator}`);
+            return null;
     }
+    
+    return result && !result.isUnwieldy() ? result : null;
 }
 
 /**
- * Evaluate RPN tokens
+ * Keep whole-number results exact so later arithmetic stays rational (√16÷3 = 4/3)
  */
-function evaluate(rpnTokens, context = {}) {
-    const stack = [];
-    const angleUnit = context.angleUnit || window.calculatorState?.angleUnit || 'DEG';
-    const memory = context.memory || window.calculatorState?.memory || {};
+function exactIfInteger(value) {
+    return Number.isSafeInteger(value) ? new Fraction(BigInt(value)) : value;
+}
+
+/**
+ * Lift a stored number (memory, Ans) into an exact Fraction where possible
+ */
+function toExact(value) {
+    if (typeof value !== 'number') return value;
+    return Fraction.fromNumber(value) || value;
+}
+
+/**
+ * Functions taking an angle, and the index of that argument
+ */
+const ANGLE_ARGUMENTS = { sin: 0, cos: 0, tan: 0, Rec: 1 };
+
+/**
+ * Functions returning two results (stored into X and Y)
+ */
+const COORDINATE_FUNCTIONS = ['Pol', 'Rec'];
+
+/**
+ * Labels for the two results of Pol( and Rec(
+ */
+const COORDINATE_LABELS = {
+    Pol: ['r', 'θ'],
+    Rec: ['x', 'y']
+};
+
+/**
+ * Variable bound by d/dx(f(X), a) and ∫(f(X), a, b)
+ */
+const BOUND_VARIABLE = 'X';
+
+/**
+ * How many leading arguments see the bound variable: f(X) for d/dx and ∫,
+ * the term and the loop variable itself for Σ(f(x), x, a, b) and Π(
+ */
+const BOUND_ARGUMENTS = { calculus: 1, series: 2 };
+
+/**
+ * Σ( and Π( stop with an error past this many terms or this many milliseconds
+ */
+const SERIES_MAX_TERMS = 100000;
+const SERIES_TIME_LIMIT = 2000;
+
+/**
+ * Variable a call binds (X for d/dx and ∫, the loop variable for Σ and Π), or null
+ */
+function boundVariableOf(node) {
+    switch (FUNCTIONS[node.name]?.type) {
+        case 'calculus':
+            return BOUND_VARIABLE;
+        case 'series': {
+            const counter = node.args[1];
+            return counter && counter.type === NodeType.VARIABLE ? counter.name : null;
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check whether argument index of a call is in the scope of its bound variable
+ */
+function isBoundArgument(node, index) {
+    return index < (BOUND_ARGUMENTS[FUNCTIONS[node.name]?.type] || 0);
+}
+
+/**
+ * Layered variable scope: each layer's bindings shadow its parent's,
+ * and names bound nowhere fall through to memory
+ */
+class VariableScope {
+    constructor(bindings = {}, parent = null) {
+        this.bindings = bindings;
+        this.parent = parent;
+    }
     
-    for (let i = 0; i < rpnTokens.length; i++) {
-        const token = rpnTokens[i];
+    /**
+     * Value bound to name in this layer or an outer one; undefined if unbound
+     */
+    lookup(name) {
+        if (Object.prototype.hasOwnProperty.call(this.bindings, name)) {
+            return this.bindings[name];
+        }
+        return this.parent ? this.parent.lookup(name) : undefined;
+    }
+    
+    /**
+     * New inner layer binding name to value
+     */
+    bind(name, value) {
+        return new VariableScope({ [name]: value }, this);
+    }
+}
+
+/**
+ * Context with a variable bound to a value in a new scope layer
+ * Memory is never written, so nested and concurrent bindings cannot leak
+ */
+function withVariable(context, name, value) {
+    const scope = context.scope || new VariableScope();
+    return { ...context, scope: scope.bind(name, value) };
+}
+
+/**
+ * The body of d/dx or ∫ as a function of its bound variable
+ */
+function boundFunction(body, context) {
+    return x => toScalar(evaluateNode(body, withVariable(context, BOUND_VARIABLE, x)));
+}
+
+/**
+ * d/dx(f(X), a): the derivative of the first argument with respect to X at X = a
+ */
+function evaluateDerivative(node, context) {
+    const [body, point] = node.args;
+    const a = toScalar(evaluateNode(point, context));
+    
+    return differentiate(boundFunction(body, context), a);
+}
+
+/**
+ * ∫(f(X), a, b): the definite integral of the first argument over X from a to b
+ */
+function evaluateIntegral(node, context) {
+    const [body, lower, upper] = node.args;
+    const a = toScalar(evaluateNode(lower, context));
+    const b = toScalar(evaluateNode(upper, context));
+    
+    return integrate(boundFunction(body, context), a, b);
+}
+
+/**
+ * Add a term to a sum or multiply it into a product, exactly while both are Fractions
+ */
+function accumulateSeries(name, total, term) {
+    if (Fraction.isFraction(total) && Fraction.isFraction(term)) {
+        const exact = name === 'Σ' ? total.add(term) : total.multiply(term);
+        if (!exact.isUnwieldy()) return exact;
+    }
+    
+    const a = Fraction.toNumber(total);
+    const b = toScalar(term);
+    return name === 'Σ' ? a + b : a * b;
+}
+
+/**
+ * Σ(f(x), x, a, b) and Π(f(x), x, a, b) over x = a, a+1, ..., b
+ * Integer limits keep the loop variable and the running total exact
+ */
+function evaluateSeries(node, context) {
+    const [body, counter, lower, upper] = node.args;
+    const variable = boundVariableOf(node);
+    
+    if (!variable) {
+        throw new ArgumentError(`${node.name} needs a variable as its second argument`);
+    }
+    
+    const a = toScalar(evaluateNode(lower, context));
+    const b = toScalar(evaluateNode(upper, context));
+    
+    if (!Number.isFinite(a) || !Number.isFinite(b) || a > b) {
+        throw new MathError(`${node.name} needs a lower limit no greater than the upper limit`);
+    }
+    
+    const terms = Math.floor(b - a) + 1;
+    if (terms > SERIES_MAX_TERMS) {
+        throw new MathError(`${node.name} has too many terms (limit ${SERIES_MAX_TERMS})`);
+    }
+    
+    // Nested loops share the outermost deadline, since their terms multiply
+    const loopContext = { ...context, seriesDeadline: context.seriesDeadline || Date.now() + SERIES_TIME_LIMIT };
+    const exact = Number.isSafeInteger(a) && Number.isSafeInteger(b);
+    let total = new Fraction(node.name === 'Σ' ? 0n : 1n);
+    
+    for (let i = 0; i < terms; i++) {
+        const value = exact ? new Fraction(BigInt(a + i)) : a + i;
+        const term = evaluateNode(body, withVariable(loopContext, variable, value));
+        total = accumulateSeries(node.name, total, term);
         
-        switch (token.type) {
-            case TokenType.NUMBER:
-                stack.push(token.value);
-                break;
+        if (!Number.isFinite(Fraction.toNumber(total))) {
+            throw new MathError(`${node.name} overflow`);
+        }
+        if (Date.now() > loopContext.seriesDeadline) {
+            throw new MathError(`${node.name} is taking too long`);
+        }
+    }
+    
+    return total;
+}
+
+/**
+ * Check whether an expression is a DMS angle: a DMS literal, or a sum,
+ * difference, multiple or quotient of one (2°30° + 1°15°, 12°30° × 2)
+ */
+function isDmsExpression(node) {
+    if (!node) return false;
+    
+    switch (node.type) {
+        case NodeType.NUMBER:
+            return !!node.dms;
+        case NodeType.GROUP:
+            return isDmsExpression(node.expression);
+        case NodeType.UNARY:
+            return isDmsExpression(node.operand);
+        case NodeType.BINARY:
+            if (['+', '-', '×'].includes(node.operator)) {
+                return isDmsExpression(node.left) || isDmsExpression(node.right);
+            }
+            if (node.operator === '÷' || node.operator === '/') {
+                return isDmsExpression(node.left);
+            }
+            return false;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Angle unit for a call: DMS angles are always degrees, whatever the setting
+ */
+function angleUnitFor(node, angleUnit) {
+    const index = ANGLE_ARGUMENTS[node.name];
+    return index !== undefined && isDmsExpression(node.args[index]) ? 'DEG' : angleUnit;
+}
+
+/**
+ * Evaluate an AST node
+ * Returns a number, or a number/Fraction when context.exact is set
+ * context.scope (a VariableScope) binds variables that shadow context.memory
+ */
+function evaluate(node, context = {}) {
+    const result = evaluateNode(node, context);
+    
+    // Exact results can outgrow a number too (10^400)
+    const value = Fraction.toNumber(result);
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+        throw withSpan(new MathError('Result is not a finite number'), node);
+    }
+    return context.exact ? result : value;
+}
+
+/**
+ * Recursively evaluate an AST node to a number or Fraction
+ */
+function evaluateNode(node, context) {
+    const angleUnit = context.angleUnit || 'DEG';
+    const memory = context.memory || {};
+    
+    try {
+        switch (node.type) {
+            case NodeType.NUMBER:
+                if (node.dms) {
+                    return dmsToFraction(...node.dms.map(part => Fraction.fromString(part)));
+                }
+                if (node.prefix) {
+                    return Fraction.fromString(`${node.raw}e${ENGINEERING_SYMBOLS[node.prefix]}`);
+                }
+                return Fraction.fromString(node.raw);
+            
+            case NodeType.CONSTANT:
+                if (CONSTANTS[node.name] !== undefined) {
+                    return CONSTANTS[node.name];
+                }
+                throw new CalcSyntaxError(`Unknown constant: ${node.name}`);
+            
+            case NodeType.VARIABLE: {
+                if (VECTOR_NAMES.includes(node.name)) {
+                    const vector = context.vectors ? context.vectors[node.name] : null;
+                    if (vector) return vector;
+                    throw new DimensionError(`${node.name} is not defined`);
+                }
+                
+                // Look up variable in the bound scope, then memory
+                if (node.name === 'Ans') {
+                    const ansValue = context.lastAns;
+                    return ansValue !== null && ansValue !== undefined ? toExact(ansValue) : new Fraction(0n);
+                }
+                
+                const boundValue = context.scope ? context.scope.lookup(node.name) : undefined;
+                const varValue = boundValue !== undefined ? boundValue : memory[node.name];
+                if (varValue !== null && varValue !== undefined) {
+                    return toExact(varValue);
+                }
+                throw new MathError(`Undefined variable: ${node.name}`);
+            }
+            
+            case NodeType.GROUP:
+                return evaluateNode(node.expression, context);
+            
+            case NodeType.UNARY: {
+                const operand = evaluateNode(node.operand, context);
+                if (node.operator !== '-') return operand;
+                if (Vector.isVector(operand)) return operand.negate();
+                return Fraction.isFraction(operand) ? operand.negate() : -operand;
+            }
+            
+            case NodeType.BINARY: {
+                const a = evaluateNode(node.left, context);
+                const b = evaluateNode(node.right, context);
                 
-            case TokenType.CONSTANT:
-                if (CONSTANTS[token.value] !== undefined) {
-                    stack.push(CONSTANTS[token.value]);
-                } else {
-                    throw new Error(`Unknown constant: ${token.value}`);
+                if (Vector.isVector(a) || Vector.isVector(b)) {
+                    return evaluateVectorOperation(node.operator, a, b);
                 }
-                break;
                 
-            case TokenType.VARIABLE:
-                // Look up variable in memory
-                if (token.value === 'Ans') {
-                    const ansValue = context.lastAns !== undefined ? context.lastAns : window.calculatorState?.lastAns;
-                    if (ansValue !== null && ansValue !== undefined) {
-                        stack.push(ansValue);
-                    } else {
-                        stack.push(0);
-                    }
-                } else {
-                    const varValue = memory[token.value];
-                    if (varValue !== null && varValue !== undefined) {
-                        stack.push(varValue);
-                    } else {
-                        throw new Error(`Undefined variable: ${token.value}`);
-                    }
+                if (Fraction.isFraction(a) && Fraction.isFraction(b)) {
+                    const exact = evaluateExactOperation(node.operator, a, b);
+                    if (exact) return exact;
                 }
-                break;
                 
-            case TokenType.OPERATOR:
-                if (stack.length < 2) {
-                    throw new Error('Insufficient operands for operator');
+                const args = [Fraction.toNumber(a), Fraction.toNumber(b)];
+                return exactIfInteger(evaluateOperation(node.operator, args, angleUnit));
+            }
+            
+            case NodeType.POSTFIX: {
+                const value = evaluateNode(node.operand, context);
+                if (node.operator === '%' && Fraction.isFraction(value)) {
+                    return value.divide(new Fraction(100n));
                 }
-                const b = stack.pop();
-                const a = stack.pop();
-                const result = evaluateOperation(token.value, [a, b], angleUnit);
-                stack.push(result);
-                break;
                 
-            case TokenType.FUNCTION:
-                const funcInfo = FUNCTIONS[token.value];
+                const operand = toScalar(value);
+                return exactIfInteger(evaluateOperation(node.operator, [operand], angleUnit));
+            }
+            
+            case NodeType.CALL: {
+                const funcInfo = FUNCTIONS[node.name];
                 if (!funcInfo) {
-                    throw new Error(`Unknown function: ${token.value}`);
+                    throw new CalcSyntaxError(`Unknown function: ${node.name}`);
+                }
+                
+                if (node.args.length !== funcInfo.args) {
+                    throw new ArgumentError(`Insufficient arguments for function ${node.name}`);
                 }
                 
-                if (stack.length < funcInfo.args) {
-                    throw new Error(`Insufficient arguments for function ${token.value}`);
+                if (node.name === 'd/dx') {
+                    return evaluateDerivative(node, context);
+                }
+                if (node.name === '∫') {
+                    return evaluateIntegral(node, context);
                 }
+                if (funcInfo.type === 'series') {
+                    return evaluateSeries(node, context);
+                }
+                
+                const values = node.args.map(arg => evaluateNode(arg, context));
+                const unit = angleUnitFor(node, angleUnit);
                 
-                const args = [];
-                for (let j = 0; j < funcInfo.args; j++) {
-                    args.unshift(stack.pop());
+                if (funcInfo.type === 'vector' || values.some(Vector.isVector)) {
+                    return exactIfInteger(evaluateVectorFunction(node.name, values, unit));
                 }
                 
-                const funcResult = evaluateOperation(token.value, args, angleUnit);
-                stack.push(funcResult);
-                break;
+                const args = values.map(value => Fraction.toNumber(value));
+                
+                // Inside a larger expression Pol( and Rec( contribute their first result
+                if (COORDINATE_FUNCTIONS.includes(node.name)) {
+                    return exactIfInteger(convertCoordinates(node.name, args, unit)[0]);
+                }
                 
+                return exactIfInteger(evaluateOperation(node.name, args, unit));
+            }
+            
+            case NodeType.EMPTY:
+                throw new CalcSyntaxError('Missing operand');
+            
             default:
-                throw new Error(`Unknown token type: ${token.type}`);
+                throw new CalcSyntaxError(`Unknown node type: ${node.type}`);
         }
+    } catch (error) {
+        throw withSpan(error, node);
     }
-    
-    if (stack.length !== 1) {
-        throw new Error('Invalid expression: stack has ' + stack.length + ' items');
+}
+
+/**
+ * Ans as the evaluator should see it: the exact last result while it is still current
+ */
+function getAnsValue(state) {
+    const exact = state.lastResult;
+    if (Fraction.isFraction(exact) && exact.toNumber() === state.lastAns) {
+        return exact;
     }
-    
-    return stack[0];
+    return state.lastAns;
 }
 
 /**
  * Evaluate an expression string (main entry point)
  */
 function evaluateExpression(expression, context = {}) {
+    // Parse to AST
+    const ast = parse(expression, { engSymbols: context.engSymbols });
+    
+    // Evaluate AST
+    return evaluate(ast, context);
+}
+
+/**
+ * Evaluate a standalone Pol( or Rec( call to both of its results
+ * Returns null when the expression is anything else
+ * @returns {{ name: string, labels: string[], values: number[] } | null}
+ */
+function evaluateCoordinates(expression, context = {}) {
+    if (!/^\s*(Pol|Rec)\(/.test(expression)) return null;
+    
+    const ast = parse(expression, { engSymbols: context.engSymbols });
+    if (ast.type !== NodeType.CALL || !COORDINATE_FUNCTIONS.includes(ast.name)) return null;
+    
     try {
-        console.log('📊 Evaluating expression:', expression);
-        
-        // Parse to RPN
-        const rpn = parse(expression);
-        
-        // Evaluate RPN
-        const result = evaluate(rpn, context);
-        
-        console.log('✅ Result:', result);
-        return result;
-        
+        const args = ast.args.map(arg => toScalar(evaluateNode(arg, context)));
+        const angleUnit = context.angleUnit || 'DEG';
+        return {
+            name: ast.name,
+            labels: COORDINATE_LABELS[ast.name],
+            values: convertCoordinates(ast.name, args, angleUnitFor(ast, angleUnit))
+        };
     } catch (error) {
-        console.error('❌ Evaluation error:', error.message);
-        throw error;
+        throw withSpan(error, ast);
     }
 }
 
 /**
- * Helper: Evaluate with current calculator state
+ * Evaluation context for a calculator state (angle unit, memory, Ans, vectors, engineering symbols)
  */
-function evaluateWithState(expression) {
-    const state = window.calculatorState;
-    return evaluateExpression(expression, {
+function getStateContext(state, options = {}) {
+    return {
         angleUnit: state.angleUnit,
         memory: state.memory,
-        lastAns: state.lastAns  
-    });
+        lastAns: getAnsValue(state),
+        vectors: state.vectors,
+        engSymbols: state.engSymbols,
+        ...options
+    };
 }
 
 // Export functions
-window.evaluate = evaluate;
-window.evaluateExpression = evaluateExpression;
-window.evaluateWithState = evaluateWithState;
-window.evaluateOperation = evaluateOperation;
\ No newline at end of file
+export {
+    evaluate,
+    evaluateExpression,
+    evaluateCoordinates,
+    getStateContext,
+    getAnsValue,
+    VariableScope,
+    withVariable,
+    evaluateOperation,
+    applyInverseAngleUnit,
+    isDmsExpression,
+    boundVariableOf,
+    isBoundArgument
+};
@@ -0,0 +1,86 @@
+/**
+ * Formulas
+ * Equations, assignments and the memory variables a formula uses (CALC, SOLVE, =)
+ */
+
+import { tryParse, NodeType } from './parser.js';
+import { boundVariableOf, isBoundArgument } from './evaluator.js';
+
+/**
+ * Registers CALC prompts for, in the order the calculator asks for them
+ */
+const CALC_VARIABLES = ['A', 'B', 'C', 'D', 'E', 'F', 'X', 'Y', 'M'];
+
+/**
+ * Split an equation at its '=' sign; null if there is none
+ * rhsOffset is where the right side starts in the expression
+ */
+function splitEquation(expression) {
+    const index = expression.indexOf('=');
+    if (index === -1) return null;
+    
+    return {
+        lhs: expression.slice(0, index),
+        rhs: expression.slice(index + 1),
+        rhsOffset: index + 1
+    };
+}
+
+/**
+ * Split an assignment such as Y=X²+1 into its target register and formula
+ * (offset: where the formula starts); null when the left side is not a single register
+ */
+function splitAssignment(expression) {
+    const equation = splitEquation(expression);
+    const target = equation ? equation.lhs.trim() : '';
+    
+    if (!CALC_VARIABLES.includes(target)) return null;
+    
+    return { target, formula: equation.rhs, offset: equation.rhsOffset };
+}
+
+/**
+ * Memory variables used by an expression, in order of first appearance
+ * Variables bound by d/dx, ∫, Σ or Π are not prompted for inside their function argument
+ */
+function findVariables(expression, options = {}) {
+    const names = [];
+    
+    const visit = (node, bound) => {
+        if (!node) return;
+        
+        switch (node.type) {
+            case NodeType.VARIABLE:
+                if (CALC_VARIABLES.includes(node.name) &&
+                    !bound.includes(node.name) &&
+                    !names.includes(node.name)) {
+                    names.push(node.name);
+                }
+                break;
+            case NodeType.GROUP:
+                visit(node.expression, bound);
+                break;
+            case NodeType.UNARY:
+            case NodeType.POSTFIX:
+                visit(node.operand, bound);
+                break;
+            case NodeType.BINARY:
+                visit(node.left, bound);
+                visit(node.right, bound);
+                break;
+            case NodeType.CALL: {
+                const variable = boundVariableOf(node);
+                node.args.forEach((arg, index) => {
+                    visit(arg, variable && isBoundArgument(node, index) ? [...bound, variable] : bound);
+                });
+                break;
+            }
+        }
+    };
+    
+    visit(tryParse(expression, options), []);
+    return names;
+}
+
+// Export functions
+export { splitEquation, splitAssignment, findVariables, CALC_VARIABLES };
@@ -0,0 +1,430 @@
+/**
+ * Graph Panel
+ * Plots expressions in X next to the calculator: dragging or the arrow buttons pan, the wheel
+ * and +/− zoom, and a trace cursor follows the mouse (◀/▶ on the focused graph, ▲/▼ change curve)
+ * Roots, extrema and intersections are marked on the curves and listed under the graph
+ */
+
+/**
+ * Curve colours, in plot order (repeating after the last)
+ */
+const GRAPH_COLORS = ['#1f4e9c', '#c0392b', '#2e7d32', '#8e44ad'];
+
+/**
+ * Fraction of the view a pan button moves it
+ */
+const GRAPH_PAN_STEP = 0.1;
+
+/**
+ * Scale of one zoom in; zooming out divides by it
+ */
+const GRAPH_ZOOM_STEP = 0.8;
+
+/**
+ * Milliseconds after the last wheel step before the features are found again
+ */
+const GRAPH_WHEEL_SETTLE_MS = 150;
+
+/**
+ * Most grid lines drawn across the view in each direction
+ */
+const GRAPH_MAX_GRID_LINES = 100;
+
+/**
+ * Names in the feature list
+ */
+const GRAPH_FEATURE_LABELS = {
+    root: 'Root',
+    maximum: 'Max',
+    minimum: 'Min',
+    intersection: 'Intersection'
+};
+
+class GraphPanel {
+    constructor() {
+        this.view = { ...DEFAULT_VIEW };
+        this.expressions = [];
+        this.functions = [];
+        this.features = [];
+        this.curves = [];           // Sampled pieces per function, for the current view
+        this.trace = null;          // { curve, x } while tracing
+        this.drag = null;           // { px, py, view } while dragging the graph
+        this.wheelFrame = null;     // Pending redraw while the wheel zooms
+        this.wheelTimer = null;     // Pending feature search once the wheel stops
+        this.elements = null;       // The panel's elements, once init() has found them
+    }
+    
+    /**
+     * Find the panel in the page and bind its controls, once (no panel, nothing to do)
+     */
+    init() {
+        const panel = document.getElementById('graph-panel');
+        if (!panel || this.elements) return;
+        
+        this.elements = {
+            input: document.getElementById('graph-expressions'),
+            canvas: document.getElementById('graph-canvas'),
+            trace: document.getElementById('graph-trace'),
+            error: document.getElementById('graph-error'),
+            features: document.getElementById('graph-features')
+        };
+        const { input, canvas } = this.elements;
+        
+        input.addEventListener('change', () => this.plot(input.value));
+        panel.querySelectorAll('[data-graph]').forEach(button => {
+            button.addEventListener('click', () => this.command(button.dataset.graph));
+        });
+        
+        canvas.addEventListener('mousedown', event => this.startDrag(event));
+        canvas.addEventListener('mousemove', event => this.handleMouseMove(event));
+        canvas.addEventListener('mouseup', () => this.endDrag());
+        canvas.addEventListener('mouseleave', () => this.endDrag());
+        canvas.addEventListener('wheel', event => this.handleWheel(event));
+        canvas.addEventListener('keydown', event => this.handleKey(event));
+        
+        this.render();
+    }
+    
+    /**
+     * Plot expressions in X separated by ";" (a blank text clears the graph)
+     * A syntax error leaves the graph as it was and shows the error screen
+     */
+    plot(text) {
+        const expressions = text.split(';').map(expression => expression.trim()).filter(Boolean);
+        
+        let functions;
+        try {
+            functions = expressions.map(expression => graphFunction(expression, window.getStateContext()));
+        } catch (error) {
+            this.showError(errorScreen(error));
+            return false;
+        }
+        
+        this.showError(null);
+        this.expressions = expressions;
+        this.functions = functions;
+        this.trace = null;
+        this.update();
+        return true;
+    }
+    
+    /**
+     * Run a panel button: left, right, up, down, zoom-in, zoom-out or reset
+     */
+    command(name) {
+        const pans = { left: [-1, 0], right: [1, 0], up: [0, 1], down: [0, -1] };
+        
+        if (pans[name]) {
+            const [dx, dy] = pans[name];
+            this.pan(dx * GRAPH_PAN_STEP, dy * GRAPH_PAN_STEP);
+        } else if (name === 'zoom-in') {
+            this.zoom(GRAPH_ZOOM_STEP);
+        } else if (name === 'zoom-out') {
+            this.zoom(1 / GRAPH_ZOOM_STEP);
+        } else if (name === 'reset') {
+            this.setView({ ...DEFAULT_VIEW });
+        }
+    }
+    
+    /**
+     * Move the view by a fraction of its width and height
+     */
+    pan(dx, dy = 0) {
+        this.setView(panView(this.view, dx, dy));
+    }
+    
+    /**
+     * Scale the view about a point (the centre by default)
+     */
+    zoom(factor, center = null) {
+        this.setView(zoomView(this.view, factor, center));
+    }
+    
+    /**
+     * Show a new view, with its features found again
+     */
+    setView(view) {
+        this.view = view;
+        this.update();
+    }
+    
+    /**
+     * Sample the curves and find the features in the view, then redraw
+     */
+    update() {
+        const { xMin, xMax } = this.view;
+        this.features = this.functions.length > 0 ? findGraphFeatures(this.functions, xMin, xMax) : [];
+        this.sampleCurves();
+        this.render();
+    }
+    
+    /**
+     * Sample each curve across the view, one point per pixel column; drawing reuses these
+     * until the view or the functions change
+     */
+    sampleCurves() {
+        const { xMin, xMax } = this.view;
+        this.curves = this.functions.map(f => sampleCurve(f, xMin, xMax, this.sampleCount()));
+    }
+    
+    /**
+     * Samples across the view: one per pixel column of the canvas
+     */
+    sampleCount() {
+        return this.elements ? this.elements.canvas.width : GRAPH_SAMPLES;
+    }
+    
+    /**
+     * Put the trace cursor at x on a curve (the traced one by default)
+     */
+    traceTo(x, curve = this.trace ? this.trace.curve : 0) {
+        if (this.functions.length === 0) return;
+        
+        this.trace = { curve: Math.min(Math.max(curve, 0), this.functions.length - 1), x };
+        this.render();
+    }
+    
+    /**
+     * The traced point { curve, x, y }, y NaN where the curve has no value; null when not tracing
+     */
+    getTracePoint() {
+        if (!this.trace) return null;
+        
+        const { curve, x } = this.trace;
+        return { curve, x, y: this.functions[curve](x) };
+    }
+    
+    /**
+     * ◀/▶ move the trace by one sample, ▲/▼ move it to the previous / next curve
+     */
+    handleKey(event) {
+        if (this.functions.length === 0) return;
+        
+        const step = (this.view.xMax - this.view.xMin) / this.sampleCount();
+        const trace = this.trace || { curve: 0, x: (this.view.xMin + this.view.xMax) / 2 };
+        const moves = {
+            ArrowLeft: () => this.traceTo(trace.x - step, trace.curve),
+            ArrowRight: () => this.traceTo(trace.x + step, trace.curve),
+            ArrowUp: () => this.traceTo(trace.x, (trace.curve + this.functions.length - 1) % this.functions.length),
+            ArrowDown: () => this.traceTo(trace.x, (trace.curve + 1) % this.functions.length)
+        };
+        
+        if (moves[event.key]) {
+            event.preventDefault();
+            moves[event.key]();
+        }
+    }
+    
+    /**
+     * A mouse position as graph coordinates
+     */
+    pointerToGraph(event) {
+        const { canvas } = this.elements;
+        const rect = canvas.getBoundingClientRect();
+        return viewTransform(this.view, canvas.width, canvas.height)
+            .toGraph(event.clientX - rect.left, event.clientY - rect.top);
+    }
+    
+    /**
+     * The wheel zooms about the pointer; the curves are redrawn once per frame
+     * and the features found again once the wheel stops
+     */
+    handleWheel(event) {
+        event.preventDefault();
+        this.view = zoomView(this.view, event.deltaY < 0 ? GRAPH_ZOOM_STEP : 1 / GRAPH_ZOOM_STEP,
+            this.pointerToGraph(event));
+        
+        if (this.wheelFrame === null) {
+            this.wheelFrame = requestAnimationFrame(() => {
+                this.wheelFrame = null;
+                this.sampleCurves();
+                this.render();
+            });
+        }
+        
+        clearTimeout(this.wheelTimer);
+        this.wheelTimer = setTimeout(() => {
+            this.wheelTimer = null;
+            this.update();
+        }, GRAPH_WHEEL_SETTLE_MS);
+    }
+    
+    startDrag(event) {
+        this.drag = { px: event.clientX, py: event.clientY, view: this.view };
+    }
+    
+    /**
+     * Dragging pans (features are found again when it ends); otherwise the trace follows the mouse
+     */
+    handleMouseMove(event) {
+        if (!this.drag) {
+            this.traceTo(this.pointerToGraph(event).x);
+            return;
+        }
+        
+        const { canvas } = this.elements;
+        this.view = panView(this.drag.view,
+            -(event.clientX - this.drag.px) / canvas.width,
+            (event.clientY - this.drag.py) / canvas.height);
+        this.sampleCurves();
+        this.render();
+    }
+    
+    endDrag() {
+        if (!this.drag) return;
+        
+        const moved = this.drag.view !== this.view;
+        this.drag = null;
+        if (moved) this.update();
+    }
+    
+    showError(message) {
+        if (!this.elements) return;
+        this.elements.error.textContent = message || '';
+    }
+    
+    render() {
+        if (!this.elements) return;
+        this.renderTrace();
+        this.renderFeatures();
+        this.draw();
+    }
+    
+    /**
+     * Trace readout: "Y1: X=2 Y=4"
+     */
+    renderTrace() {
+        const point = this.getTracePoint();
+        if (!point) {
+            this.elements.trace.textContent = '';
+            return;
+        }
+        
+        const y = Number.isFinite(point.y) ? formatNumber(point.y) : 'ERROR';
+        this.elements.trace.textContent = `Y${point.curve + 1}: X=${formatNumber(point.x)} Y=${y}`;
+    }
+    
+    /**
+     * One line per feature: "Root X=1.414213562 Y=0", "Intersection Y1,Y2 X=2 Y=4"
+     */
+    renderFeatures() {
+        const list = this.elements.features;
+        list.innerHTML = '';
+        
+        this.features.forEach(feature => {
+            const curves = feature.curves.map(curve => `Y${curve + 1}`).join(',');
+            const item = document.createElement('li');
+            item.className = `graph-feature graph-feature-${feature.kind}`;
+            item.textContent = `${GRAPH_FEATURE_LABELS[feature.kind]} ${curves} X=${formatNumber(feature.x)} Y=${formatNumber(feature.y)}`;
+            list.appendChild(item);
+        });
+    }
+    
+    /**
+     * Draw grid, axes, curves, markers and trace cursor (nothing where the canvas has no 2D context)
+     */
+    draw() {
+        const { canvas } = this.elements;
+        const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+        if (!ctx) return;
+        
+        const { width, height } = canvas;
+        const { toScreen } = viewTransform(this.view, width, height);
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        this.drawAxes(ctx, toScreen, width, height);
+        
+        // Each piece is its own path, so discontinuities stay gaps
+        this.curves.forEach((pieces, index) => {
+            ctx.strokeStyle = GRAPH_COLORS[index % GRAPH_COLORS.length];
+            ctx.lineWidth = 2;
+            pieces.forEach(piece => {
+                ctx.beginPath();
+                piece.forEach(({ x, y }, i) => {
+                    const { px, py } = toScreen(x, y);
+                    if (i === 0) ctx.moveTo(px, py);
+                    else ctx.lineTo(px, py);
+                });
+                ctx.stroke();
+            });
+        });
+        
+        this.features.forEach(feature => {
+            const { px, py } = toScreen(feature.x, feature.y);
+            ctx.fillStyle = feature.kind === 'intersection' ? '#000000' : GRAPH_COLORS[feature.curves[0] % GRAPH_COLORS.length];
+            ctx.beginPath();
+            ctx.arc(px, py, 4, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+        
+        const point = this.getTracePoint();
+        if (point && Number.isFinite(point.y)) {
+            const { px, py } = toScreen(point.x, point.y);
+            ctx.strokeStyle = '#888888';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(px, 0);
+            ctx.lineTo(px, height);
+            ctx.moveTo(0, py);
+            ctx.lineTo(width, py);
+            ctx.stroke();
+        }
+    }
+    
+    /**
+     * Grid lines at a round spacing (1, 2 or 5 × a power of 10, about ten across) and the X and Y axes
+     */
+    drawAxes(ctx, toScreen, width, height) {
+        const { xMin, xMax, yMin, yMax } = this.view;
+        const rough = (xMax - xMin) / 10;
+        const power = 10 ** Math.floor(Math.log10(rough));
+        const spacing = [1, 2, 5, 10].map(m => m * power).find(s => s >= rough);
+        
+        ctx.strokeStyle = '#e6e6e6';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        gridValues(xMin, xMax, spacing).forEach(x => {
+            const { px } = toScreen(x, 0);
+            ctx.moveTo(px, 0);
+            ctx.lineTo(px, height);
+        });
+        gridValues(yMin, yMax, spacing).forEach(y => {
+            const { py } = toScreen(0, y);
+            ctx.moveTo(0, py);
+            ctx.lineTo(width, py);
+        });
+        ctx.stroke();
+        
+        const origin = toScreen(0, 0);
+        ctx.strokeStyle = '#333333';
+        ctx.beginPath();
+        ctx.moveTo(0, origin.py);
+        ctx.lineTo(width, origin.py);
+        ctx.moveTo(origin.px, 0);
+        ctx.lineTo(origin.px, height);
+        ctx.stroke();
+    }
+}
+
+/**
+ * Multiples of spacing from min to max, counted by index so each line moves on even where
+ * spacing is tiny next to the coordinates; none when there would be too many
+ */
+function gridValues(min, max, spacing) {
+    const first = Math.ceil(min / spacing);
+    const last = Math.floor(max / spacing);
+    
+    if (!Number.isSafeInteger(first) || !Number.isSafeInteger(last) || last - first > GRAPH_MAX_GRID_LINES) {
+        return [];
+    }
+    return Array.from({ length: Math.max(0, last - first + 1) }, (_, i) => (first + i) * spacing);
+}
+
+// Create global instance
+const graphPanel = new GraphPanel();
+
+// Export
+window.GraphPanel = GraphPanel;
+window.graphPanel = graphPanel;
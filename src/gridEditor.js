@@ -0,0 +1,177 @@
+/**
+ * Grid Editor
+ * Cell-by-cell entry of numbers (vector components, EQN coefficients, TABLE X values): the d-pad moves
+ * between cells, a typed entry is stored into the current cell with =, and AC leaves the editor
+ * A null cell has no value and shows as ERROR
+ */
+
+class GridEditor {
+    constructor() {
+        this.grid = null;       // { title, headers, values, row, col, top, ... } while editing
+    }
+    
+    /**
+     * Open the editor on a grid of numbers, starting at the first cell
+     * @param {Object} grid - { title, values (array of rows), headers (optional column names,
+     *   which also number the rows), onChange(values) called after each stored cell,
+     *   onDone(values) for = with nothing typed, keepOnClear to stay open on AC,
+     *   visibleRows to show only that many rows, scrolling with the current cell,
+     *   editableColumns to take entries in those columns only }
+     */
+    open({
+        title = null,
+        values,
+        headers = null,
+        onChange = () => {},
+        onDone = null,
+        keepOnClear = false,
+        visibleRows = null,
+        editableColumns = null
+    }) {
+        this.grid = {
+            title,
+            headers,
+            values: values.map(row => [...row]),
+            row: 0,
+            col: 0,
+            top: 0,
+            onChange,
+            onDone,
+            keepOnClear,
+            visibleRows,
+            editableColumns
+        };
+        console.log(`✏️ Editing ${title || headers.join('')}`);
+    }
+    
+    /**
+     * Check if the editor is open
+     */
+    isOpen() {
+        return this.grid !== null;
+    }
+    
+    /**
+     * Leave the editor
+     */
+    close() {
+        this.grid = null;
+    }
+    
+    /**
+     * AC: leave the editor, unless it is the mode's own screen (the EQN coefficients)
+     */
+    clear() {
+        if (this.grid && !this.grid.keepOnClear) {
+            this.close();
+        }
+    }
+    
+    /**
+     * Move the current cell one step; stops at the edges
+     */
+    move(direction) {
+        const grid = this.grid;
+        const steps = { left: [0, -1], right: [0, 1], up: [-1, 0], down: [1, 0] };
+        const [dRow, dCol] = steps[direction] || [0, 0];
+        const row = grid.row + dRow;
+        const col = grid.col + dCol;
+        
+        if (row >= 0 && row < grid.values.length && col >= 0 && col < grid.values[row].length) {
+            grid.row = row;
+            grid.col = col;
+            this.scrollToCurrent();
+        }
+    }
+    
+    /**
+     * Scroll the shown rows so the current cell stays in view
+     */
+    scrollToCurrent() {
+        const grid = this.grid;
+        if (!grid.visibleRows) return;
+        
+        grid.top = Math.min(Math.max(grid.top, grid.row - grid.visibleRows + 1), grid.row);
+    }
+    
+    /**
+     * Rows on the display: { start, end } (end exclusive)
+     */
+    getVisibleRange() {
+        const { top, visibleRows, values } = this.grid;
+        return visibleRows
+            ? { start: top, end: Math.min(top + visibleRows, values.length) }
+            : { start: 0, end: values.length };
+    }
+    
+    /**
+     * Check if the current cell takes entries
+     */
+    isEditable() {
+        const { col, editableColumns } = this.grid;
+        return !editableColumns || editableColumns.includes(col);
+    }
+    
+    /**
+     * Replace the cells (a TABLE row recalculated after its X changed); the current cell stays
+     */
+    setValues(values) {
+        this.grid.values = values.map(row => [...row]);
+    }
+    
+    /**
+     * Store a typed entry into the current cell and move on to the next one
+     * The entry is evaluated, so 1÷3, √2 and memories work as on the device
+     * Returns false, storing nothing, when the current cell does not take entries
+     */
+    submit(entry) {
+        if (!this.isEditable()) return false;
+        
+        const value = evaluateWithState(entry);
+        if (Vector.isVector(value)) {
+            throw new ArgumentError('A cell holds a number');
+        }
+        
+        const grid = this.grid;
+        grid.values[grid.row][grid.col] = value;
+        grid.onChange(grid.values.map(row => [...row]));
+        
+        // On to the next cell that takes entries, along the row and then down; the last one stays
+        const cells = grid.values.flatMap((cells, row) => cells.map((value, col) => [row, col]));
+        const next = cells.find(([row, col]) =>
+            (row > grid.row || (row === grid.row && col > grid.col)) &&
+            (!grid.editableColumns || grid.editableColumns.includes(col)));
+        if (next) {
+            [grid.row, grid.col] = next;
+        }
+        
+        this.scrollToCurrent();
+        return true;
+    }
+    
+    /**
+     * = with nothing typed: hand the grid to onDone (solve the equations)
+     */
+    done() {
+        if (this.grid.onDone) {
+            this.grid.onDone(this.grid.values.map(row => [...row]));
+        }
+    }
+    
+    /**
+     * The current cell: { row, col, value, header }
+     */
+    getCell() {
+        if (!this.grid) return null;
+        
+        const { row, col, values, headers } = this.grid;
+        return { row, col, value: values[row][col], header: headers ? headers[col] : null };
+    }
+}
+
+// Create global instance
+const gridEditor = new GridEditor();
+
+// Export
+window.GridEditor = GridEditor;
+window.gridEditor = gridEditor;
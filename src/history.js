@@ -33,7 +33,7 @@ class HistoryManager {
         this.currentIndex = -1;
         this.tempBuffer = '';
         
-        console.log(`📝 History: Added "${expression}" = ${result}`);
+        console.log(`📝 History: Added "${expression}" = ${formatNumber(result)}`);
     }
     
     /**
@@ -175,7 +175,7 @@ class HistoryManager {
         }
         
         this.history.forEach((entry, index) => {
-            console.log(`  ${index + 1}. ${entry.expression} = ${entry.result}`);
+            console.log(`  ${index + 1}. ${entry.expression} = ${formatNumber(entry.result)}`);
         });
     }
 }
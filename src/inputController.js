@@ -27,6 +27,32 @@ function handleKeyPress(keyId) {
     
     console.log('📘 Key pressed:', keyId, '| Type:', key.type, '| Action:', key.action);
     
+    // An error screen only answers AC (which also clears the input) and ◀/▶
+    if (state.error && key.id !== 'ac') {
+        return;
+    }
+    
+    // A menu on the display takes a digit key to choose, AC to close
+    if (window.menuManager.isOpen()) {
+        handleMenuKey(key);
+        window.updateDisplay();
+        return;
+    }
+    
+    // STO takes the ALPHA variable of the next key (A–F, X, Y, M); any other key cancels it
+    if (state.storing) {
+        storeInto(key.alpha);
+        window.updateDisplay();
+        return;
+    }
+    
+    // EQN solutions: = steps through them, AC goes back to the coefficients; MODE still works
+    if (state.solutions && key.id !== 'mode') {
+        handleSolutionKey(key);
+        window.updateDisplay();
+        return;
+    }
+    
     // Route to appropriate handler based on key type
     switch (key.type) {
         case 'control':
@@ -58,6 +84,46 @@ function handleKeyPress(keyId) {
     window.updateDisplay();
 }
 
+/**
+ * Choose from the open menu with a digit; AC closes it and other keys are ignored
+ */
+function handleMenuKey(key) {
+    if (key.id === 'ac') {
+        window.clearAll();
+        return;
+    }
+    
+    if (/^num[0-9]$/.test(key.id)) {
+        window.menuManager.choose(Number(key.primary));
+    }
+}
+
+/**
+ * = shows the next solution, and after the last returns to the coefficients, as AC does
+ */
+function handleSolutionKey(key) {
+    const state = window.calculatorState;
+    const solutions = state.solutions;
+    
+    if (key.id === 'equals' && solutions.index < solutions.values.length - 1) {
+        solutions.index++;
+    } else if (key.id === 'equals' || key.id === 'ac') {
+        state.solutions = null;
+    }
+}
+
+/**
+ * ▲/▼ on the solution screen: previous or next solution
+ */
+function stepSolution(direction) {
+    const solutions = window.calculatorState.solutions;
+    const index = solutions.index + (direction === 'down' ? 1 : -1);
+    
+    if (index >= 0 && index < solutions.values.length) {
+        solutions.index = index;
+    }
+}
+
 /**
  * Handle control keys (SHIFT, ALPHA, AC, DEL, ON, =)
  */
@@ -71,14 +137,14 @@ function handleControlKey(key) {
             updateShiftAlphaVisuals();
             playKeySound('shift');
             break;
-            
+        
         case 'toggle_alpha':
             state.alpha = !state.alpha;
             if (state.alpha) state.shift = false;
             updateShiftAlphaVisuals();
             playKeySound('alpha');
             break;
-            
+        
         case 'clear':
             if (state.shift) {
                 // SHIFT + AC = OFF (just clear for now)
@@ -88,7 +154,7 @@ function handleControlKey(key) {
             }
             playKeySound('clear');
             break;
-            
+        
         case 'delete':
             if (state.shift) {
                 // SHIFT + DEL = INS (insert mode - not implemented yet)
@@ -98,20 +164,20 @@ function handleControlKey(key) {
             }
             playKeySound('delete');
             break;
-            
+        
         case 'equals':
             handleEquals();
             playKeySound('equals');
             break;
-            
+        
         case 'on':
             handleOn();
             break;
-            
+        
         case 'dpad':
             handleDirectionalPad(key);  // ✅ Fixed typo
             break;
-            
+        
         default:
             console.warn('Unknown control action:', key.action);
     }
@@ -140,6 +206,14 @@ function handleModeKey(key) {
 function handleModifierKey(key) {
     const state = window.calculatorState;
     
+    if (key.action === 'hyp' && state.shift) {
+        // SHIFT + hyp = Abs (the length of a vector)
+        insertInput('Abs(');
+        state.shift = false;
+        updateShiftAlphaVisuals();
+        return;
+    }
+    
     if (key.action === 'hyp') {
         // Toggle hyperbolic mode (stored in state for next trig function)
         state.hypMode = !state.hypMode;
@@ -153,7 +227,7 @@ function handleModifierKey(key) {
  */
 function handleSpecialKey(key) {
     const state = window.calculatorState;
-
+    
     // Exit history browsing mode when user starts typing
     if (window.historyManager && window.historyManager.isBrowsing()) {
         window.historyManager.exitBrowsing();
@@ -163,12 +237,20 @@ function handleSpecialKey(key) {
     
     switch (key.action) {
         case 'square':
+            if (state.shift) {
+                textToInsert = 'd/dx(';
+                break;
+            }
+            if (state.alpha) {
+                textToInsert = 'Π(';
+                break;
+            }
             applyUnaryOperation('^2', 'x²');
             state.shift = false;
             state.alpha = false;
             updateShiftAlphaVisuals();
             return;
-            
+        
         case 'cube':
             if (state.shift) {
                 handleBaseConversion('DEC');
@@ -182,7 +264,7 @@ function handleSpecialKey(key) {
                 updateShiftAlphaVisuals();
                 return;
             }
-            
+        
         case 'reciprocal':
             if (state.shift) {
                 textToInsert = '∜(';
@@ -200,7 +282,7 @@ function handleSpecialKey(key) {
                 return;
             }
             break;
-            
+        
         case 'sqrt':
             if (state.shift) {
                 textToInsert = '√(';
@@ -208,28 +290,36 @@ function handleSpecialKey(key) {
                 textToInsert = 'sqrt(';
             }
             break;
-            
+        
         case 'power':
-            if (state.alpha) {
+            if (state.shift) {
+                textToInsert = 'Σ(';
+            } else if (state.alpha) {
                 handleBaseConversion('OCT');
                 state.shift = false;
                 state.alpha = false;
                 updateShiftAlphaVisuals();
                 return;
             } else {
-                textToInsert = '^(';
+                textToInsert = ansBeforeOperator() + '^(';
             }
             break;
-            
+        
         case 'fraction':
             if (state.shift) {
                 textToInsert = '∛(';
-            } else {
-                textToInsert = '(';
+                break;
             }
-            break;
-            
+            insertFractionTemplate();
+            state.alpha = false;
+            updateShiftAlphaVisuals();
+            return;
+        
         case 'calc':
+            if (state.alpha) {
+                textToInsert = '=';
+                break;
+            }
             if (state.shift) {
                 handleSolve();
             } else {
@@ -239,7 +329,7 @@ function handleSpecialKey(key) {
             state.alpha = false;
             updateShiftAlphaVisuals();
             return;
-            
+        
         case 'negative':
             if (state.shift) {
                 textToInsert = '∠';
@@ -249,21 +339,21 @@ function handleSpecialKey(key) {
                 textToInsert = '(-';
             }
             break;
-            
+        
         case 'sd':
             if (state.shift) {
                 textToInsert = '÷';
             } else if (state.alpha) {
                 textToInsert = 'Y';
             } else {
-                console.log('Sexagesimal conversion');
+                toggleResultFormat();
                 state.shift = false;
                 state.alpha = false;
                 updateShiftAlphaVisuals();
                 return;
             }
             break;
-            
+        
         default:
             console.warn('Unknown special action:', key.action);
             state.shift = false;
@@ -283,6 +373,114 @@ function handleSpecialKey(key) {
     updateShiftAlphaVisuals();
 }
 
+/**
+ * ⎕/⎕: type an empty fraction, (numerator)/(denominator), with the cursor in the numerator
+ */
+function insertFractionTemplate() {
+    const state = window.calculatorState;
+    
+    state.inputBuffer = window.cursorManager.insertAt('()/()', state.inputBuffer);
+    window.cursorManager.setPosition(window.cursorManager.getPosition() - 4, state.inputBuffer.length);
+    state.cursorPosition = window.cursorManager.getPosition();
+}
+
+/**
+ * ▼ from a fraction's numerator to the end of its denominator, ▲ back up
+ * Returns false if the cursor is not in a fraction part to move from
+ */
+function moveInFraction(direction) {
+    const state = window.calculatorState;
+    const position = state.cursorPosition;
+    const [from, to] = direction === 'down' ? ['left', 'right'] : ['right', 'left'];
+    
+    // The innermost fraction with the cursor in the part moved from
+    let target = null;
+    const visit = node => {
+        if (!node) return;
+        if (node.type === NodeType.BINARY && node.operator === '/' &&
+            position >= node[from].span.start && position <= node[from].span.end) {
+            target = node[to];
+        }
+        [node.operand, node.left, node.right, node.expression, ...(node.args || [])].forEach(visit);
+    };
+    visit(tryParse(state.inputBuffer, { engSymbols: state.engSymbols }));
+    
+    if (!target) return false;
+    
+    // Inside the brackets of a (denominator)
+    const end = target.type === NodeType.GROUP && target.closed ? target.span.end - 1 : target.span.end;
+    window.cursorManager.setPosition(end, state.inputBuffer.length);
+    state.cursorPosition = end;
+    window.updateDisplay();
+    return true;
+}
+
+/**
+ * S⇔D: toggle the last result between its exact form and decimal form
+ */
+function toggleResultFormat() {
+    const state = window.calculatorState;
+    
+    if (!getExactForm(state)) {
+        console.log('S⇔D: result has no exact form');
+        return;
+    }
+    
+    state.resultFormat = state.resultFormat === 'exact' ? 'decimal' : 'exact';
+    state.engShift = null;
+    state.dmsDisplay = false;
+    console.log('S⇔D:', state.resultFormat);
+}
+
+/**
+ * ENG (+1) / ←ENG (−1): show the last result in engineering notation,
+ * stepping its exponent by three on each further press
+ */
+function stepEngineering(direction) {
+    const state = window.calculatorState;
+    
+    // The first ENG press shows the natural engineering form, the first ←ENG one step up
+    const next = state.engShift === null
+        ? (direction > 0 ? 0 : -1)
+        : state.engShift + direction;
+    
+    if (!isEngineeringShiftValid(state.lastAns, next)) {
+        console.log('ENG: exponent limit reached');
+        return;
+    }
+    
+    state.engShift = next;
+    console.log('ENG:', formatEngineering(state.lastAns, next, state.engSymbols));
+}
+
+/**
+ * °'" (and SHIFT ←): type a DMS separator, or switch the result between DMS and decimal
+ */
+function handleDmsKey() {
+    const state = window.calculatorState;
+    
+    if (state.inputBuffer) {
+        if (!state.shift) {
+            state.inputBuffer = window.cursorManager.insertAt('°', state.inputBuffer);
+            state.cursorPosition = window.cursorManager.getPosition();
+        }
+        return;
+    }
+    
+    if (state.shift) {
+        state.dmsDisplay = false;
+    } else if (formatDms(state.lastAns)) {
+        state.dmsDisplay = !state.dmsDisplay;
+    }
+    
+    // Leaving DMS shows the decimal value rather than a fraction
+    if (!state.dmsDisplay) {
+        state.resultFormat = 'decimal';
+    }
+    state.engShift = null;
+    console.log('📐 DMS display:', state.dmsDisplay ? formatDms(state.lastAns) : 'off');
+}
+
 /**
  * Apply unary operation to last number or Ans
  */
@@ -295,14 +493,10 @@ function applyUnaryOperation(operation, displaySymbol) {
         } else {
             state.inputBuffer = window.cursorManager.insertAt(`${operation}`, state.inputBuffer);
         }
+    } else if (operandBeforeCursor()) {
+        state.inputBuffer = window.cursorManager.insertAt(operation, state.inputBuffer);
     } else {
-        const lastChar = state.inputBuffer[state.inputBuffer.length - 1];
-        
-        if (/[0-9\)]/.test(lastChar)) {
-            state.inputBuffer = window.cursorManager.insertAt(operation, state.inputBuffer);
-        } else {
-            state.inputBuffer = window.cursorManager.insertAt(`(${operation}`, state.inputBuffer);
-        }
+        state.inputBuffer = window.cursorManager.insertAt(`(${operation}`, state.inputBuffer);
     }
     
     state.cursorPosition = window.cursorManager.getPosition();
@@ -317,17 +511,121 @@ function handleBaseConversion(base) {
 }
 
 /**
- * Handle CALC function
+ * Handle CALC function: prompt for each variable in the expression, then evaluate
+ * CALC again restarts the prompts for the same formula
  */
 function handleCalc() {
-    console.log('CALC function - for use with STAT/TABLE modes');
+    const state = window.calculatorState;
+    const calc = window.calcManager;
+    const expression = takePromptedExpression();
+    
+    if (!expression) {
+        console.log('CALC: nothing to evaluate');
+        return;
+    }
+    
+    try {
+        calc.start(expression, { engSymbols: state.engSymbols });
+    } catch (error) {
+        reportError(error);
+        return;
+    }
+    
+    setInputBuffer('');
+    
+    if (!calc.isPrompting()) {
+        finishCalc();
+    }
+}
+
+/**
+ * Expression behind an open CALC / SOLVE prompt (closing it), or else the input line
+ */
+function takePromptedExpression() {
+    const state = window.calculatorState;
+    
+    for (const manager of [window.calcManager, window.solveManager]) {
+        if (manager.isPrompting()) {
+            manager.cancel();
+            return manager.expression;
+        }
+    }
+    
+    return state.inputBuffer;
+}
+
+/**
+ * = during CALC / SOLVE: accept the typed entry for the current prompt
+ */
+function submitPromptEntry(manager, finish) {
+    const state = window.calculatorState;
+    
+    try {
+        const done = manager.submit(state.inputBuffer);
+        setInputBuffer('');
+        
+        if (done) {
+            finish();
+        }
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+/**
+ * Evaluate the CALC formula and leave it on the input line for the next CALC
+ */
+function finishCalc() {
+    const calc = window.calcManager;
+    
+    try {
+        recordResult(calc.expression, calc.evaluate());
+    } catch (error) {
+        reportError(error);
+    }
+    
+    setInputBuffer(calc.expression);
 }
 
 /**
- * Handle SOLVE function
+ * Handle SOLVE function: pick the unknown, prompt for the other variables and
+ * the initial value, then solve lhs=rhs (or expression=0)
  */
 function handleSolve() {
-    console.log('SOLVE function - equation solver');
+    const state = window.calculatorState;
+    const expression = takePromptedExpression();
+    
+    if (!expression) {
+        console.log('SOLVE: nothing to solve');
+        return;
+    }
+    
+    try {
+        window.solveManager.start(expression, { engSymbols: state.engSymbols });
+    } catch (error) {
+        reportError(error);
+        return;
+    }
+    
+    setInputBuffer('');
+}
+
+/**
+ * Solve and show the root with its L−R residual, keeping the equation for the next SOLVE
+ */
+function finishSolve() {
+    const state = window.calculatorState;
+    const solver = window.solveManager;
+    
+    try {
+        const { variable, root, residual } = solver.evaluate();
+        recordResult(solver.expression, root);
+        state.labeledResult = { labels: [variable, 'L−R'], values: [root, residual] };
+    } catch (error) {
+        reportError(error);
+    }
+    
+    setInputBuffer(solver.expression);
 }
 
 
@@ -336,7 +634,7 @@ function handleSolve() {
  */
 function handleOperatorKey(key) {
     const state = window.calculatorState;
-
+    
     // Exit history browsing mode when user starts typing
     if (window.historyManager && window.historyManager.isBrowsing()) {
         window.historyManager.exitBrowsing();
@@ -347,11 +645,12 @@ function handleOperatorKey(key) {
     // Check for SHIFT functions on operator keys
     if (state.shift) {
         switch (key.id) {
-            case 'multiply':
-                textToInsert = 'nPr(';
+            case 'divide':
+                textToInsert = '∫(';
                 break;
+            case 'multiply':
             case 'div2':
-                textToInsert = 'nCr(';
+                textToInsert = combinationEntry(key.id === 'multiply' ? 'nPr' : 'nCr');
                 break;
             case 'plus':
                 textToInsert = 'Pol(';
@@ -363,7 +662,7 @@ function handleOperatorKey(key) {
                 textToInsert = getActiveLabel(key);
         }
     } else {
-        textToInsert = getActiveLabel(key);
+        textToInsert = ansBeforeOperator() + getActiveLabel(key);
     }
     
     // Insert at cursor position
@@ -372,24 +671,66 @@ function handleOperatorKey(key) {
     
     state.shift = false;
     state.alpha = false;
-    state.displayTree = state.inputBuffer;
     updateShiftAlphaVisuals();
 }
 
+/**
+ * An operator typed on an empty input line after a calculation continues from Ans (= ÷30 → Ans÷30);
+ * entries for CALC, SOLVE, TABLE and the grid editor start empty
+ */
+function ansBeforeOperator() {
+    const state = window.calculatorState;
+    const entering = window.calcManager.isPrompting() || window.solveManager.isPrompting() ||
+        window.tableManager.isPrompting() || window.gridEditor.isOpen();
+    
+    return !state.inputBuffer && state.lastResult !== null && !entering ? 'Ans' : '';
+}
+
+/**
+ * nPr and nCr go between their operands like ×, as on the calculator (10 SHIFT × 4 → 10nPr4);
+ * with nothing before them they open the function form nPr(n,r)
+ */
+function combinationEntry(name) {
+    const ans = ansBeforeOperator();
+    if (ans || operandBeforeCursor()) {
+        return ans + name;
+    }
+    return `${name}(`;
+}
+
+/**
+ * Whether the text before the cursor ends with a number, variable or closed bracket
+ */
+function operandBeforeCursor() {
+    const state = window.calculatorState;
+    const before = state.inputBuffer.slice(0, window.cursorManager.getPosition());
+    
+    return /(?:[0-9.)A-Zeiπ!%°²³]|Ans)$/.test(before);
+}
+
 /**
  * Handle function keys (sin, cos, log, sqrt, etc.)
  */
 function handleFunctionKey(key) {
     const state = window.calculatorState;
-
+    
     // Exit history browsing mode when user starts typing
     if (window.historyManager && window.historyManager.isBrowsing()) {
         window.historyManager.exitBrowsing();
     }
-
+    
     // Special handling for memory operations
     if (key.action === 'mplus') {
-        handleMemoryPlus();
+        if (state.alpha) {
+            insertInput('M');
+        } else if (state.shift) {
+            handleMemoryMinus();
+        } else {
+            handleMemoryPlus();
+        }
+        state.shift = false;
+        state.alpha = false;
+        updateShiftAlphaVisuals();
         return;
     }
     
@@ -399,11 +740,14 @@ function handleFunctionKey(key) {
         } else {
             handleRecall();
         }
+        state.shift = false;
+        state.alpha = false;
+        updateShiftAlphaVisuals();
         return;
     }
-
+    
     let textToInsert = '';
-
+    
     // Special handling for Ans
     if (key.action === 'ans') {
         if (state.shift) {
@@ -426,27 +770,18 @@ function handleFunctionKey(key) {
         updateShiftAlphaVisuals();
         return;
     }
-
+    
     // Special handling for ENG and x10^x
     if (key.action === 'eng') {
-        if (state.shift) {
-            textToInsert = '←';
-        } else {
-            console.log('ENG notation toggle');
-            state.shift = false;
-            state.alpha = false;
-            updateShiftAlphaVisuals();
-            return;
+        if (!state.alpha) {
+            stepEngineering(state.shift ? -1 : 1);
         }
-        
-        state.inputBuffer = window.cursorManager.insertAt(textToInsert, state.inputBuffer);
-        state.cursorPosition = window.cursorManager.getPosition();
         state.shift = false;
         state.alpha = false;
         updateShiftAlphaVisuals();
         return;
     }
-
+    
     if (key.action === 'exp10') {
         if (state.shift) {
             const random = Math.random();
@@ -464,7 +799,7 @@ function handleFunctionKey(key) {
         updateShiftAlphaVisuals();
         return;
     }
-
+    
     let func = getActiveLabel(key);
     
     // Handle hyperbolic mode for trig functions
@@ -489,7 +824,6 @@ function handleFunctionKey(key) {
     
     state.shift = false;
     state.alpha = false;
-    state.displayTree = state.inputBuffer;
     updateShiftAlphaVisuals();
 }
 
@@ -499,7 +833,7 @@ function handleFunctionKey(key) {
  */
 function handleInputKey(key) {
     const state = window.calculatorState;
-
+    
     // Exit history browsing mode when user starts typing
     if (window.historyManager && window.historyManager.isBrowsing()) {
         window.historyManager.exitBrowsing();
@@ -529,7 +863,12 @@ function handleInputKey(key) {
                 updateShiftAlphaVisuals();
                 return;
             case 'num5':
-                window.modeManager.switchMode('VECTOR');
+                // In VECTOR mode SHIFT 5 is the VECTOR menu
+                if (window.modeManager.isMode('VECTOR')) {
+                    window.modeManager.showVectorMenu();
+                } else {
+                    window.modeManager.switchMode('VECTOR');
+                }
                 state.shift = false;
                 updateShiftAlphaVisuals();
                 return;
@@ -567,6 +906,14 @@ function handleInputKey(key) {
         }
     }
     
+    // °'" key: DMS separator while typing, DMS ⇔ decimal on a result
+    if (key.action === 'comma' && !state.alpha) {
+        handleDmsKey();
+        state.shift = false;
+        updateShiftAlphaVisuals();
+        return;
+    }
+    
     let input = getActiveLabel(key);
     
     // Special handling for shift/alpha inputs
@@ -596,17 +943,16 @@ function handleInputKey(key) {
     }
     
     // Special handling for dot
-    if (input === '•' || input === '∘,,,') {
+    if (input === '•') {
         input = '.';
     }
     
     // Insert at cursor position
     state.inputBuffer = window.cursorManager.insertAt(input, state.inputBuffer);
     state.cursorPosition = window.cursorManager.getPosition();
-
+    
     state.shift = false;
     state.alpha = false;
-    state.displayTree = state.inputBuffer;
     updateShiftAlphaVisuals();
 }
 
@@ -686,6 +1032,26 @@ function updateKeyLabels() {
 function handleEquals() {
     const state = window.calculatorState;
     
+    if (window.calcManager.isPrompting()) {
+        submitPromptEntry(window.calcManager, finishCalc);
+        return;
+    }
+    
+    if (window.solveManager.isPrompting()) {
+        submitPromptEntry(window.solveManager, finishSolve);
+        return;
+    }
+    
+    if (window.tableManager.isPrompting()) {
+        submitTableEntry();
+        return;
+    }
+    
+    if (window.gridEditor.isOpen()) {
+        submitGridEntry();
+        return;
+    }
+    
     if (!state.inputBuffer) {
         console.log('Nothing to evaluate');
         return;
@@ -694,55 +1060,132 @@ function handleEquals() {
     try {
         console.log('📊 Evaluating:', state.inputBuffer);
         
-        // Use the proper parser and evaluator
-        const result = evaluateWithState(state.inputBuffer);
+        // The engine stores Pol(/Rec( into X and Y, Y=X²+1 into Y and vectors into VctAns
+        const result = evaluateInput(state.inputBuffer);
+        addToHistory(state.inputBuffer, result);
         
-        // Store result
-        state.lastAns = result;
+        // Clear input for next calculation
+        setInputBuffer('');
+        
+        console.log('✅ Result:', result);
+    
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+/**
+ * Make a result the new Ans and add it to the history
+ */
+function recordResult(expression, exactResult) {
+    const state = window.calculatorState;
+    
+    setAnswer(state, exactResult);
+    addToHistory(expression, state.lastAns);
+}
+
+/**
+ * Add a calculation to the history and save it (a vector result is kept as text)
+ */
+function addToHistory(expression, result) {
+    const state = window.calculatorState;
+    
+    if (Vector.isVector(result)) {
+        result = result.toString();
+    } else {
         state.stack.push({
-            expression: state.inputBuffer,
+            expression: expression,
             result: result,
             timestamp: Date.now()
         });
+    }
+    
+    if (window.historyManager) {
+        window.historyManager.add(expression, result);
+        window.historyManager.save(); // Auto-save
+    }
+}
 
-        // Add to history
-        if (window.historyManager) {
-            window.historyManager.add(state.inputBuffer, result);
-            window.historyManager.save(); // Auto-save
+/**
+ * = in the grid editor: store the typed entry into the current cell,
+ * or with nothing typed finish the grid (EQN solves its equations)
+ */
+function submitGridEntry() {
+    const state = window.calculatorState;
+    
+    try {
+        if (state.inputBuffer) {
+            window.gridEditor.submit(state.inputBuffer);
+            setInputBuffer('');
+        } else {
+            window.gridEditor.done();
+        }
+    } catch (error) {
+        reportError(error);
+    }
+}
+
+/**
+ * = at a TABLE prompt: accept the entry, then show the next prompt (f(X) and g(X) come back
+ * on the input line to edit) or, after Step, the table
+ */
+function submitTableEntry() {
+    const table = window.tableManager;
+    
+    try {
+        if (table.submit(window.calculatorState.inputBuffer)) {
+            setInputBuffer('');
+            table.show();
+        } else {
+            setInputBuffer(table.getPrompt().entry);
         }
-        
-        // Clear input for next calculation
-        state.inputBuffer = '';
-        state.cursorPosition = 0;
-        window.cursorManager.reset(0);
-        
-        console.log('✅ Result:', result);
-        
     } catch (error) {
-        console.error('❌ Evaluation error:', error);
-        window.setError(error.message || 'Math ERROR');
+        reportError(error);
     }
 }
 
+/**
+ * Show the error screen for an evaluation error, remembering where the parser/evaluator located it
+ */
+function reportError(error) {
+    console.error('❌ Evaluation error:', error);
+    window.setError(errorScreen(error), errorPosition(error));
+}
+
+/**
+ * Type text at the cursor, as a key that inserts a name or symbol does
+ */
+function insertInput(text) {
+    const state = window.calculatorState;
+    
+    state.inputBuffer = window.cursorManager.insertAt(text, state.inputBuffer);
+    state.cursorPosition = window.cursorManager.getPosition();
+}
+
+/**
+ * Replace the input line and put the cursor at its end
+ */
+function setInputBuffer(text) {
+    const state = window.calculatorState;
+    
+    state.inputBuffer = text;
+    state.cursorPosition = text.length;
+    window.cursorManager.reset(text.length);
+}
+
 /**
  * Handle mode menu
  */
 function openModeMenu() {
     console.log('📋 MODE Menu');
-    
-    const modes = window.modeManager.showModeMenu();
-    
-    // For demonstration, let's allow quick mode switching via console
-    console.log('To switch mode, use: modeManager.switchMode("STAT")');
-    console.log('Available modes:', modes.join(', '));
+    window.modeManager.showModeMenu();
 }
 
 /**
  * Handle setup menu
  */
 function openSetupMenu() {
-    console.log('⚙️ Opening SETUP menu (to be implemented in Phase 6)');
-    // Will show: MthIO, LineIO, Deg, Rad, Grad, Fix, Sci, Norm, etc.
+    window.modeManager.showSetupMenu();
 }
 
 /**
@@ -759,6 +1202,44 @@ function handleDirectionalPad(key) {
 function handleArrowKey(direction) {
     const state = window.calculatorState;
     
+    // ◀/▶ on an error screen go back to the input at the error
+    if (state.error) {
+        if (direction === 'left' || direction === 'right') {
+            goToError();
+        }
+        return;
+    }
+    
+    // Menus are answered with digits
+    if (window.menuManager.isOpen()) {
+        return;
+    }
+    
+    if (state.solutions) {
+        if (direction === 'up' || direction === 'down') {
+            stepSolution(direction);
+            window.updateDisplay();
+        }
+        return;
+    }
+    
+    // ▼/▲ move between the parts of a fraction before they browse the history
+    if ((direction === 'up' || direction === 'down') && moveInFraction(direction)) {
+        return;
+    }
+    
+    // In the grid editor the d-pad moves between cells until an entry is typed
+    if (window.gridEditor.isOpen()) {
+        if (!state.inputBuffer) {
+            window.gridEditor.move(direction);
+            window.updateDisplay();
+            return;
+        }
+        if (direction === 'up' || direction === 'down') {
+            return;
+        }
+    }
+    
     switch (direction) {
         case 'left':
             if (window.cursorManager.moveLeft()) {
@@ -766,24 +1247,38 @@ function handleArrowKey(direction) {
                 window.updateDisplay();
             }
             break;
-            
+        
         case 'right':
             if (window.cursorManager.moveRight(state.inputBuffer.length)) {
                 state.cursorPosition = window.cursorManager.getPosition();
                 window.updateDisplay();
             }
             break;
-            
+        
         case 'up':
             handleHistoryBackward();
             break;
-            
+        
         case 'down':
             handleHistoryForward();
             break;
     }
 }
 
+/**
+ * Leave the error screen with the cursor where the error was found
+ */
+function goToError() {
+    const state = window.calculatorState;
+    const length = state.inputBuffer.length;
+    const position = state.errorPosition === null ? length : Math.min(state.errorPosition, length);
+    
+    window.clearError();
+    state.cursorPosition = position;
+    window.cursorManager.reset(position);
+    window.updateDisplay();
+}
+
 /**
  * Navigate backward in history (Up arrow)
  */
@@ -844,6 +1339,8 @@ function handleHistoryForward() {
 window.handleHistoryBackward = handleHistoryBackward;
 window.handleHistoryForward = handleHistoryForward;
 window.handleArrowKey = handleArrowKey;
+window.insertInput = insertInput;
+window.setInputBuffer = setInputBuffer;
 
 
 /**
@@ -869,6 +1366,11 @@ function handleOff() {
 function handlePhysicalKeyboard(event) {
     const key = event.key;
     
+    // Keys typed into the graph panel are its own
+    if (event.target instanceof Element && event.target.closest('.graph-panel')) {
+        return;
+    }
+    
     // Map physical keys to calculator keys
     const keyMap = {
         '0': 'num0', '1': 'num1', '2': 'num2', '3': 'num3', '4': 'num4',
@@ -937,41 +1439,54 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 /**
- * Handle memory operations
+ * M+: add the input's result, or else Ans, to M
  */
 function handleMemoryPlus() {
-    const state = window.calculatorState;
-    
-    if (state.lastAns !== null && state.lastAns !== undefined) {
-        window.memoryManager.add('M', state.lastAns);
-    } else if (state.inputBuffer) {
-        try {
-            const value = evaluateWithState(state.inputBuffer);
-            window.memoryManager.add('M', value);
-        } catch (error) {
-            window.setError('Math ERROR');
-        }
+    if (calculateInput()) {
+        window.memoryManager.add('M', window.calculatorState.lastAns);
     }
 }
 
+/**
+ * M− (SHIFT M+): subtract the input's result, or else Ans, from M
+ */
 function handleMemoryMinus() {
+    if (calculateInput()) {
+        window.memoryManager.subtract('M', window.calculatorState.lastAns);
+    }
+}
+
+/**
+ * Calculate the input as = does, for the keys that go on with Ans (M+, M−, STO)
+ * Returns false if it ended on an error screen
+ */
+function calculateInput() {
     const state = window.calculatorState;
     
-    if (state.lastAns !== null && state.lastAns !== undefined) {
-        window.memoryManager.subtract('M', state.lastAns);
-    } else if (state.inputBuffer) {
-        try {
-            const value = evaluateWithState(state.inputBuffer);
-            window.memoryManager.subtract('M', value);
-        } catch (error) {
-            window.setError('Math ERROR');
-        }
+    if (state.inputBuffer) {
+        handleEquals();
     }
+    return !state.error;
 }
 
+/**
+ * STO (SHIFT RCL): wait for the variable to store into
+ */
 function handleStore() {
     console.log('💾 STO function - Enter register');
-    window.memoryManager.promptStore();
+    window.calculatorState.storing = true;
+}
+
+/**
+ * Store into a variable after STO: the input's result (calculated as = does), or else Ans
+ */
+function storeInto(register) {
+    const state = window.calculatorState;
+    state.storing = false;
+    
+    if (register && Object.hasOwn(state.memory, register) && calculateInput()) {
+        window.memoryManager.store(register, state.lastAns);
+    }
 }
 
 function handleRecall() {
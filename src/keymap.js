@@ -15,7 +15,7 @@ const KEYMAP = [
     
     // Row 2: CALC, fraction, x³, x⁻¹, log
     [
-        { id: 'calc', primary: 'CALC', shift: 'SOLVE', alpha: null, action: 'calc', type: 'special', cssClass: 'key-dark' },
+        { id: 'calc', primary: 'CALC', shift: 'SOLVE', alpha: '=', action: 'calc', type: 'special', cssClass: 'key-dark' },
         { id: 'frac', primary: '⎕/⎕', shift: '∛', alpha: null, action: 'fraction', type: 'special', cssClass: 'key-dark' },
         { id: 'cube', primary: 'x³', shift: 'DEC', alpha: null, action: 'cube', type: 'special', cssClass: 'key-dark' },
         { id: 'reciprocal', primary: 'x⁻¹', shift: '∜', alpha: 'HEX', action: 'reciprocal', type: 'special', cssClass: 'key-dark' },
@@ -24,10 +24,10 @@ const KEYMAP = [
     
     // Row 3: Division, Square Root, x², Power, ln
     [
-        { id: 'divide', primary: '÷', shift: '⌇', alpha: null, action: 'divide', type: 'operator', cssClass: 'key-dark' },
+        { id: 'divide', primary: '÷', shift: '∫', alpha: null, action: 'divide', type: 'operator', cssClass: 'key-dark' },
         { id: 'sqrt', primary: '√', shift: '√n', alpha: null, action: 'sqrt', type: 'special', cssClass: 'key-dark' },
-        { id: 'square', primary: 'x²', shift: null, alpha: null, action: 'square', type: 'special', cssClass: 'key-dark' },
-        { id: 'power', primary: 'xʸ', shift: null, alpha: 'OCT', action: 'power', type: 'special', cssClass: 'key-dark' },
+        { id: 'square', primary: 'x²', shift: 'd/dx', alpha: 'Π', action: 'square', type: 'special', cssClass: 'key-dark' },
+        { id: 'power', primary: 'xʸ', shift: 'Σ', alpha: 'OCT', action: 'power', type: 'special', cssClass: 'key-dark' },
         { id: 'ln', primary: 'ln', shift: 'eˣ', alpha: null, action: 'ln', type: 'function', cssClass: 'key-dark' }
     ],
     
@@ -4,6 +4,8 @@
  * and bitwise operations
  */
 
+import { CalcSyntaxError, ArgumentError } from '../errors.js';
+
 class BaseConverter {
     constructor() {
         this.currentBase = 'DEC';  // DEC, BIN, OCT, HEX
@@ -16,7 +18,7 @@ class BaseConverter {
     setBase(base) {
         const validBases = ['BIN', 'OCT', 'DEC', 'HEX'];
         if (!validBases.includes(base)) {
-            throw new Error('Invalid base. Must be BIN, OCT, DEC, or HEX');
+            throw new ArgumentError('Invalid base. Must be BIN, OCT, DEC, or HEX');
         }
         this.currentBase = base;
     }
@@ -27,7 +29,7 @@ class BaseConverter {
     setWordSize(size) {
         const validSizes = [8, 16, 32, 64];
         if (!validSizes.includes(size)) {
-            throw new Error('Invalid word size. Must be 8, 16, 32, or 64');
+            throw new ArgumentError('Invalid word size. Must be 8, 16, 32, or 64');
         }
         this.wordSize = size;
     }
@@ -49,30 +51,30 @@ class BaseConverter {
         switch (base) {
             case 'BIN':
                 if (!/^[01]+$/.test(str)) {
-                    throw new Error('Invalid binary number');
+                    throw new CalcSyntaxError('Invalid binary number');
                 }
                 return parseInt(str, 2);
                 
             case 'OCT':
                 if (!/^[0-7]+$/.test(str)) {
-                    throw new Error('Invalid octal number');
+                    throw new CalcSyntaxError('Invalid octal number');
                 }
                 return parseInt(str, 8);
                 
             case 'DEC':
                 if (!/^-?\d+$/.test(str)) {
-                    throw new Error('Invalid decimal number');
+                    throw new CalcSyntaxError('Invalid decimal number');
                 }
                 return parseInt(str, 10);
                 
             case 'HEX':
                 if (!/^[0-9A-F]+$/.test(str)) {
-                    throw new Error('Invalid hexadecimal number');
+                    throw new CalcSyntaxError('Invalid hexadecimal number');
                 }
                 return parseInt(str, 16);
                 
             default:
-                throw new Error('Invalid base');
+                throw new ArgumentError('Invalid base');
         }
     }
     
@@ -97,7 +99,7 @@ class BaseConverter {
                 return num.toString(16).toUpperCase();
                 
             default:
-                throw new Error('Invalid base');
+                throw new ArgumentError('Invalid base');
         }
     }
     
@@ -427,7 +429,5 @@ const BaseHelpers = {
 const baseConverter = new BaseConverter();
 
 // Export
-window.BaseConverter = BaseConverter;
-window.baseConverter = baseConverter;
-window.BaseHelpers = BaseHelpers;
+export { BaseConverter, baseConverter, BaseHelpers };
 
@@ -3,6 +3,8 @@
  * Supports rectangular (a+bi) and polar (r∠θ) forms
  */
 
+import { CalcSyntaxError, MathError } from '../errors.js';
+
 class Complex {
     constructor(real = 0, imag = 0) {
         this.real = real;
@@ -89,12 +91,12 @@ class Complex {
      */
     divide(other) {
         if (typeof other === 'number') {
-            if (other === 0) throw new Error('Division by zero');
+            if (other === 0) throw new MathError('Division by zero');
             return new Complex(this.real / other, this.imag / other);
         }
         
         const denominator = other.real * other.real + other.imag * other.imag;
-        if (denominator === 0) throw new Error('Division by zero');
+        if (denominator === 0) throw new MathError('Division by zero');
         
         // (a+bi)/(c+di) = [(a+bi)(c-di)] / (c²+d²)
         return new Complex(
@@ -267,7 +269,7 @@ const ComplexMath = {
             return new Complex(parseFloat(match[1]), parseFloat(match[2]));
         }
         
-        throw new Error('Invalid complex number format');
+        throw new CalcSyntaxError('Invalid complex number format');
     },
     
     /**
@@ -291,5 +293,4 @@ const ComplexMath = {
 };
 
 // Export
-window.Complex = Complex;
-window.ComplexMath = ComplexMath;
+export { Complex, ComplexMath };
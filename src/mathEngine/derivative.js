@@ -0,0 +1,111 @@
+/**
+ * Numerical Differentiation
+ * Ridders' method: central differences at shrinking steps, refined by Richardson extrapolation
+ */
+
+import { MathError } from '../errors.js';
+
+/**
+ * Initial step, relative to max(1, |x|)
+ */
+const DERIVATIVE_STEP = 0.1;
+
+/**
+ * Each new column divides the step by this factor
+ */
+const DERIVATIVE_STEP_RATIO = 1.4;
+
+/**
+ * Maximum number of step sizes tried
+ */
+const DERIVATIVE_MAX_STEPS = 10;
+
+/**
+ * Stop once the extrapolation error grows this much beyond the best seen
+ */
+const DERIVATIVE_SAFETY = 2;
+
+/**
+ * Central difference (f(x+h) − f(x−h)) / 2h; NaN if either side is undefined
+ */
+function centralDifference(f, x, h) {
+    try {
+        return (f(x + h) - f(x - h)) / (2 * h);
+    } catch (error) {
+        return NaN;
+    }
+}
+
+/**
+ * Derivative of f at x
+ * The step starts at 0.1·max(1, |x|) and shrinks until f is defined on both sides of x
+ * @param {Function} f - Function of one number
+ * @param {number} x - Point to differentiate at
+ * @param {Object} options - { tolerance, step }
+ * @returns {number}
+ */
+function differentiate(f, x, options = {}) {
+    const {
+        tolerance = 1e-10,
+        step = DERIVATIVE_STEP * Math.max(1, Math.abs(x))
+    } = options;
+    
+    if (!Number.isFinite(x)) {
+        throw new MathError('Derivative error: point must be finite');
+    }
+    
+    // Find a step where f is defined at x ± h (ln(X) near 0, √X at 0...)
+    let h = step;
+    let previous = [centralDifference(f, x, h)];
+    for (let i = 0; !Number.isFinite(previous[0]) && i < DERIVATIVE_MAX_STEPS; i++) {
+        h /= 10;
+        previous = [centralDifference(f, x, h)];
+    }
+    
+    if (!Number.isFinite(previous[0])) {
+        throw new MathError('Derivative error: function is not defined around the point');
+    }
+    
+    const ratioSquared = DERIVATIVE_STEP_RATIO * DERIVATIVE_STEP_RATIO;
+    let best = previous[0];
+    let error = Infinity;
+    
+    for (let i = 1; i < DERIVATIVE_MAX_STEPS; i++) {
+        h /= DERIVATIVE_STEP_RATIO;
+        
+        // Each row removes the next even power of h from the error
+        const current = [centralDifference(f, x, h)];
+        let factor = ratioSquared;
+        for (let j = 1; j <= i; j++) {
+            current[j] = (current[j - 1] * factor - previous[j - 1]) / (factor - 1);
+            factor *= ratioSquared;
+            
+            const estimate = Math.max(
+                Math.abs(current[j] - current[j - 1]),
+                Math.abs(current[j] - previous[j - 1])
+            );
+            if (estimate <= error) {
+                error = estimate;
+                best = current[j];
+            }
+        }
+        
+        // Round-off has taken over, or the answer is good enough
+        if (!Number.isFinite(current[i]) ||
+            Math.abs(current[i] - previous[i - 1]) >= DERIVATIVE_SAFETY * error ||
+            error <= tolerance * Math.max(1, Math.abs(best))) {
+            break;
+        }
+        
+        previous = current;
+    }
+    
+    if (!Number.isFinite(best)) {
+        throw new MathError('Derivative error: result is not finite');
+    }
+    
+    return best;
+}
+
+// Export functions
+export { differentiate };
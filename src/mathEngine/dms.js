@@ -0,0 +1,67 @@
+/**
+ * Sexagesimal (Degrees-Minutes-Seconds) Conversion
+ * Values are decimal degrees; 12°34°56° is 12 + 34/60 + 56/3600
+ */
+
+import { Fraction } from './fraction.js';
+
+/**
+ * The display switches back to decimal at 1,000,000° and above
+ */
+const DMS_DISPLAY_LIMIT = 1e6;
+
+/**
+ * Seconds are shown to two decimal places
+ */
+const DMS_SECOND_DECIMALS = 2;
+
+/**
+ * Convert degrees, minutes and seconds to decimal degrees
+ */
+function dmsToDecimal(degrees, minutes = 0, seconds = 0) {
+    return degrees + minutes / 60 + seconds / 3600;
+}
+
+/**
+ * Exact version of dmsToDecimal for Fraction parts
+ */
+function dmsToFraction(degrees, minutes = new Fraction(0n), seconds = new Fraction(0n)) {
+    return degrees
+        .add(minutes.divide(new Fraction(60n)))
+        .add(seconds.divide(new Fraction(3600n)));
+}
+
+/**
+ * Split decimal degrees into sign, degrees, minutes and seconds
+ * Rounds to whole hundredths of a second first so 59.999″ carries into the minutes
+ * @returns {{ sign: number, degrees: number, minutes: number, seconds: number } | null}
+ */
+function decimalToDms(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) >= DMS_DISPLAY_LIMIT) {
+        return null;
+    }
+    
+    const scale = Math.pow(10, DMS_SECOND_DECIMALS);
+    const total = Math.round(Math.abs(value) * 3600 * scale);
+    
+    return {
+        sign: value < 0 && total !== 0 ? -1 : 1,
+        degrees: Math.floor(total / (3600 * scale)),
+        minutes: Math.floor(total % (3600 * scale) / (60 * scale)),
+        seconds: total % (60 * scale) / scale
+    };
+}
+
+/**
+ * Format decimal degrees in DMS notation (1.5 → 1°30°0°), or null when out of range
+ */
+function formatDms(value) {
+    const dms = decimalToDms(value);
+    if (!dms) return null;
+    
+    const sign = dms.sign < 0 ? '-' : '';
+    return `${sign}${dms.degrees}°${dms.minutes}°${dms.seconds}°`;
+}
+
+// Export functions
+export { dmsToDecimal, dmsToFraction, decimalToDms, formatDms, DMS_DISPLAY_LIMIT };
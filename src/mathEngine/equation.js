@@ -0,0 +1,328 @@
+/**
+ * Equation Module
+ * EQN mode: simultaneous linear equations (anX+bnY=cn, anX+bnY+cnZ=dn)
+ * and polynomial equations up to aX⁴+bX³+cX²+dX+e=0, with complex roots
+ * INEQ mode: polynomial inequalities (aX²+bX+c>0 ...), solved through the same roots
+ */
+
+import { Matrix } from './matrix.js';
+import { Complex } from './complex.js';
+import { CalculatorError, MathError, ArgumentError, DimensionError } from '../errors.js';
+
+/**
+ * Solve n linear equations in n unknowns
+ * @param {number[][]} rows - One row per equation: the n coefficients, then the constant
+ * @returns {number[]} The unknowns in order (X, Y, Z)
+ * A singular system is "Infinite Sol" when its equations agree, "No Solution" when they contradict
+ */
+function solveLinearSystem(rows) {
+    const n = rows.length;
+    if (n === 0 || rows.some(row => row.length !== n + 1)) {
+        throw new DimensionError('Each equation needs a coefficient per unknown and a constant');
+    }
+    
+    const coefficients = Matrix.from(rows.map(row => row.slice(0, n)));
+    const constants = rows.map(row => row[n]);
+    
+    try {
+        return coefficients.solve(constants);
+    } catch (error) {
+        if (!(error instanceof MathError)) throw error;
+        
+        // Consistent systems keep their rank when the constants are added as a column
+        const consistent = coefficients.rank() === Matrix.from(rows).rank();
+        throw new CalculatorError(consistent ? 'Infinite Sol' : 'No Solution');
+    }
+}
+
+/**
+ * Roots of a polynomial of degree 1 to 4, in closed form
+ * @param {number[]} coefficients - Highest power first: [a, b, c] is aX²+bX+c
+ * @returns {Complex[]} One root per degree, repeated roots repeated:
+ *   real roots from largest to smallest, then complex-conjugate pairs (+i first)
+ */
+function findPolynomialRoots(coefficients) {
+    const degree = coefficients.length - 1;
+    if (degree < 1 || degree > 4) {
+        throw new DimensionError('Polynomial equations have degree 1 to 4');
+    }
+    if (coefficients[0] === 0) {
+        throw new MathError('Leading coefficient is 0');
+    }
+    
+    // Monic form: X^n + b X^(n-1) + ...
+    const [, ...monic] = coefficients.map(value => value / coefficients[0]);
+    const solvers = [null, ([b]) => [new Complex(-b, 0)], solveQuadratic, solveCubic, solveQuartic];
+    
+    return solvers[degree](monic)
+        .map(root => cleanRoot(polishRoot(coefficients, root)))
+        .sort(compareRoots);
+}
+
+/**
+ * X² + bX + c = 0
+ * Real roots avoid the cancellation in -b ± √D by taking c/q for the smaller one
+ */
+function solveQuadratic([b, c]) {
+    const discriminant = snapToZero(b * b - 4 * c, b * b + Math.abs(4 * c));
+    
+    if (discriminant < 0) {
+        const imag = Math.sqrt(-discriminant) / 2;
+        return [new Complex(-b / 2, imag), new Complex(-b / 2, -imag)];
+    }
+    
+    const q = -(b + (b < 0 ? -1 : 1) * Math.sqrt(discriminant)) / 2;
+    if (q === 0) {
+        return [new Complex(0, 0), new Complex(0, 0)];
+    }
+    return [new Complex(q, 0), new Complex(c / q, 0)];
+}
+
+/**
+ * A discriminant no larger than the rounding error of its terms is 0, so repeated roots come out
+ * repeated exactly; anything above it is kept, so close but distinct roots stay apart
+ * @param {number} magnitude - Sum of the magnitudes the discriminant was computed from
+ */
+function snapToZero(discriminant, magnitude) {
+    return Math.abs(discriminant) <= ROUNDING_ULPS * Number.EPSILON * magnitude ? 0 : discriminant;
+}
+
+/**
+ * Rounding errors allowed in a discriminant, in units of its terms' last place
+ */
+const ROUNDING_ULPS = 2;
+
+/**
+ * X² + bX + c = 0 with complex b, c (the quartic's factors)
+ */
+function solveComplexQuadratic(b, c) {
+    const root = b.multiply(b).subtract(c.multiply(4)).sqrt();
+    return [
+        root.subtract(b).divide(2),
+        root.add(b).divide(-2)
+    ];
+}
+
+/**
+ * X³ + bX² + cX + d = 0, through the depressed cubic t³ + pt + q (X = t - b/3)
+ * One real root: Cardano's formula; three real roots: the trigonometric form
+ */
+function solveCubic([b, c, d]) {
+    const shift = -b / 3;
+    const p = c - b * b / 3;
+    const q = 2 * b * b * b / 27 - b * c / 3 + d;
+    
+    // The rounding of p and q carries into the discriminant through its slopes q/2 and p²/9
+    const pTerms = Math.abs(c) + b * b / 3;
+    const qTerms = Math.abs(2 * b * b * b / 27) + Math.abs(b * c / 3) + Math.abs(d);
+    const discriminant = snapToZero((q / 2) ** 2 + (p / 3) ** 3,
+        (q / 2) ** 2 + Math.abs(p / 3) ** 3 + Math.abs(q / 2) * qTerms + p * p / 9 * pTerms);
+    
+    if (discriminant >= 0) {
+        const u = Math.cbrt(-q / 2 + Math.sqrt(discriminant));
+        const v = Math.cbrt(-q / 2 - Math.sqrt(discriminant));
+        const imag = Math.sqrt(3) / 2 * (u - v);
+        
+        return [
+            new Complex(u + v + shift, 0),
+            new Complex(-(u + v) / 2 + shift, imag),
+            new Complex(-(u + v) / 2 + shift, -imag)
+        ];
+    }
+    
+    const radius = 2 * Math.sqrt(-p / 3);
+    const angle = Math.acos(3 * q / (p * radius)) / 3;
+    
+    return [0, 1, 2].map(k =>
+        new Complex(radius * Math.cos(angle - 2 * Math.PI * k / 3) + shift, 0));
+}
+
+/**
+ * X⁴ + bX³ + cX² + dX + e = 0, by Ferrari's method on the depressed quartic y⁴ + py² + qy + r (X = y - b/4)
+ * A root m > 0 of the resolvent cubic splits it into two quadratics
+ */
+function solveQuartic([b, c, d, e]) {
+    const shift = -b / 4;
+    const p = c - 3 * b * b / 8;
+    const q = b * b * b / 8 - b * c / 2 + d;
+    const r = -3 * b ** 4 / 256 + b * b * c / 16 - b * d / 4 + e;
+    
+    let roots;
+    if (q === 0) {
+        // Biquadratic: y² is a root of z² + pz + r
+        roots = solveQuadratic([p, r]).flatMap(z => {
+            const y = z.sqrt();
+            return [y, y.multiply(-1)];
+        });
+    } else {
+        const m = Math.max(...solveCubic([p, p * p / 4 - r, -q * q / 8])
+            .filter(root => root.isReal())
+            .map(root => root.real));
+        const s = Math.sqrt(2 * m);
+        
+        roots = [
+            ...solveComplexQuadratic(new Complex(-s, 0), new Complex(p / 2 + m + s * q / (4 * m), 0)),
+            ...solveComplexQuadratic(new Complex(s, 0), new Complex(p / 2 + m - s * q / (4 * m), 0))
+        ];
+    }
+    
+    return roots.map(y => y.add(shift));
+}
+
+/**
+ * Value of the polynomial at a complex point (Horner's rule), with its derivative
+ */
+function evaluatePolynomial(coefficients, z) {
+    let value = new Complex(0, 0);
+    let slope = new Complex(0, 0);
+    
+    coefficients.forEach(coefficient => {
+        slope = slope.multiply(z).add(value);
+        value = value.multiply(z).add(coefficient);
+    });
+    return { value, slope };
+}
+
+/**
+ * A few Newton steps on the closed-form root, which can lose digits to cancellation;
+ * a step is kept only while it brings the polynomial closer to 0
+ */
+function polishRoot(coefficients, root) {
+    let best = root;
+    let residual = evaluatePolynomial(coefficients, root).value.magnitude();
+    
+    for (let i = 0; i < 50 && residual > 0; i++) {
+        const { value, slope } = evaluatePolynomial(coefficients, best);
+        if (slope.magnitude() === 0) break;
+        
+        const next = best.subtract(value.divide(slope));
+        const nextResidual = evaluatePolynomial(coefficients, next).value.magnitude();
+        if (nextResidual >= residual) break;
+        
+        best = next;
+        residual = nextResidual;
+    }
+    return best;
+}
+
+/**
+ * Round away rounding noise: parts far below the root's size become 0
+ */
+function cleanRoot(root) {
+    const tolerance = 1e-10 * Math.max(1, root.magnitude());
+    return new Complex(
+        Math.abs(root.real) < tolerance ? 0 : root.real,
+        Math.abs(root.imag) < tolerance ? 0 : root.imag
+    );
+}
+
+/**
+ * Root order: real roots from largest to smallest, then complex roots by real part, +i before -i
+ */
+function compareRoots(a, b) {
+    if (a.isReal() !== b.isReal()) return a.isReal() ? -1 : 1;
+    if (!a.isReal() && Math.abs(a.real - b.real) < 1e-10 * Math.max(1, a.magnitude())) {
+        return b.imag - a.imag;
+    }
+    return b.real - a.real;
+}
+
+/**
+ * Vertex of aX² + bX + c: { x, y, minimum } (a minimum when a > 0, else a maximum)
+ */
+function quadraticExtremum(a, b, c) {
+    if (a === 0) {
+        throw new MathError('Leading coefficient is 0');
+    }
+    
+    const x = -b / (2 * a);
+    return { x, y: c - b * b / (4 * a), minimum: a > 0 };
+}
+
+/**
+ * Inequality operators, as the INEQ menu lists them
+ */
+const INEQUALITY_OPERATORS = ['>', '<', '≥', '≤'];
+
+/**
+ * Solve polynomial > 0, < 0, ≥ 0 or ≤ 0
+ * The real roots split the line into open pieces, each of one sign; the roots themselves
+ * belong to the solution for ≥ and ≤
+ * @param {number[]} coefficients - Highest power first, degree 1 to 4
+ * @param {string} operator - One of INEQUALITY_OPERATORS
+ * @returns {Array} Intervals { from, to, includeFrom, includeTo } from left to right, with ±Infinity
+ *   for unbounded ends and from === to for a single point; [] when nothing satisfies it
+ */
+function solvePolynomialInequality(coefficients, operator) {
+    if (!INEQUALITY_OPERATORS.includes(operator)) {
+        throw new ArgumentError(`Unknown inequality operator: ${operator}`);
+    }
+    
+    const roots = distinctRealRoots(findPolynomialRoots(coefficients));
+    const strict = operator === '>' || operator === '<';
+    const wantPositive = operator === '>' || operator === '≥';
+    const valueAt = x => coefficients.reduce((sum, coefficient) => sum * x + coefficient, 0);
+    
+    // The line from left to right: piece, root, piece, ..., root, piece
+    const pieces = [-Infinity, ...roots, Infinity].slice(1).map((to, i, ends) => {
+        const from = i === 0 ? -Infinity : ends[i - 1];
+        return { from, to, included: valueAt(pointInside(from, to)) > 0 === wantPositive };
+    });
+    
+    const intervals = [];
+    let open = null;
+    const extend = (from, to, includeFrom, includeTo) => {
+        if (open) {
+            open.to = to;
+            open.includeTo = includeTo;
+        } else {
+            open = { from, to, includeFrom, includeTo };
+        }
+    };
+    const finish = () => {
+        if (open) intervals.push(open);
+        open = null;
+    };
+    
+    pieces.forEach((piece, i) => {
+        if (piece.included) {
+            extend(piece.from, piece.to, false, false);
+        } else {
+            finish();
+        }
+        
+        const root = roots[i];
+        if (root === undefined) return;
+        if (strict) {
+            finish();
+        } else {
+            extend(root, root, true, true);
+        }
+    });
+    finish();
+    
+    return intervals;
+}
+
+/**
+ * A point strictly inside (from, to), either end possibly infinite
+ */
+function pointInside(from, to) {
+    if (from === -Infinity) return to === Infinity ? 0 : to - 1;
+    if (to === Infinity) return from + 1;
+    return (from + to) / 2;
+}
+
+/**
+ * The real roots, smallest first, with repeated roots counted once
+ */
+function distinctRealRoots(roots) {
+    return roots
+        .filter(root => root.imag === 0)
+        .map(root => root.real)
+        .sort((a, b) => a - b)
+        .filter((root, i, sorted) => i === 0 || Math.abs(root - sorted[i - 1]) > 1e-9 * Math.max(1, Math.abs(root)));
+}
+
+// Export functions
+export { solveLinearSystem, findPolynomialRoots, quadraticExtremum, solvePolynomialInequality, INEQUALITY_OPERATORS };
@@ -0,0 +1,181 @@
+/**
+ * Exact Form Recognizer
+ * Finds surd (a√b/c) and π-multiple (aπ/b) forms for decimal results
+ */
+
+import { MathUtils } from './utils.js';
+import { Fraction } from './fraction.js';
+
+/**
+ * √ form range on the fx-991ES: 1 ≤ a < 100, 1 < b < 1000, 1 ≤ c < 100
+ */
+const SURD_LIMITS = {
+    maxCoefficient: 100,
+    maxRadicand: 1000,
+    maxDenominator: 100
+};
+
+/**
+ * π form range: aπ/b with 1 ≤ |a| < 1000, 1 ≤ b < 100
+ */
+const PI_FORM_LIMITS = {
+    maxCoefficient: 1000,
+    maxDenominator: 100
+};
+
+/**
+ * Relative tolerance for accepting a candidate form
+ */
+const EXACT_FORM_TOLERANCE = 1e-12;
+
+/**
+ * Split n into a²·b with b square-free
+ */
+function squareFreeDecompose(n) {
+    let coefficient = 1;
+    let radicand = n;
+    
+    for (let i = 2; i * i <= radicand; i++) {
+        while (radicand % (i * i) === 0) {
+            radicand /= i * i;
+            coefficient *= i;
+        }
+    }
+    
+    return { coefficient, radicand };
+}
+
+/**
+ * Check that candidate matches value within tolerance
+ */
+function withinExactTolerance(candidate, value) {
+    return Math.abs(candidate - value) <= EXACT_FORM_TOLERANCE * Math.max(1, Math.abs(value));
+}
+
+/**
+ * Find ±a√b/c equal to value (b = 1 gives a plain fraction a/c)
+ */
+function findSurdForm(value) {
+    const sign = value < 0 ? -1 : 1;
+    const magnitude = Math.abs(value);
+    const { maxCoefficient, maxRadicand, maxDenominator } = SURD_LIMITS;
+    
+    // Largest a²·b the form can print; anything bigger is not worth factoring
+    const maxSquared = (maxCoefficient - 1) ** 2 * (maxRadicand - 1);
+    
+    // (a√b/c)² · c² = a²·b must be an integer
+    for (let c = 1; c < maxDenominator; c++) {
+        const squared = magnitude * magnitude * c * c;
+        const n = Math.round(squared);
+        
+        if (n > maxSquared || !Number.isSafeInteger(n)) return null;
+        if (n < 1 || !withinExactTolerance(n, squared)) continue;
+        
+        const { coefficient, radicand } = squareFreeDecompose(n);
+        if (coefficient >= maxCoefficient || radicand >= maxRadicand) continue;
+        
+        // Reduce a/c (c is the smallest denominator, so this rarely changes anything)
+        const divisor = MathUtils.gcd(coefficient, c);
+        const a = coefficient / divisor;
+        const d = c / divisor;
+        
+        if (!withinExactTolerance(a * Math.sqrt(radicand) / d, magnitude)) continue;
+        
+        if (radicand === 1) {
+            return { form: 'fraction', fraction: new Fraction(BigInt(sign * a), BigInt(d)) };
+        }
+        
+        return { form: 'surd', sign, coefficient: a, radicand, denominator: d };
+    }
+    
+    return null;
+}
+
+/**
+ * Find aπ/b equal to value
+ */
+function findPiForm(value) {
+    const { maxCoefficient, maxDenominator } = PI_FORM_LIMITS;
+    
+    for (let b = 1; b < maxDenominator; b++) {
+        const scaled = value * b / Math.PI;
+        const a = Math.round(scaled);
+        
+        if (a === 0 || Math.abs(a) >= maxCoefficient || !withinExactTolerance(a, scaled)) continue;
+        
+        const divisor = MathUtils.gcd(a, b);
+        return { form: 'pi', numerator: a / divisor, denominator: b / divisor };
+    }
+    
+    return null;
+}
+
+/**
+ * Find the exact form of a decimal result, or null if none fits the display limits
+ * Integers are left to the decimal display
+ */
+function findExactForm(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value === 0) {
+        return null;
+    }
+    
+    const surd = findSurdForm(value);
+    if (surd) {
+        const isWhole = surd.form === 'fraction' && surd.fraction.isInteger();
+        return isWhole ? null : surd;
+    }
+    
+    return findPiForm(value);
+}
+
+/**
+ * Linear text for an exact form (2√2, √3/2, 3π/4, 1/2)
+ */
+function exactFormToString(form) {
+    switch (form.form) {
+        case 'fraction':
+            return form.fraction.toString();
+        
+        case 'surd': {
+            const coefficient = form.coefficient === 1 ? '' : form.coefficient;
+            const denominator = form.denominator === 1 ? '' : `/${form.denominator}`;
+            return `${form.sign < 0 ? '-' : ''}${coefficient}√${form.radicand}${denominator}`;
+        }
+        
+        case 'pi': {
+            const magnitude = Math.abs(form.numerator);
+            const coefficient = magnitude === 1 ? '' : magnitude;
+            const denominator = form.denominator === 1 ? '' : `/${form.denominator}`;
+            return `${form.numerator < 0 ? '-' : ''}${coefficient}π${denominator}`;
+        }
+        
+        default:
+            return '';
+    }
+}
+
+/**
+ * Exact form (fraction, surd or π multiple) for the current result,
+ * if Math mode can show it as one
+ */
+function getExactForm(state) {
+    const exact = state.lastResult;
+    
+    if (state.mode !== 'Math' || exact === null || exact === undefined) {
+        return null;
+    }
+    
+    // Ignore a stale exact value if Ans was changed elsewhere
+    if (Fraction.toNumber(exact) !== state.lastAns) {
+        return null;
+    }
+    
+    if (Fraction.isFraction(exact)) {
+        return !exact.isInteger() && exact.fitsDisplay() ? { form: 'fraction', fraction: exact } : null;
+    }
+    
+    return findExactForm(exact);
+}
+
+// Export functions
+export { findExactForm, getExactForm, exactFormToString, squareFreeDecompose, SURD_LIMITS, PI_FORM_LIMITS };
@@ -0,0 +1,252 @@
+/**
+ * Exact Rational Numbers
+ * Fractions backed by BigInt numerator and denominator
+ */
+
+import { CalcSyntaxError, MathError } from '../errors.js';
+
+/**
+ * The fx-991ES shows a fraction result only when numerator and
+ * denominator together fit in 10 digits; otherwise it shows a decimal
+ */
+const FRACTION_DIGIT_LIMIT = 10;
+
+/**
+ * Beyond this magnitude exact arithmetic is abandoned for floating point
+ */
+const EXACT_MAGNITUDE_LIMIT = 10n ** 1000n;
+
+/**
+ * Greatest common divisor of two BigInts
+ */
+function bigGcd(a, b) {
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    
+    return a;
+}
+
+class Fraction {
+    constructor(numerator, denominator = 1n) {
+        numerator = BigInt(numerator);
+        denominator = BigInt(denominator);
+        
+        if (denominator === 0n) {
+            throw new MathError('Division by zero');
+        }
+        
+        // Keep the sign on the numerator and reduce to lowest terms
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        
+        const divisor = bigGcd(numerator, denominator) || 1n;
+        this.numerator = numerator / divisor;
+        this.denominator = denominator / divisor;
+    }
+    
+    /**
+     * Create from a decimal string ("12", "0.75", "1.5e-3")
+     */
+    static fromString(str) {
+        const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(str.trim());
+        if (!match || (match[2] === '' && !match[3])) {
+            throw new CalcSyntaxError(`Invalid number: ${str}`);
+        }
+        
+        const [, sign, intPart, fracPart = '', exponentPart = '0'] = match;
+        let numerator = BigInt((intPart || '0') + fracPart);
+        let denominator = 10n ** BigInt(fracPart.length);
+        
+        const exponent = parseInt(exponentPart, 10);
+        if (exponent > 0) {
+            numerator *= 10n ** BigInt(exponent);
+        } else if (exponent < 0) {
+            denominator *= 10n ** BigInt(-exponent);
+        }
+        
+        return new Fraction(sign === '-' ? -numerator : numerator, denominator);
+    }
+    
+    /**
+     * Create from a JavaScript number using its shortest decimal form
+     * Returns null for Infinity and NaN
+     */
+    static fromNumber(value) {
+        if (!Number.isFinite(value)) return null;
+        if (Number.isInteger(value) && Number.isSafeInteger(value)) {
+            return new Fraction(BigInt(value));
+        }
+        return Fraction.fromString(String(value));
+    }
+    
+    /**
+     * Check whether a value is a Fraction
+     */
+    static isFraction(value) {
+        return value instanceof Fraction;
+    }
+    
+    /**
+     * Convert a Fraction or number to a number
+     */
+    static toNumber(value) {
+        return Fraction.isFraction(value) ? value.toNumber() : value;
+    }
+    
+    /**
+     * Addition
+     */
+    add(other) {
+        return new Fraction(
+            this.numerator * other.denominator + other.numerator * this.denominator,
+            this.denominator * other.denominator
+        );
+    }
+    
+    /**
+     * Subtraction
+     */
+    subtract(other) {
+        return new Fraction(
+            this.numerator * other.denominator - other.numerator * this.denominator,
+            this.denominator * other.denominator
+        );
+    }
+    
+    /**
+     * Multiplication
+     */
+    multiply(other) {
+        return new Fraction(
+            this.numerator * other.numerator,
+            this.denominator * other.denominator
+        );
+    }
+    
+    /**
+     * Division
+     */
+    divide(other) {
+        if (other.numerator === 0n) {
+            throw new MathError('Division by zero');
+        }
+        return new Fraction(
+            this.numerator * other.denominator,
+            this.denominator * other.numerator
+        );
+    }
+    
+    /**
+     * Negation
+     */
+    negate() {
+        return new Fraction(-this.numerator, this.denominator);
+    }
+    
+    /**
+     * Integer power; returns null if the exact result would be unreasonably large
+     */
+    pow(exponent) {
+        exponent = BigInt(exponent);
+        
+        if (exponent === 0n) return new Fraction(1n);
+        
+        if (exponent < 0n) {
+            if (this.numerator === 0n) {
+                throw new MathError('Division by zero');
+            }
+            return new Fraction(this.denominator, this.numerator).pow(-exponent);
+        }
+        
+        const digits = Math.max(this.numerator.toString().length, this.denominator.toString().length);
+        if (digits * Number(exponent) > 1000 && this.numerator !== 0n && !this.isUnit()) {
+            return null;
+        }
+        
+        return new Fraction(this.numerator ** exponent, this.denominator ** exponent);
+    }
+    
+    /**
+     * Check whether this is 1 or -1 (any power stays small)
+     */
+    isUnit() {
+        return this.denominator === 1n && (this.numerator === 1n || this.numerator === -1n);
+    }
+    
+    /**
+     * Check if the fraction is a whole number
+     */
+    isInteger() {
+        return this.denominator === 1n;
+    }
+    
+    /**
+     * Check if the fraction is too large to keep exact
+     */
+    isUnwieldy() {
+        const numerator = this.numerator < 0n ? -this.numerator : this.numerator;
+        return numerator > EXACT_MAGNITUDE_LIMIT || this.denominator > EXACT_MAGNITUDE_LIMIT;
+    }
+    
+    /**
+     * Check if the calculator can show this as a fraction
+     */
+    fitsDisplay() {
+        const numeratorDigits = (this.numerator < 0n ? -this.numerator : this.numerator).toString().length;
+        const denominatorDigits = this.denominator.toString().length;
+        return numeratorDigits + denominatorDigits <= FRACTION_DIGIT_LIMIT;
+    }
+    
+    /**
+     * Convert to a floating point number
+     */
+    toNumber() {
+        const numerator = Number(this.numerator);
+        const denominator = Number(this.denominator);
+        
+        if (Number.isFinite(numerator) && Number.isFinite(denominator)) {
+            return numerator / denominator;
+        }
+        
+        // Scale both parts down to ~20 significant digits before dividing
+        const numeratorShift = Math.max(0, this.numerator.toString().length - 20);
+        const denominatorShift = Math.max(0, this.denominator.toString().length - 20);
+        const scaledNumerator = Number(this.numerator / 10n ** BigInt(numeratorShift));
+        const scaledDenominator = Number(this.denominator / 10n ** BigInt(denominatorShift));
+        
+        return scaledNumerator / scaledDenominator * Math.pow(10, numeratorShift - denominatorShift);
+    }
+    
+    /**
+     * Check equality
+     */
+    equals(other) {
+        return this.numerator === other.numerator && this.denominator === other.denominator;
+    }
+    
+    /**
+     * String representation (n/d)
+     */
+    toString() {
+        if (this.isInteger()) {
+            return this.numerator.toString();
+        }
+        return `${this.numerator}/${this.denominator}`;
+    }
+    
+    /**
+     * Clone
+     */
+    clone() {
+        return new Fraction(this.numerator, this.denominator);
+    }
+}
+
+// Export
+export { Fraction, FRACTION_DIGIT_LIMIT };
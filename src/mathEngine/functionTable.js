@@ -0,0 +1,74 @@
+/**
+ * Function Table Module
+ * TABLE mode: f(X), and optionally g(X), at X = Start, Start+Step, ... up to End
+ */
+
+import { parse } from '../parser.js';
+import { evaluateExpression, withVariable } from '../evaluator.js';
+import { Vector } from './vector.js';
+import { CalculatorError, MathError } from '../errors.js';
+
+/**
+ * Most rows the device holds: 30 for f(X) alone, 20 with g(X)
+ */
+const TABLE_ROW_LIMITS = { single: 30, double: 20 };
+
+/**
+ * The X column: Start, Start+Step, ... while it does not pass End
+ * A range longer than the row limit is "Insufficient MEM", as on the device
+ */
+function tableXValues(start, end, step, limit = TABLE_ROW_LIMITS.single) {
+    if (![start, end, step].every(Number.isFinite) || step === 0 || (end - start) / step < 0) {
+        throw new MathError('Step must lead from Start to End');
+    }
+    
+    // The small allowance lets End count when Step is not exact in binary (0.1, 0.2, ...)
+    const count = Math.floor((end - start) / step + 1e-9) + 1;
+    if (count > limit) {
+        throw new CalculatorError('Insufficient MEM', `More than ${limit} rows`);
+    }
+    
+    // Rounded to 15 digits so 0.1 steps give 0.3, not 0.30000000000000004
+    return Array.from({ length: count }, (_, i) => Number((start + i * step).toPrecision(15)));
+}
+
+/**
+ * One cell: the expression at X = x, or null when it has no value there (shown as ERROR)
+ */
+function evaluateTableCell(expression, x, context = {}) {
+    try {
+        const value = evaluateExpression(expression, withVariable(context, 'X', x));
+        return Number.isFinite(value) && !Vector.isVector(value) ? value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Build the table; errors in single cells leave null there rather than failing the table
+ * @param {Object} table - { f, g (optional expression in X), start, end, step }
+ * @param {Object} context - Evaluation context (angle unit, memory, Ans; see getStateContext)
+ * @returns {{ headers: string[], rows: Array }} Rows of [x, f(x)] or [x, f(x), g(x)]
+ */
+function generateTable({ f, g = null, start, end, step }, context = {}) {
+    const expressions = g ? [f, g] : [f];
+    
+    // A mistyped function is a Syntax ERROR for the whole table, not an ERROR in every cell
+    expressions.forEach(expression => parse(expression, { engSymbols: context.engSymbols }));
+    
+    const limit = g ? TABLE_ROW_LIMITS.double : TABLE_ROW_LIMITS.single;
+    return {
+        headers: g ? ['X', 'f(X)', 'g(X)'] : ['X', 'f(X)'],
+        rows: tableXValues(start, end, step, limit).map(x => tableRow(expressions, x, context))
+    };
+}
+
+/**
+ * A row for X = x: [x, f(x)] or [x, f(x), g(x)]
+ */
+function tableRow(expressions, x, context = {}) {
+    return [x, ...expressions.map(expression => evaluateTableCell(expression, x, context))];
+}
+
+// Export functions
+export { TABLE_ROW_LIMITS, tableXValues, evaluateTableCell, generateTable, tableRow };
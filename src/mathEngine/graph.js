@@ -0,0 +1,200 @@
+/**
+ * Graphing Module
+ * Curves of expressions in X for the graph panel, split into pieces at discontinuities,
+ * their roots, extrema and intersections, and the view the panel pans and zooms
+ */
+
+import { parse } from '../parser.js';
+import { evaluateExpression, withVariable } from '../evaluator.js';
+import { findAllRoots } from './solver.js';
+import { detectDiscontinuities } from './integration.js';
+import { differentiate } from './derivative.js';
+
+/**
+ * The view before any pan or zoom
+ */
+const DEFAULT_VIEW = { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+
+/**
+ * Points sampled across the view for each curve
+ */
+const GRAPH_SAMPLES = 400;
+
+/**
+ * Subintervals searched for roots, extrema and intersections
+ */
+const GRAPH_DIVISIONS = 100;
+
+/**
+ * An expression in X as a function; NaN where it has no value (√X for X < 0, 1÷X at 0)
+ * A mistyped expression throws its Syntax ERROR here rather than plotting nothing
+ * @param {string} expression - Expression in X
+ * @param {Object} context - Evaluation context (angle unit, memory, Ans; see getStateContext)
+ */
+function graphFunction(expression, context = {}) {
+    parse(expression, { engSymbols: context.engSymbols });
+    
+    return x => {
+        try {
+            const y = evaluateExpression(expression, withVariable(context, 'X', x));
+            return typeof y === 'number' ? y : NaN;
+        } catch (error) {
+            return NaN;
+        }
+    };
+}
+
+/**
+ * Sample a curve across [xMin, xMax] as pieces to draw: [[{ x, y }, ...], ...]
+ * A piece ends where f has no value or at a discontinuity, so a pole leaves a gap
+ * instead of a vertical line joining its two sides
+ */
+function sampleCurve(f, xMin, xMax, samples = GRAPH_SAMPLES) {
+    const step = (xMax - xMin) / samples;
+    const gaps = detectDiscontinuities(f, xMin, xMax, samples);
+    const pieces = [];
+    let piece = [];
+    let previousX = -Infinity;
+    
+    for (let i = 0; i <= samples; i++) {
+        const x = xMin + i * step;
+        const y = f(x);
+        const gapBefore = gaps.some(gap => gap > previousX && gap <= x);
+        
+        if (!Number.isFinite(y) || gapBefore) {
+            if (piece.length > 0) pieces.push(piece);
+            piece = [];
+        }
+        if (Number.isFinite(y)) {
+            piece.push({ x, y });
+        }
+        previousX = x;
+    }
+    if (piece.length > 0) pieces.push(piece);
+    
+    return pieces;
+}
+
+/**
+ * Zeros of f in [xMin, xMax] with findAllRoots, keeping only real ones:
+ * a sign change across a pole is also bracketed, but f is large there rather than 0
+ */
+function findZeros(f, xMin, xMax, divisions = GRAPH_DIVISIONS) {
+    const spacing = (xMax - xMin) / divisions;
+    const magnitude = x => Math.abs(f(x));
+    const nearby = x => [magnitude(x - spacing), magnitude(x + spacing)].filter(Number.isFinite);
+    
+    return findAllRoots(f, xMin, xMax, { divisions, tolerance: 1e-10 })
+        .filter(x => magnitude(x) <= 1e-6 * Math.max(1, ...nearby(x)))
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Where f has a maximum or minimum in [xMin, xMax]: zeros of its derivative where f is higher
+ * (or lower) than on both sides
+ * @returns {Array} { x, y, kind: 'maximum' | 'minimum' }
+ */
+function findExtrema(f, xMin, xMax, divisions = GRAPH_DIVISIONS) {
+    const slope = x => {
+        try {
+            return differentiate(f, x);
+        } catch (error) {
+            return NaN;
+        }
+    };
+    const h = (xMax - xMin) / divisions / 10;
+    
+    return findZeros(slope, xMin, xMax, divisions).flatMap(x => {
+        const [left, y, right] = [f(x - h), f(x), f(x + h)];
+        if (![left, y, right].every(Number.isFinite)) return [];
+        
+        if (left < y && right < y) return [{ x, y, kind: 'maximum' }];
+        if (left > y && right > y) return [{ x, y, kind: 'minimum' }];
+        return [];
+    });
+}
+
+/**
+ * Roots, extrema and intersections of the plotted functions across [xMin, xMax]
+ * A root where the curve only touches the axis (X² at 0) has no sign change, so it is
+ * taken from the extrema at y = 0
+ * @param {Function[]} functions - From graphFunction, in plot order
+ * @returns {Array} { kind: 'root' | 'maximum' | 'minimum' | 'intersection', x, y, curves: [indices] },
+ *   sorted by x
+ */
+function findGraphFeatures(functions, xMin, xMax) {
+    const features = [];
+    
+    functions.forEach((f, index) => {
+        const extrema = findExtrema(f, xMin, xMax);
+        const touching = extrema.filter(({ y }) => Math.abs(y) < 1e-9).map(({ x }) => x);
+        
+        [...findZeros(f, xMin, xMax), ...touching]
+            .filter((x, i, roots) => roots.findIndex(other => Math.abs(other - x) < 1e-7) === i)
+            .forEach(x => features.push({ kind: 'root', x, y: 0, curves: [index] }));
+        
+        extrema.forEach(({ x, y, kind }) => features.push({ kind, x, y, curves: [index] }));
+    });
+    
+    functions.forEach((f, i) => functions.slice(i + 1).forEach((g, offset) => {
+        const j = i + 1 + offset;
+        findZeros(x => f(x) - g(x), xMin, xMax)
+            .forEach(x => features.push({ kind: 'intersection', x, y: f(x), curves: [i, j] }));
+    }));
+    
+    return features.sort((a, b) => a.x - b.x);
+}
+
+/**
+ * Move the view by a fraction of its width (dx) and height (dy)
+ */
+function panView(view, dx, dy = 0) {
+    const width = view.xMax - view.xMin;
+    const height = view.yMax - view.yMin;
+    
+    return {
+        xMin: view.xMin + dx * width,
+        xMax: view.xMax + dx * width,
+        yMin: view.yMin + dy * height,
+        yMax: view.yMax + dy * height
+    };
+}
+
+/**
+ * Scale the view about a point (its centre by default): factor < 1 zooms in, > 1 out
+ */
+function zoomView(view, factor, center = null) {
+    const { x, y } = center || { x: (view.xMin + view.xMax) / 2, y: (view.yMin + view.yMax) / 2 };
+    
+    return {
+        xMin: x + (view.xMin - x) * factor,
+        xMax: x + (view.xMax - x) * factor,
+        yMin: y + (view.yMin - y) * factor,
+        yMax: y + (view.yMax - y) * factor
+    };
+}
+
+/**
+ * Conversions between graph coordinates and pixels on a width × height canvas (y grows downwards)
+ */
+function viewTransform(view, width, height) {
+    const scaleX = width / (view.xMax - view.xMin);
+    const scaleY = height / (view.yMax - view.yMin);
+    
+    return {
+        toScreen: (x, y) => ({ px: (x - view.xMin) * scaleX, py: (view.yMax - y) * scaleY }),
+        toGraph: (px, py) => ({ x: view.xMin + px / scaleX, y: view.yMax - py / scaleY })
+    };
+}
+
+// Export functions
+export {
+    DEFAULT_VIEW,
+    GRAPH_SAMPLES,
+    graphFunction,
+    sampleCurve,
+    findGraphFeatures,
+    panView,
+    zoomView,
+    viewTransform
+};
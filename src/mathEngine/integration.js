@@ -3,6 +3,9 @@
  * Implements adaptive Simpson's rule for definite integrals
  */
 
+import { evaluateExpression, withVariable } from '../evaluator.js';
+import { MathError, ArgumentError } from '../errors.js';
+
 /**
  * Simpson's rule for a single interval
  * ∫[a,b] f(x)dx ≈ (b-a)/6 * [f(a) + 4f((a+b)/2) + f(b)]
@@ -17,12 +20,12 @@ function simpsonsRule(f, a, b) {
         const fc = f(c);
         
         if (!isFinite(fa) || !isFinite(fb) || !isFinite(fc)) {
-            throw new Error('Function returned non-finite value');
+            throw new MathError('Function returned non-finite value');
         }
         
         return (h / 6) * (fa + 4 * fc + fb);
     } catch (error) {
-        throw new Error(`Integration failed: ${error.message}`);
+        throw new MathError(`Integration failed: ${error.message}`);
     }
 }
 
@@ -41,7 +44,7 @@ function adaptiveSimpson(f, a, b, epsilon, S, fa, fb, fc, depth) {
         const fe = f(e);
         
         if (!isFinite(fd) || !isFinite(fe)) {
-            throw new Error('Function returned non-finite value');
+            throw new MathError('Function returned non-finite value');
         }
         
         const Sleft = (h / 12) * (fa + 4 * fd + fc);
@@ -73,22 +76,23 @@ function integrate(func, a, b, options = {}) {
     const {
         tolerance = 1e-8,
         maxDepth = 20,
-        variable = 'x'
+        variable = 'x',
+        context = {}
     } = options;
     
     // Convert string expression to function if needed
     let f;
     if (typeof func === 'string') {
-        f = createFunctionFromExpression(func, variable);
+        f = createFunctionFromExpression(func, variable, context);
     } else if (typeof func === 'function') {
         f = func;
     } else {
-        throw new Error('Invalid function type');
+        throw new ArgumentError('Invalid function type');
     }
     
     // Validate bounds
     if (!isFinite(a) || !isFinite(b)) {
-        throw new Error('Integration bounds must be finite');
+        throw new MathError('Integration bounds must be finite');
     }
     
     if (a === b) {
@@ -107,7 +111,7 @@ function integrate(func, a, b, options = {}) {
         const fc = f((a + b) / 2);
         
         if (!isFinite(fa) || !isFinite(fb) || !isFinite(fc)) {
-            throw new Error('Function has singularity at or near bounds');
+            throw new MathError('Function has singularity at or near bounds');
         }
         
         // Calculate initial Simpson's rule estimate
@@ -120,36 +124,16 @@ function integrate(func, a, b, options = {}) {
         return result;
         
     } catch (error) {
-        throw new Error(`Integration error: ${error.message}`);
+        throw new MathError(`Integration error: ${error.message}`);
     }
 }
 
 /**
  * Create a function from an expression string
+ * The variable is bound in its own scope over the evaluation context, so memory is left untouched
  */
-function createFunctionFromExpression(expression, variable = 'x') {
-    return (value) => {
-        // Save original state
-        const state = window.calculatorState;
-        const originalMemory = { ...state.memory };
-        
-        // Set variable value
-        state.memory[variable.toUpperCase()] = value;
-        
-        try {
-            // Evaluate expression
-            const result = evaluateWithState(expression);
-            
-            // Restore memory
-            state.memory = originalMemory;
-            
-            return result;
-        } catch (error) {
-            // Restore memory
-            state.memory = originalMemory;
-            throw error;
-        }
-    };
+function createFunctionFromExpression(expression, variable = 'x', context = {}) {
+    return (value) => evaluateExpression(expression, withVariable(context, variable, value));
 }
 
 /**
@@ -207,26 +191,71 @@ function rombergIntegration(f, a, b, maxSteps = 10, tolerance = 1e-10) {
 
 /**
  * Test if a function has discontinuities in an interval
+ * Flags the samples (a to b, both ends included) where f is undefined, and the poles between
+ * samples where f changes sign through infinity (1/x at 0, tan at 90°), in increasing order
  */
 function detectDiscontinuities(f, a, b, samples = 100) {
     const discontinuities = [];
     const step = (b - a) / samples;
+    let previous = null;    // Last sample with a value: { x, y }
     
-    for (let i = 0; i < samples; i++) {
+    for (let i = 0; i <= samples; i++) {
         const x = a + i * step;
-        try {
-            const y = f(x);
-            if (!isFinite(y)) {
-                discontinuities.push(x);
-            }
-        } catch (error) {
+        const y = valueAt(f, x);
+        
+        if (!isFinite(y)) {
             discontinuities.push(x);
+            previous = null;
+            continue;
         }
+        
+        if (previous && previous.y * y < 0) {
+            const pole = locatePole(f, previous, { x, y });
+            if (pole !== null) {
+                discontinuities.push(pole);
+            }
+        }
+        previous = { x, y };
     }
     
     return discontinuities;
 }
 
+/**
+ * f(x), or NaN where it throws
+ */
+function valueAt(f, x) {
+    try {
+        return f(x);
+    } catch (error) {
+        return NaN;
+    }
+}
+
+/**
+ * Narrow a sign change down by bisection: near a root the values shrink, near a pole they grow
+ * @returns {number|null} The pole's position, or null for a root
+ */
+function locatePole(f, left, right) {
+    let [a, fa] = [left.x, left.y];
+    let [b, fb] = [right.x, right.y];
+    
+    for (let i = 0; i < 60; i++) {
+        const mid = (a + b) / 2;
+        const fm = valueAt(f, mid);
+        
+        if (!isFinite(fm)) return mid;
+        if (fa * fm < 0) {
+            [b, fb] = [mid, fm];
+        } else {
+            [a, fa] = [mid, fm];
+        }
+    }
+    
+    const grew = Math.min(Math.abs(fa), Math.abs(fb)) > Math.max(Math.abs(left.y), Math.abs(right.y));
+    return grew ? (a + b) / 2 : null;
+}
+
 /**
  * Convenience function for common integrals
  */
@@ -260,10 +289,13 @@ const IntegrationHelpers = {
 };
 
 // Export functions
-window.integrate = integrate;
-window.simpsonsRule = simpsonsRule;
-window.trapezoidalRule = trapezoidalRule;
-window.rombergIntegration = rombergIntegration;
-window.detectDiscontinuities = detectDiscontinuities;
-window.IntegrationHelpers = IntegrationHelpers;
+export {
+    integrate,
+    createFunctionFromExpression,
+    simpsonsRule,
+    trapezoidalRule,
+    rombergIntegration,
+    detectDiscontinuities,
+    IntegrationHelpers
+};
 
@@ -3,6 +3,8 @@
  * Supports matrix arithmetic, determinants, inverse, and linear systems
  */
 
+import { MathError, DimensionError } from '../errors.js';
+
 class Matrix {
     constructor(rows, cols, data = null) {
         this.rows = rows;
@@ -12,11 +14,11 @@ class Matrix {
             if (Array.isArray(data)) {
                 // From 2D array
                 if (data.length !== rows || data[0].length !== cols) {
-                    throw new Error('Data dimensions do not match matrix dimensions');
+                    throw new DimensionError('Data dimensions do not match matrix dimensions');
                 }
                 this.data = data.map(row => [...row]);
             } else {
-                throw new Error('Invalid data format');
+                throw new DimensionError('Invalid data format');
             }
         } else {
             // Initialize with zeros
@@ -60,7 +62,7 @@ class Matrix {
      */
     static from(array) {
         if (!Array.isArray(array) || !Array.isArray(array[0])) {
-            throw new Error('Input must be 2D array');
+            throw new DimensionError('Input must be 2D array');
         }
         return new Matrix(array.length, array[0].length, array);
     }
@@ -70,7 +72,7 @@ class Matrix {
      */
     get(i, j) {
         if (i < 0 || i >= this.rows || j < 0 || j >= this.cols) {
-            throw new Error('Index out of bounds');
+            throw new DimensionError('Index out of bounds');
         }
         return this.data[i][j];
     }
@@ -80,7 +82,7 @@ class Matrix {
      */
     set(i, j, value) {
         if (i < 0 || i >= this.rows || j < 0 || j >= this.cols) {
-            throw new Error('Index out of bounds');
+            throw new DimensionError('Index out of bounds');
         }
         this.data[i][j] = value;
     }
@@ -97,7 +99,7 @@ class Matrix {
      */
     add(other) {
         if (this.rows !== other.rows || this.cols !== other.cols) {
-            throw new Error('Matrix dimensions must match for addition');
+            throw new DimensionError('Matrix dimensions must match for addition');
         }
         
         const result = new Matrix(this.rows, this.cols);
@@ -114,7 +116,7 @@ class Matrix {
      */
     subtract(other) {
         if (this.rows !== other.rows || this.cols !== other.cols) {
-            throw new Error('Matrix dimensions must match for subtraction');
+            throw new DimensionError('Matrix dimensions must match for subtraction');
         }
         
         const result = new Matrix(this.rows, this.cols);
@@ -144,7 +146,7 @@ class Matrix {
      */
     multiply(other) {
         if (this.cols !== other.rows) {
-            throw new Error('Invalid dimensions for matrix multiplication');
+            throw new DimensionError('Invalid dimensions for matrix multiplication');
         }
         
         const result = new Matrix(this.rows, other.cols);
@@ -178,7 +180,7 @@ class Matrix {
      */
     determinant() {
         if (this.rows !== this.cols) {
-            throw new Error('Determinant only defined for square matrices');
+            throw new DimensionError('Determinant only defined for square matrices');
         }
         
         return this._determinantRecursive(this.data);
@@ -227,14 +229,14 @@ class Matrix {
      */
     inverse() {
         if (this.rows !== this.cols) {
-            throw new Error('Inverse only defined for square matrices');
+            throw new DimensionError('Inverse only defined for square matrices');
         }
         
         const n = this.rows;
         const det = this.determinant();
         
         if (Math.abs(det) < 1e-10) {
-            throw new Error('Matrix is singular (non-invertible)');
+            throw new MathError('Matrix is singular (non-invertible)');
         }
         
         // Create augmented matrix [A | I]
@@ -258,7 +260,7 @@ class Matrix {
             // Scale pivot row
             const pivot = aug[i][i];
             if (Math.abs(pivot) < 1e-10) {
-                throw new Error('Matrix is singular');
+                throw new MathError('Matrix is singular');
             }
             
             for (let j = 0; j < 2 * n; j++) {
@@ -286,11 +288,11 @@ class Matrix {
      */
     solve(b) {
         if (this.rows !== this.cols) {
-            throw new Error('Matrix must be square to solve system');
+            throw new DimensionError('Matrix must be square to solve system');
         }
         
         if (!Array.isArray(b) || b.length !== this.rows) {
-            throw new Error('Invalid right-hand side vector');
+            throw new DimensionError('Invalid right-hand side vector');
         }
         
         const n = this.rows;
@@ -315,7 +317,7 @@ class Matrix {
             
             // Check for singular matrix
             if (Math.abs(aug[i][i]) < 1e-10) {
-                throw new Error('Matrix is singular or system has no unique solution');
+                throw new MathError('Matrix is singular or system has no unique solution');
             }
             
             // Eliminate below
@@ -414,7 +416,7 @@ class Matrix {
      */
     trace() {
         if (this.rows !== this.cols) {
-            throw new Error('Trace only defined for square matrices');
+            throw new DimensionError('Trace only defined for square matrices');
         }
         
         let sum = 0;
@@ -465,5 +467,5 @@ class Matrix {
 }
 
 // Export
-window.Matrix = Matrix;
+export { Matrix };
 
@@ -3,6 +3,10 @@
  * Implements various root-finding algorithms
  */
 
+import { differentiate } from './derivative.js';
+import { evaluateExpression, withVariable } from '../evaluator.js';
+import { MathError, ArgumentError } from '../errors.js';
+
 /**
  * Bisection method (most robust, guaranteed convergence)
  * Finds root of f(x) = 0 in interval [a, b]
@@ -18,7 +22,7 @@ function bisection(f, a, b, options = {}) {
     
     // Check if bounds contain a root
     if (fa * fb > 0) {
-        throw new Error('Function must have different signs at bounds');
+        throw new MathError('Function must have different signs at bounds');
     }
     
     // Check if one bound is already a root
@@ -57,12 +61,11 @@ function newton(f, x0, options = {}) {
     const {
         tolerance = 1e-8,
         maxIterations = 100,
-        derivative = null,
-        h = 1e-7  // Step size for numerical derivative
+        derivative = null
     } = options;
     
     // Numerical derivative if not provided
-    const df = derivative || ((x) => (f(x + h) - f(x - h)) / (2 * h));
+    const df = derivative || ((x) => differentiate(f, x));
     
     let x = x0;
     let iterations = 0;
@@ -77,7 +80,7 @@ function newton(f, x0, options = {}) {
         const dfx = df(x);
         
         if (Math.abs(dfx) < 1e-12) {
-            throw new Error('Derivative too small, Newton method failed');
+            throw new MathError('Derivative too small, Newton method failed');
         }
         
         const xNew = x - fx / dfx;
@@ -90,7 +93,7 @@ function newton(f, x0, options = {}) {
         iterations++;
     }
     
-    throw new Error('Newton method did not converge');
+    throw new MathError('Newton method did not converge');
 }
 
 /**
@@ -114,7 +117,7 @@ function secant(f, x0, x1, options = {}) {
         }
         
         if (Math.abs(fx1 - fx0) < 1e-12) {
-            throw new Error('Division by zero in secant method');
+            throw new MathError('Division by zero in secant method');
         }
         
         const x2 = x1 - fx1 * (x1 - x0) / (fx1 - fx0);
@@ -128,7 +131,7 @@ function secant(f, x0, x1, options = {}) {
         iterations++;
     }
     
-    throw new Error('Secant method did not converge');
+    throw new MathError('Secant method did not converge');
 }
 
 /**
@@ -144,8 +147,12 @@ function brent(f, a, b, options = {}) {
     let fa = f(a);
     let fb = f(b);
     
+    if (!Number.isFinite(fa) || !Number.isFinite(fb)) {
+        throw new MathError('Function must be defined at bounds');
+    }
+    
     if (fa * fb > 0) {
-        throw new Error('Function must have different signs at bounds');
+        throw new MathError('Function must have different signs at bounds');
     }
     
     if (Math.abs(fa) < Math.abs(fb)) {
@@ -163,7 +170,8 @@ function brent(f, a, b, options = {}) {
             return b;
         }
         
-        if (fa * fb > 0) {
+        // Keep the root bracketed between b and c
+        if (fb * fc > 0) {
             c = a;
             fc = fa;
             d = e = b - a;
@@ -233,43 +241,32 @@ function brent(f, a, b, options = {}) {
         fb = f(b);
     }
     
-    throw new Error('Brent method did not converge');
+    throw new MathError('Brent method did not converge');
 }
 
 /**
  * Solve equation from expression string
+ * The variable (case-sensitive, as typed in the expression) shadows memory while solving
+ * options.context supplies the angle unit, memory and Ans (see getStateContext)
  */
 function solve(expression, variable = 'x', initialGuess = 0, options = {}) {
     const {
         method = 'brent',
         bounds = null,
         tolerance = 1e-8,
-        maxIterations = 100
+        maxIterations = 100,
+        context = {}
     } = options;
     
-    // Create function from expression
-    const f = (value) => {
-        const state = window.calculatorState;
-        const originalMemory = { ...state.memory };
-        
-        state.memory[variable.toUpperCase()] = value;
-        
-        try {
-            const result = evaluateWithState(expression);
-            state.memory = originalMemory;
-            return result;
-        } catch (error) {
-            state.memory = originalMemory;
-            throw error;
-        }
-    };
+    // Create function from expression, binding the variable in its own scope
+    const f = (value) => evaluateExpression(expression, withVariable(context, variable, value));
     
     // Choose solving method
     try {
         switch (method) {
             case 'bisection':
                 if (!bounds || bounds.length !== 2) {
-                    throw new Error('Bisection requires bounds [a, b]');
+                    throw new ArgumentError('Bisection requires bounds [a, b]');
                 }
                 return bisection(f, bounds[0], bounds[1], { tolerance, maxIterations });
                 
@@ -313,7 +310,7 @@ function solve(expression, variable = 'x', initialGuess = 0, options = {}) {
                 return brent(f, a, b, { tolerance, maxIterations });
         }
     } catch (error) {
-        throw new Error(`Solver error: ${error.message}`);
+        throw new MathError(`Solver error: ${error.message}`);
     }
 }
 
@@ -351,10 +348,5 @@ function findAllRoots(f, a, b, options = {}) {
 }
 
 // Export functions
-window.bisection = bisection;
-window.newton = newton;
-window.secant = secant;
-window.brent = brent;
-window.solve = solve;
-window.findAllRoots = findAllRoots;
+export { bisection, newton, secant, brent, solve, findAllRoots };
 
@@ -3,6 +3,9 @@
  * Supports 1-VAR and 2-VAR statistics, regression analysis
  */
 
+import { MathUtils } from './utils.js';
+import { MathError, ArgumentError, DimensionError } from '../errors.js';
+
 class Statistics {
     constructor() {
         this.data = [];
@@ -49,7 +52,7 @@ class Statistics {
      */
     setPairedData(xArray, yArray) {
         if (xArray.length !== yArray.length) {
-            throw new Error('X and Y arrays must have same length');
+            throw new DimensionError('X and Y arrays must have same length');
         }
         this.xData = [...xArray];
         this.yData = [...yArray];
@@ -211,12 +214,12 @@ class Statistics {
      */
     linearRegression() {
         if (this.mode !== '2-VAR') {
-            throw new Error('Linear regression requires 2-VAR data');
+            throw new ArgumentError('Linear regression requires 2-VAR data');
         }
         
         const n = this.xData.length;
         if (n < 2) {
-            throw new Error('Need at least 2 data points for regression');
+            throw new MathError('Need at least 2 data points for regression');
         }
         
         const sumX = this.sum(this.xData);
@@ -257,7 +260,7 @@ class Statistics {
      */
     covariance() {
         if (this.mode !== '2-VAR') {
-            throw new Error('Covariance requires 2-VAR data');
+            throw new ArgumentError('Covariance requires 2-VAR data');
         }
         
         const n = this.xData.length;
@@ -279,7 +282,7 @@ class Statistics {
      */
     correlation() {
         if (this.mode !== '2-VAR') {
-            throw new Error('Correlation requires 2-VAR data');
+            throw new ArgumentError('Correlation requires 2-VAR data');
         }
         
         const cov = this.covariance();
@@ -346,12 +349,12 @@ const StatsHelpers = {
     /**
      * Calculate factorial (reuse from utils)
      */
-    factorial: (n) => window.MathUtils.factorial(n),
+    factorial: (n) => MathUtils.factorial(n),
     
     /**
      * Binomial coefficient C(n, k)
      */
-    binomial: (n, k) => window.MathUtils.combination(n, k),
+    binomial: (n, k) => MathUtils.combination(n, k),
     
     /**
      * Z-score
@@ -381,6 +384,5 @@ const StatsHelpers = {
 
 
 // Export
-window.Statistics = Statistics;
-window.StatsHelpers = StatsHelpers;
+export { Statistics, StatsHelpers };
 
@@ -3,13 +3,15 @@
  * Factorial, combinations, permutations, and other utility functions
  */
 
+import { MathError } from '../errors.js';
+
 /**
  * Calculate factorial using iteration (faster for small numbers)
  * For n > 170, use Stirling's approximation or return Infinity
  */
 function factorial(n) {
     if (!Number.isInteger(n) || n < 0) {
-        throw new Error('Factorial requires non-negative integer');
+        throw new MathError('Factorial requires non-negative integer');
     }
     
     if (n === 0 || n === 1) return 1;
@@ -33,7 +35,7 @@ function factorial(n) {
  */
 function factorialBigInt(n) {
     if (!Number.isInteger(n) || n < 0) {
-        throw new Error('Factorial requires non-negative integer');
+        throw new MathError('Factorial requires non-negative integer');
     }
     
     if (n === 0 || n === 1) return 1n;
@@ -86,11 +88,11 @@ function gamma(z) {
  */
 function permutation(n, r) {
     if (!Number.isInteger(n) || !Number.isInteger(r)) {
-        throw new Error('Permutation requires integers');
+        throw new MathError('Permutation requires integers');
     }
     
     if (n < 0 || r < 0) {
-        throw new Error('Permutation requires non-negative values');
+        throw new MathError('Permutation requires non-negative values');
     }
     
     if (r > n) {
@@ -114,11 +116,11 @@ function permutation(n, r) {
  */
 function combination(n, r) {
     if (!Number.isInteger(n) || !Number.isInteger(r)) {
-        throw new Error('Combination requires integers');
+        throw new MathError('Combination requires integers');
     }
     
     if (n < 0 || r < 0) {
-        throw new Error('Combination requires non-negative values');
+        throw new MathError('Combination requires non-negative values');
     }
     
     if (r > n) {
@@ -211,7 +213,7 @@ function isPrime(n) {
  */
 function primeFactors(n) {
     if (!Number.isInteger(n) || n < 2) {
-        throw new Error('Prime factorization requires integer >= 2');
+        throw new MathError('Prime factorization requires integer >= 2');
     }
     
     const factors = [];
@@ -294,7 +296,7 @@ function convertAngle(value, fromUnit, toUnit) {
 
 
 // Export all functions
-window.MathUtils = {
+export const MathUtils = {
     factorial,
     factorialBigInt,
     gamma,
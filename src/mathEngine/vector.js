@@ -0,0 +1,176 @@
+/**
+ * Vector Operations Module
+ * 2D and 3D vectors for VECTOR mode: arithmetic, dot and cross products, Abs, unit vectors and angles
+ * A vector is held as a 1×n Matrix, so sums and products reuse the matrix arithmetic
+ */
+
+import { Matrix } from './matrix.js';
+import { MathError, DimensionError } from '../errors.js';
+
+/**
+ * Vector memories, as they appear in expressions (VctAns is the last vector result)
+ */
+const VECTOR_NAMES = ['VctA', 'VctB', 'VctC', 'VctAns'];
+
+class Vector {
+    /**
+     * @param {number[]} components - 2 or 3 components
+     */
+    constructor(components) {
+        if (!Array.isArray(components) || components.length < 2 || components.length > 3) {
+            throw new DimensionError('Vectors have 2 or 3 components');
+        }
+        this.matrix = Matrix.from([components]);
+    }
+    
+    /**
+     * Create vector from array
+     */
+    static from(array) {
+        return new Vector(array);
+    }
+    
+    /**
+     * Vector from a 1×n or n×1 matrix
+     */
+    static fromMatrix(matrix) {
+        if (matrix.rows === 1) return new Vector(matrix.data[0]);
+        if (matrix.cols === 1) return new Vector(matrix.data.map(row => row[0]));
+        throw new DimensionError('Matrix is not a row or column');
+    }
+    
+    /**
+     * Check whether a value is a Vector
+     */
+    static isVector(value) {
+        return value instanceof Vector;
+    }
+    
+    /**
+     * Number of components (2 or 3)
+     */
+    get dimension() {
+        return this.matrix.cols;
+    }
+    
+    /**
+     * Component i (0-based)
+     */
+    get(i) {
+        return this.matrix.get(0, i);
+    }
+    
+    /**
+     * Components as a 1×n matrix
+     */
+    toMatrix() {
+        return this.matrix.clone();
+    }
+    
+    /**
+     * Throw unless other has the same dimension
+     */
+    checkDimension(other, operation) {
+        if (this.dimension !== other.dimension) {
+            throw new DimensionError(`Vector dimensions must match for ${operation}`);
+        }
+    }
+    
+    add(other) {
+        this.checkDimension(other, 'addition');
+        return Vector.fromMatrix(this.matrix.add(other.matrix));
+    }
+    
+    subtract(other) {
+        this.checkDimension(other, 'subtraction');
+        return Vector.fromMatrix(this.matrix.subtract(other.matrix));
+    }
+    
+    /**
+     * Multiply every component by a number
+     */
+    scale(scalar) {
+        return Vector.fromMatrix(this.matrix.scale(scalar));
+    }
+    
+    /**
+     * Divide every component by a number
+     */
+    divide(scalar) {
+        if (scalar === 0) {
+            throw new MathError('Division by zero');
+        }
+        return new Vector(this.toArray().map(value => value / scalar));
+    }
+    
+    negate() {
+        return this.scale(-1);
+    }
+    
+    /**
+     * Dot product: the 1×1 product of this row and other as a column
+     */
+    dot(other) {
+        this.checkDimension(other, 'the dot product');
+        return this.matrix.multiply(other.matrix.transpose()).get(0, 0);
+    }
+    
+    /**
+     * Cross product, always 3D: 2D vectors are taken in the xy plane, so the result is (0, 0, z)
+     * Each component is a 2×2 minor of the matrix whose rows are the two vectors
+     */
+    cross(other) {
+        this.checkDimension(other, 'the cross product');
+        
+        const [a, b] = [this, other].map(vector => [...vector.toArray(), 0].slice(0, 3));
+        const minor = (p, q) => Matrix.from([[a[p], a[q]], [b[p], b[q]]]).determinant();
+        
+        return new Vector([minor(1, 2), minor(2, 0), minor(0, 1)]);
+    }
+    
+    /**
+     * Length of the vector (Abs)
+     */
+    magnitude() {
+        return Math.hypot(...this.toArray());
+    }
+    
+    /**
+     * Vector of length 1 in the same direction (UnitV)
+     */
+    unit() {
+        const length = this.magnitude();
+        if (length === 0) {
+            throw new MathError('Zero vector has no direction');
+        }
+        return this.divide(length);
+    }
+    
+    /**
+     * Angle between two vectors in radians, from 0 to π
+     * Taken from both products, which stays accurate for nearly parallel vectors where acos does not
+     */
+    angle(other) {
+        if (this.magnitude() === 0 || other.magnitude() === 0) {
+            throw new MathError('Angle with a zero vector is undefined');
+        }
+        return Math.atan2(this.cross(other).magnitude(), this.dot(other));
+    }
+    
+    /**
+     * Components as an array
+     */
+    toArray() {
+        return [...this.matrix.data[0]];
+    }
+    
+    /**
+     * Convert to string: [1, 2, 3]
+     */
+    toString() {
+        return `[${this.toArray().join(', ')}]`;
+    }
+}
+
+// Export
+export { Vector, VECTOR_NAMES };
@@ -217,11 +217,6 @@ class MemoryManager {
     /**
      * Interactive memory operations
      */
-    promptStore() {
-        console.log('💾 STO: Enter register (A-F, M, X, Y)');
-        // In full implementation, this would show an input overlay
-    }
-    
     promptRecall() {
         console.log('📂 RCL: Enter register (A-F, M, X, Y)');
         // In full implementation, this would show an input overlay
@@ -0,0 +1,89 @@
+/**
+ * LCD Menus
+ * Numbered menus drawn on the display (the VECTOR menu, Vector?, VctA(m) m?),
+ * answered with a digit key; AC closes them
+ */
+
+class MenuManager {
+    constructor() {
+        this.menu = null;       // { title, items } while a menu is shown
+    }
+    
+    /**
+     * Show a menu
+     * @param {string|null} title - Question on the first line (Vector?), or null
+     * @param {Array} items - { label, select() }, numbered from 1 unless an item gives its number
+     */
+    open(title, items) {
+        this.menu = { title, items };
+        console.log(`📋 Menu: ${this.getLines().join(' / ')}`);
+    }
+    
+    /**
+     * Ask for a single digit (Fix 0~9?); select(digit) gets the answer
+     * @param {Array} digits - The digits accepted, e.g. [1, 2] for Norm 1~2
+     */
+    askDigit(title, digits, select) {
+        this.open(title, digits.map(digit => ({ number: digit, select: () => select(digit) })));
+    }
+    
+    /**
+     * Check if a menu is shown
+     */
+    isOpen() {
+        return this.menu !== null;
+    }
+    
+    /**
+     * Choose item number (from 1); numbers not in the list are ignored
+     * The menu closes before the item runs, so the item may open another menu
+     * Returns true if an item was chosen
+     */
+    choose(number) {
+        const item = this.menu ? this.menu.items.find((item, index) => itemNumber(item, index) === number) : null;
+        if (!item) return false;
+        
+        this.menu = null;
+        item.select();
+        return true;
+    }
+    
+    /**
+     * Close the menu without choosing
+     */
+    close() {
+        this.menu = null;
+    }
+    
+    /**
+     * The two display lines: the title over the items, or the items split across both lines
+     * Digit answers (askDigit) have no label and are not listed
+     */
+    getLines() {
+        if (!this.menu) return [];
+        
+        const items = this.menu.items
+            .map((item, index) => item.label ? `${itemNumber(item, index)}:${item.label}` : null)
+            .filter(Boolean);
+        if (this.menu.title) {
+            return [this.menu.title, items.join(' ')];
+        }
+        
+        const half = Math.ceil(items.length / 2);
+        return [items.slice(0, half).join(' '), items.slice(half).join(' ')];
+    }
+}
+
+/**
+ * The number that chooses a menu item: its own, or its place in the list
+ */
+function itemNumber(item, index) {
+    return item.number ?? index + 1;
+}
+
+// Create global instance
+const menuManager = new MenuManager();
+
+// Export
+window.MenuManager = MenuManager;
+window.menuManager = menuManager;
@@ -44,7 +44,13 @@ const MODES = {
         name: 'EQN',
         displayName: 'EQN',
         description: 'Equation solver',
-        subModes: ['LINEAR', 'QUADRATIC', 'CUBIC']
+        subModes: ['LINEAR', 'QUADRATIC', 'CUBIC', 'QUARTIC']
+    },
+    INEQ: {
+        name: 'INEQ',
+        displayName: 'INEQ',
+        description: 'Inequality solver',
+        subModes: ['QUADRATIC', 'CUBIC', 'QUARTIC']
     },
     TABLE: {
         name: 'TABLE',
@@ -54,6 +60,32 @@ const MODES = {
     }
 };
 
+/**
+ * EQN equation types, as the type menu lists them
+ * Linear systems have a row per unknown; polynomials a single row of degree + 1 coefficients
+ */
+const EQUATION_TYPES = [
+    { type: 'LINEAR', unknowns: 2, label: 'anX+bnY=cn' },
+    { type: 'LINEAR', unknowns: 3, label: 'anX+bnY+cnZ=dn' },
+    { type: 'QUADRATIC', degree: 2, label: 'aX²+bX+c=0' },
+    { type: 'CUBIC', degree: 3, label: 'aX³+bX²+cX+d=0' },
+    { type: 'QUARTIC', degree: 4, label: 'aX⁴+bX³+cX²+dX+e=0' }
+];
+
+/**
+ * INEQ polynomial types, as the degree menu lists them; the operator and 0 follow the label
+ */
+const INEQUALITY_TYPES = [
+    { degree: 2, label: 'aX²+bX+c' },
+    { degree: 3, label: 'aX³+bX²+cX+d' },
+    { degree: 4, label: 'aX⁴+bX³+cX²+dX+e' }
+];
+
+/**
+ * Unknowns of a linear system, in solution order
+ */
+const EQUATION_UNKNOWNS = ['X', 'Y', 'Z'];
+
 class ModeManager {
     constructor() {
         this.currentMode = 'COMP';
@@ -91,6 +123,13 @@ class ModeManager {
             },
             EQN: {
                 equationType: 'LINEAR',
+                unknowns: 2,
+                degree: null,
+                coefficients: []
+            },
+            INEQ: {
+                degree: 2,
+                operator: '>',
                 coefficients: []
             }
         };
@@ -112,6 +151,12 @@ class ModeManager {
         const state = window.calculatorState;
         state.mode = MODES[modeName].displayName;
         
+        // Leave the previous mode's menus, editor and solutions
+        window.menuManager.close();
+        window.gridEditor.close();
+        window.tableManager.cancel();
+        state.solutions = null;
+        
         // Mode-specific initialization
         this.onModeEnter(modeName, previousMode);
         
@@ -135,6 +180,18 @@ class ModeManager {
             case 'MATRIX':
                 this.enterMatrixMode();
                 break;
+            case 'VECTOR':
+                this.enterVectorMode();
+                break;
+            case 'EQN':
+                this.enterEqnMode();
+                break;
+            case 'INEQ':
+                this.enterIneqMode();
+                break;
+            case 'TABLE':
+                this.enterTableMode();
+                break;
             case 'COMPLEX':
                 this.enterComplexMode();
                 break;
@@ -182,6 +239,38 @@ class ModeManager {
         this.showMatrixMenu();
     }
     
+    /**
+     * Enter VECTOR mode: pick a vector and its dimension, then edit it
+     */
+    enterVectorMode() {
+        console.log('📐 VECTOR mode active');
+        this.chooseVector(name => this.chooseVectorDimension(name));
+    }
+    
+    /**
+     * Enter EQN mode: pick the equation type, then enter its coefficients
+     */
+    enterEqnMode() {
+        console.log('📐 EQN mode active');
+        this.showEquationTypeMenu();
+    }
+    
+    /**
+     * Enter INEQ mode: pick the degree and the operator, then enter the coefficients
+     */
+    enterIneqMode() {
+        console.log('📐 INEQ mode active');
+        this.showInequalityTypeMenu();
+    }
+    
+    /**
+     * Enter TABLE mode: prompt for f(X), g(X), Start, End and Step
+     */
+    enterTableMode() {
+        console.log('📋 TABLE mode active');
+        window.tableManager.start();
+    }
+    
     /**
      * Enter COMPLEX mode
      */
@@ -194,31 +283,98 @@ class ModeManager {
      */
     showModeMenu() {
         const modeNames = Object.keys(MODES);
-        const menuItems = modeNames.map((key, index) => {
-            const mode = MODES[key];
-            return `${index + 1}: ${mode.displayName}`;
-        });
         
-        console.log('📋 MODE Menu:');
-        console.log(menuItems.join('\n'));
+        window.menuManager.open(null, modeNames.map(name => ({
+            label: name,
+            select: () => this.switchMode(name)
+        })));
         
-        // For now, just log. In a full implementation, this would show a UI overlay
         return modeNames;
     }
     
     /**
-     * Show setup menu
+     * Show the SETUP menu (SHIFT MODE); numbered as on the device
      */
     showSetupMenu() {
-        const state = window.calculatorState;
+        window.menuManager.open(null, [
+            { number: 2, label: 'Angle', select: () => this.showAngleUnitMenu() },
+            { number: 3, label: 'Fix/Sci/Norm', select: () => this.showDisplayFormatMenu() },
+            { number: 5, label: 'EngSym', select: () => this.showEngineeringSymbolsMenu() },
+            { number: 6, label: 'CMPLX', select: () => this.showComplexFormatMenu() }
+        ]);
+    }
+    
+    /**
+     * SETUP 2: Deg, Rad or Gra
+     */
+    showAngleUnitMenu() {
+        window.menuManager.open(null, [['Deg', 'DEG'], ['Rad', 'RAD'], ['Gra', 'GRAD']].map(([label, unit]) => ({
+            label,
+            select: () => this.setAngleUnit(unit)
+        })));
+    }
+    
+    /**
+     * SETUP 3: Fix, Sci or Norm, then the number of digits (Sci 0 means 10)
+     */
+    showDisplayFormatMenu() {
+        const ask = (title, digits, toFormat) => () => window.menuManager.askDigit(title, digits, digit => {
+            this.setDisplayFormat(...toFormat(digit));
+        });
         
-        console.log('⚙️ SETUP Menu:');
-        console.log('1: MthIO / LineIO');
-        console.log('2: Deg / Rad / Grad - Current:', state.angleUnit);
-        console.log('3: Fix / Sci / Norm - Current: Norm');
-        console.log('4: Disp');
+        window.menuManager.open(null, [
+            { label: 'Fix', select: ask('Fix 0~9?', [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], digit => ['FIX', digit]) },
+            { label: 'Sci', select: ask('Sci 0~9?', [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], digit => ['SCI', digit || 10]) },
+            { label: 'Norm', select: ask('Norm 1~2?', [1, 2], digit => ['NORM', digit]) }
+        ]);
+    }
+    
+    /**
+     * SETUP 5: Engineer Symbol on or off
+     */
+    showEngineeringSymbolsMenu() {
+        window.menuManager.open('Engineer Symbol', [
+            { label: 'On', select: () => this.setEngineeringSymbols(true) },
+            { label: 'Off', select: () => this.setEngineeringSymbols(false) }
+        ]);
+    }
+    
+    /**
+     * SETUP 6: complex results as a+bi or r∠θ
+     */
+    showComplexFormatMenu() {
+        window.menuManager.open(null, [
+            { label: 'a+bi', select: () => this.setComplexFormat('RECT') },
+            { label: 'r∠θ', select: () => this.setComplexFormat('POLAR') }
+        ]);
+    }
+    
+    /**
+     * Set display format (Fix 0–9, Sci 1–10, Norm 1–2)
+     */
+    setDisplayFormat(mode, digits) {
+        const format = normalizeDisplayFormat({ mode, digits });
+        
+        if (!format) {
+            throw new Error(`Invalid display format: ${mode} ${digits}`);
+        }
+        
+        window.calculatorState.displayFormat = format;
         
-        // For now, just log. In a full implementation, this would show a UI overlay
+        console.log('🔢 Display format:', displayFormatLabel(format));
+        window.updateDisplay();
+        window.saveSettings();
+    }
+    
+    /**
+     * Turn engineering symbols (k, M, m, µ...) on or off for results and input
+     */
+    setEngineeringSymbols(enabled) {
+        window.calculatorState.engSymbols = !!enabled;
+        
+        console.log('🔢 Engineer Symbol:', enabled ? 'On' : 'Off');
+        window.updateDisplay();
+        window.saveSettings();
     }
     
     /**
@@ -241,6 +397,237 @@ class ModeManager {
         console.log('4: Matrix operations');
     }
     
+    /**
+     * Show the VECTOR menu (SHIFT 5 in VECTOR mode)
+     */
+    showVectorMenu() {
+        const insert = text => () => window.insertInput(text);
+        
+        window.menuManager.open(null, [
+            { label: 'Dim', select: () => this.chooseVector(name => this.chooseVectorDimension(name)) },
+            { label: 'Data', select: () => this.chooseVector(name => this.editVector(name)) },
+            { label: 'VctA', select: insert('VctA') },
+            { label: 'VctB', select: insert('VctB') },
+            { label: 'VctC', select: insert('VctC') },
+            { label: 'VctAns', select: insert('VctAns') },
+            { label: 'Dot', select: insert('•') },
+            { label: 'Angle', select: insert('Angle(') },
+            { label: 'UnitV', select: insert('UnitV(') }
+        ]);
+    }
+    
+    /**
+     * Ask which vector memory to work on (Vector?)
+     */
+    chooseVector(then) {
+        window.menuManager.open('Vector?', ['VctA', 'VctB', 'VctC'].map(name => ({
+            label: name,
+            select: () => then(name)
+        })));
+    }
+    
+    /**
+     * Ask for a vector's dimension (VctA(m) m?)
+     */
+    chooseVectorDimension(name) {
+        window.menuManager.open(`${name}(m) m?`, [3, 2].map(dimension => ({
+            label: String(dimension),
+            select: () => this.setVectorDimension(name, dimension)
+        })));
+    }
+    
+    /**
+     * Give a vector memory a dimension (all components 0) and edit it
+     */
+    setVectorDimension(name, dimension) {
+        window.calculatorState.vectors[name] = Vector.from(Array(dimension).fill(0));
+        console.log(`📐 ${name} initialized: ${dimension}D`);
+        this.editVector(name);
+    }
+    
+    /**
+     * Edit a vector's components; a vector with no dimension yet asks for one first
+     */
+    editVector(name) {
+        const state = window.calculatorState;
+        const vector = state.vectors[name];
+        
+        if (!vector) {
+            this.chooseVectorDimension(name);
+            return;
+        }
+        
+        window.gridEditor.open({
+            title: name,
+            values: [vector.toArray()],
+            onChange: values => {
+                state.vectors[name] = Vector.from(values[0]);
+            }
+        });
+    }
+    
+    /**
+     * Show the EQN equation type menu
+     */
+    showEquationTypeMenu() {
+        window.menuManager.open(null, EQUATION_TYPES.map(equation => ({
+            label: equation.label,
+            select: () => this.setEquationType(equation)
+        })));
+    }
+    
+    /**
+     * Choose the equation type (an EQUATION_TYPES entry) and clear its coefficients
+     */
+    setEquationType({ type, unknowns = null, degree = null }) {
+        const eqnData = this.modeData.EQN;
+        eqnData.equationType = type;
+        eqnData.unknowns = unknowns;
+        eqnData.degree = degree;
+        eqnData.coefficients = type === 'LINEAR'
+            ? Array.from({ length: unknowns }, () => Array(unknowns + 1).fill(0))
+            : [Array(degree + 1).fill(0)];
+        
+        this.editCoefficients();
+    }
+    
+    /**
+     * Edit the coefficients: one row per equation, a column per coefficient (a, b, c, ...)
+     * = with nothing typed solves
+     */
+    editCoefficients() {
+        const eqnData = this.modeData.EQN;
+        
+        window.gridEditor.open({
+            headers: ['a', 'b', 'c', 'd', 'e'].slice(0, eqnData.coefficients[0].length),
+            values: eqnData.coefficients,
+            keepOnClear: true,
+            onChange: values => {
+                eqnData.coefficients = values;
+            },
+            onDone: () => this.solveEquations()
+        });
+    }
+    
+    /**
+     * Solve the entered equations and show the solutions one at a time:
+     * X, Y (and Z) for a system, which raises Infinite Sol or No Solution when singular;
+     * X1, X2, ... for a polynomial, then the vertex for a quadratic
+     */
+    solveEquations() {
+        const eqnData = this.modeData.EQN;
+        let labels;
+        let values;
+        
+        if (eqnData.equationType === 'LINEAR') {
+            values = solveLinearSystem(eqnData.coefficients);
+            labels = EQUATION_UNKNOWNS.slice(0, values.length);
+        } else {
+            const coefficients = eqnData.coefficients[0];
+            values = findPolynomialRoots(coefficients);
+            labels = values.map((root, index) => `X${index + 1}`);
+            
+            if (eqnData.equationType === 'QUADRATIC') {
+                const { x, y, minimum } = quadraticExtremum(...coefficients);
+                const kind = minimum ? 'Minimum' : 'Maximum';
+                labels.push(`X-Value ${kind}`, `Y-Value ${kind}`);
+                values.push(x, y);
+            }
+        }
+        
+        window.calculatorState.solutions = { labels, values, index: 0 };
+        console.log('📐 EQN solutions:', values.map(String));
+    }
+    
+    /**
+     * Show the INEQ degree menu
+     */
+    showInequalityTypeMenu() {
+        window.menuManager.open(null, INEQUALITY_TYPES.map(({ degree, label }) => ({
+            label,
+            select: () => this.chooseInequalityOperator(degree, label)
+        })));
+    }
+    
+    /**
+     * Ask for the inequality operator: aX²+bX+c>0, <0, ≥0 or ≤0
+     */
+    chooseInequalityOperator(degree, label) {
+        window.menuManager.open(null, INEQUALITY_OPERATORS.map(operator => ({
+            label: `${label}${operator}0`,
+            select: () => this.setInequality(degree, operator)
+        })));
+    }
+    
+    /**
+     * Choose the inequality and clear its coefficients
+     */
+    setInequality(degree, operator) {
+        const ineqData = this.modeData.INEQ;
+        ineqData.degree = degree;
+        ineqData.operator = operator;
+        ineqData.coefficients = Array(degree + 1).fill(0);
+        
+        this.editInequality();
+    }
+    
+    /**
+     * Edit the inequality's coefficients (a, b, c, ...); = with nothing typed solves
+     */
+    editInequality() {
+        const ineqData = this.modeData.INEQ;
+        
+        window.gridEditor.open({
+            title: this.getInequalityLabel(),
+            headers: ['a', 'b', 'c', 'd', 'e'].slice(0, ineqData.degree + 1),
+            values: [ineqData.coefficients],
+            keepOnClear: true,
+            onChange: values => {
+                ineqData.coefficients = values[0];
+            },
+            onDone: () => this.solveInequality()
+        });
+    }
+    
+    /**
+     * The inequality being solved, as a template: aX²+bX+c>0
+     */
+    getInequalityLabel() {
+        const { degree, operator } = this.modeData.INEQ;
+        const { label } = INEQUALITY_TYPES.find(type => type.degree === degree);
+        return `${label}${operator}0`;
+    }
+    
+    /**
+     * Solve the inequality and show its solution intervals
+     */
+    solveInequality() {
+        const { coefficients, operator } = this.modeData.INEQ;
+        const intervals = solvePolynomialInequality(coefficients, operator);
+        
+        window.calculatorState.solutions = {
+            labels: [this.getInequalityLabel()],
+            values: [intervals],
+            index: 0,
+            inequality: true
+        };
+        console.log('📐 INEQ solution:', formatInequality(intervals));
+    }
+    
+    /**
+     * Set how complex results show: 'RECT' (a+bi) or 'POLAR' (r∠θ)
+     */
+    setComplexFormat(format) {
+        if (format !== 'RECT' && format !== 'POLAR') {
+            throw new Error(`Invalid complex format: ${format}`);
+        }
+        
+        this.modeData.COMPLEX.format = format;
+        
+        console.log('🔢 Complex format:', format === 'RECT' ? 'a+bi' : 'r∠θ');
+        window.updateDisplay();
+    }
+    
     /**
      * Get current mode info
      */
@@ -260,6 +647,17 @@ class ModeManager {
         return this.currentMode === modeName;
     }
     
+    /**
+     * Set the angle unit (DEG, RAD or GRAD)
+     */
+    setAngleUnit(unit) {
+        window.calculatorState.angleUnit = unit;
+        
+        console.log('📐 Angle unit:', unit);
+        window.updateDisplay();
+        window.saveSettings();
+    }
+    
     /**
      * Toggle angle unit (DEG/RAD/GRAD)
      */
@@ -364,4 +762,6 @@ const modeManager = new ModeManager();
 window.ModeManager = ModeManager;
 window.modeManager = modeManager;
 window.MODES = MODES;
+window.EQUATION_TYPES = EQUATION_TYPES;
+window.INEQUALITY_TYPES = INEQUALITY_TYPES;
 
@@ -0,0 +1,234 @@
+/**
+ * Number Formatting
+ * Display formats from the SETUP menu (Fix, Sci, Norm) and ENG notation
+ */
+
+/**
+ * Allowed digit settings for each display format
+ */
+const DISPLAY_FORMATS = {
+    FIX: { minDigits: 0, maxDigits: 9 },    // Fix 0–9: decimal places
+    SCI: { minDigits: 1, maxDigits: 10 },   // Sci 1–10: significant digits
+    NORM: { minDigits: 1, maxDigits: 2 }    // Norm1 / Norm2: exponent thresholds
+};
+
+const DEFAULT_DISPLAY_FORMAT = { mode: 'NORM', digits: 1 };
+
+/**
+ * Significant digits shown in Norm and ENG formats
+ */
+const DISPLAY_DIGITS = 10;
+
+/**
+ * Norm1 switches to exponential below 10⁻², Norm2 below 10⁻⁹; both at 10¹⁰ and above
+ */
+const NORM_LOWER_THRESHOLDS = { 1: 1e-2, 2: 1e-9 };
+const NORM_UPPER_THRESHOLD = 1e10;
+
+/**
+ * Engineering symbols (SI prefixes) and their powers of ten
+ */
+const ENGINEERING_SYMBOLS = {
+    'T': 12, 'G': 9, 'M': 6, 'k': 3,
+    'm': -3, 'µ': -6, 'n': -9, 'p': -12, 'f': -15
+};
+
+const SUPERSCRIPT_DIGITS = {
+    '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴',
+    '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹', '-': '⁻'
+};
+
+/**
+ * Validate a display format; returns null if mode or digits are out of range
+ */
+function normalizeDisplayFormat(format) {
+    const mode = format && typeof format.mode === 'string' ? format.mode.toUpperCase() : null;
+    const limits = DISPLAY_FORMATS[mode];
+    const digits = Number(format && format.digits);
+    
+    if (!limits || !Number.isInteger(digits) || digits < limits.minDigits || digits > limits.maxDigits) {
+        return null;
+    }
+    
+    return { mode, digits };
+}
+
+/**
+ * Short label for a display format (Fix3, Sci5, Norm1)
+ */
+function displayFormatLabel(format) {
+    const name = format.mode.charAt(0) + format.mode.slice(1).toLowerCase();
+    return `${name}${format.digits}`;
+}
+
+/**
+ * Convert an exponent to superscript characters (−5 → ⁻⁵)
+ */
+function toSuperscript(exponent) {
+    return String(exponent).split('').map(char => SUPERSCRIPT_DIGITS[char]).join('');
+}
+
+/**
+ * Join a mantissa and power of ten (1.5×10⁻³)
+ */
+function formatExponential(mantissa, exponent) {
+    return `${mantissa}×10${toSuperscript(exponent)}`;
+}
+
+/**
+ * Split num.toExponential() output into mantissa and exponent parts
+ */
+function splitExponential(str) {
+    const [mantissa, exponent] = str.split('e');
+    return { mantissa, exponent: parseInt(exponent, 10) };
+}
+
+/**
+ * Remove trailing zeros after the decimal point
+ */
+function stripTrailingZeros(str) {
+    return str.includes('.') ? str.replace(/\.?0+$/, '') : str;
+}
+
+/**
+ * Drop the sign from negative zero ("-0.00" → "0.00")
+ */
+function stripNegativeZero(str) {
+    return /^-[0.]+$/.test(str) ? str.slice(1) : str;
+}
+
+/**
+ * Norm1 / Norm2: 10 significant digits, exponential outside the thresholds
+ */
+function formatNorm(num, digits) {
+    const rounded = Number(num.toPrecision(DISPLAY_DIGITS));
+    const magnitude = Math.abs(rounded);
+    
+    if (magnitude >= NORM_UPPER_THRESHOLD || magnitude < NORM_LOWER_THRESHOLDS[digits]) {
+        const { mantissa, exponent } = splitExponential(rounded.toExponential(DISPLAY_DIGITS - 1));
+        return formatExponential(stripTrailingZeros(mantissa), exponent);
+    }
+    
+    const integerDigits = Math.floor(Math.log10(magnitude)) + 1;
+    const decimals = Math.max(0, DISPLAY_DIGITS - integerDigits);
+    return stripTrailingZeros(rounded.toFixed(decimals));
+}
+
+/**
+ * Fix n: n decimal places (exponential once the integer part overflows)
+ */
+function formatFix(num, digits) {
+    if (Math.abs(num) >= NORM_UPPER_THRESHOLD) {
+        const { mantissa, exponent } = splitExponential(num.toExponential(digits));
+        return formatExponential(mantissa, exponent);
+    }
+    
+    return stripNegativeZero(num.toFixed(digits));
+}
+
+/**
+ * Sci n: n significant digits, always exponential
+ */
+function formatSci(num, digits) {
+    const { mantissa, exponent } = splitExponential(num.toExponential(digits - 1));
+    return formatExponential(mantissa, exponent);
+}
+
+/**
+ * Format number for display using a SETUP display format
+ * @param {number} num - Value to format
+ * @param {Object} format - { mode: 'FIX' | 'SCI' | 'NORM', digits }
+ * @returns {string}
+ */
+function formatNumber(num, format = DEFAULT_DISPLAY_FORMAT) {
+    if (typeof num !== 'number') return String(num);
+    
+    // Handle special cases
+    if (isNaN(num)) return 'Math ERROR';
+    if (!isFinite(num)) return num > 0 ? '∞' : '-∞';
+    
+    switch (format.mode) {
+        case 'FIX':
+            return formatFix(num, format.digits);
+        case 'SCI':
+            return formatSci(num, format.digits);
+        case 'NORM':
+        default:
+            if (num === 0) return '0';
+            return formatNorm(num, format.digits === 2 ? 2 : 1);
+    }
+}
+
+/**
+ * Split a number into sign, significant digits, decimal point position and
+ * engineering exponent (a multiple of three)
+ */
+function engineeringParts(num, shift) {
+    const { mantissa, exponent } = splitExponential(num.toExponential(DISPLAY_DIGITS - 1));
+    const engExponent = Math.floor(exponent / 3) * 3 - 3 * shift;
+    
+    return {
+        sign: mantissa.startsWith('-') ? '-' : '',
+        digits: stripTrailingZeros(mantissa.replace('-', '')).replace('.', ''),
+        point: exponent - engExponent + 1,
+        exponent: engExponent
+    };
+}
+
+/**
+ * Check that an ENG shift keeps the mantissa within the display digits
+ */
+function isEngineeringShiftValid(num, shift) {
+    if (typeof num !== 'number' || !isFinite(num) || num === 0) return shift === 0;
+    
+    const { point } = engineeringParts(num, shift);
+    return point <= DISPLAY_DIGITS && point > -DISPLAY_DIGITS;
+}
+
+/**
+ * Format number in engineering notation (exponent a multiple of three)
+ * Each ENG press lowers the exponent by 3 (shift +1), each ←ENG raises it (shift −1)
+ * @param {number} num - Value to format
+ * @param {number} shift - Steps of three away from the natural engineering exponent
+ * @param {boolean} useSymbols - Show k, M, m, µ... instead of ×10ⁿ where one exists
+ * @returns {string}
+ */
+function formatEngineering(num, shift = 0, useSymbols = false) {
+    if (typeof num !== 'number') return String(num);
+    if (isNaN(num)) return 'Math ERROR';
+    if (!isFinite(num)) return num > 0 ? '∞' : '-∞';
+    if (num === 0) return useSymbols ? '0' : formatExponential('0', 0);
+    
+    const { sign, digits, point, exponent } = engineeringParts(num, shift);
+    
+    // Move the decimal point within the significant digits
+    let shifted;
+    if (point <= 0) {
+        shifted = '0.' + '0'.repeat(-point) + digits;
+    } else if (point >= digits.length) {
+        shifted = digits + '0'.repeat(point - digits.length);
+    } else {
+        shifted = digits.slice(0, point) + '.' + digits.slice(point);
+    }
+    
+    if (useSymbols) {
+        if (exponent === 0) return sign + shifted;
+        
+        const symbol = Object.keys(ENGINEERING_SYMBOLS).find(key => ENGINEERING_SYMBOLS[key] === exponent);
+        if (symbol) return sign + shifted + symbol;
+    }
+    
+    return formatExponential(sign + shifted, exponent);
+}
+
+// Export functions
+export {
+    formatNumber,
+    formatEngineering,
+    isEngineeringShiftValid,
+    normalizeDisplayFormat,
+    displayFormatLabel,
+    DISPLAY_FORMATS,
+    DEFAULT_DISPLAY_FORMAT,
+    ENGINEERING_SYMBOLS
+};
@@ -1,8 +1,15 @@
 /**
  * Expression Parser
- * Tokenizes expressions and converts infix notation to RPN using Shunting Yard algorithm
+ * Tokenizes expressions and builds an abstract syntax tree (AST) by recursive descent.
+ * Every node carries a source span so renderers and error reporting can map
+ * back to the input buffer.
  */
 
+import { ENGINEERING_SYMBOLS } from './numberFormat.js';
+import { dmsToDecimal } from './mathEngine/dms.js';
+import { VECTOR_NAMES } from './mathEngine/vector.js';
+import { CalcSyntaxError, StackError, ArgumentError } from './errors.js';
+
 /**
  * Token types
  */
@@ -17,8 +24,25 @@ const TokenType = {
     VARIABLE: 'VARIABLE'
 };
 
+/**
+ * AST node types
+ */
+const NodeType = {
+    NUMBER: 'Number',          // { value, raw, prefix, dms }
+    CONSTANT: 'Constant',      // { name }
+    VARIABLE: 'Variable',      // { name }
+    UNARY: 'Unary',            // { operator, operand }
+    BINARY: 'Binary',          // { operator, left, right }
+    POSTFIX: 'Postfix',        // { operator, operand }
+    CALL: 'Call',              // { name, args, closed }
+    GROUP: 'Group',            // { expression, closed }
+    EMPTY: 'Empty'             // missing operand (tolerant parsing only)
+};
+
 /**
  * Operator precedence and associativity
+ * Follows the fx-991ES priority sequence, lowest to highest:
+ *   + −  <  × ÷  <  nPr nCr  <  implicit ×  <  prefix −  <  fraction /  <  ^  <  ! % ² ³
  */
 const OPERATORS = {
     '+': { precedence: 1, associativity: 'left', args: 2 },
@@ -27,11 +51,47 @@ const OPERATORS = {
     '×': { precedence: 2, associativity: 'left', args: 2 },
     '*': { precedence: 2, associativity: 'left', args: 2 },
     '÷': { precedence: 2, associativity: 'left', args: 2 },
-    '/': { precedence: 2, associativity: 'left', args: 2 },
-    '^': { precedence: 3, associativity: 'right', args: 2 },
-    'xʸ': { precedence: 3, associativity: 'right', args: 2 },
-    '%': { precedence: 2, associativity: 'left', args: 2 },
-    '!': { precedence: 4, associativity: 'left', args: 1 }
+    '/': { precedence: 6, associativity: 'left', args: 2 },
+    '^': { precedence: 7, associativity: 'right', args: 2 },
+    'xʸ': { precedence: 7, associativity: 'right', args: 2 },
+    '•': { precedence: 2, associativity: 'left', args: 2 },
+    '!': { precedence: 8, associativity: 'left', args: 1 },
+    '%': { precedence: 8, associativity: 'left', args: 1 },
+    '²': { precedence: 8, associativity: 'left', args: 1 },
+    '³': { precedence: 8, associativity: 'left', args: 1 }
+};
+
+/**
+ * Postfix powers: X² parses as X^2, binding like ! so -2² = -4 and 2^3² = 2^9
+ */
+const POSTFIX_POWERS = { '²': '2', '³': '3' };
+
+/**
+ * nPr and nCr written after an operand go between their operands (10nPr4), as the keypad
+ * enters them; they bind tighter than × and ÷ but looser than implicit ×, so 2(5)nCr2 = 10nCr2
+ */
+const INFIX_FUNCTIONS = ['nPr', 'nCr'];
+const INFIX_PRECEDENCE = 3;
+
+/**
+ * Multiplication with the sign omitted (2π, 3sin(30), (1+2)(3+4))
+ * binds tighter than × and ÷, so 1÷2π = 1÷(2π)
+ */
+const IMPLICIT_PRECEDENCE = 4;
+
+/**
+ * Prefix minus/plus binds looser than powers and fractions (-2^2 = -4)
+ * but tighter than implicit multiplication (-2π = (-2)π)
+ */
+const UNARY_PRECEDENCE = 5;
+
+/**
+ * Operator spellings normalized in the AST
+ */
+const OPERATOR_ALIASES = {
+    '−': '-',
+    '*': '×',
+    'xʸ': '^'
 };
 
 /**
@@ -60,242 +120,598 @@ const FUNCTIONS = {
     'Abs': { args: 1 },
     'nPr': { args: 2 },
     'nCr': { args: 2 },
+    'Pol': { args: 2, type: 'coordinate' },
+    'Rec': { args: 2, type: 'coordinate' },
+    'd/dx': { args: 2, type: 'calculus' },
+    '∫': { args: 3, type: 'calculus' },
+    'Σ': { args: 4, type: 'series' },
+    'Π': { args: 4, type: 'series' },
+    'UnitV': { args: 1, type: 'vector' },
+    'Angle': { args: 2, type: 'vector' },
 };
 
+/**
+ * Brackets and function calls nested deeper than this are a Stack ERROR,
+ * as on the device, whose command stack holds 24 levels
+ */
+const MAX_NESTING = 24;
+
 /**
  * Constants
  */
 const CONSTANTS = {
     'π': Math.PI,
     'pi': Math.PI,
-    'e': Math.E,
-    'E': Math.E
+    'e': Math.E
 };
 
+/**
+ * Check for a digit or decimal point
+ */
+function isNumberChar(char) {
+    return char >= '0' && char <= '9' || char === '.';
+}
+
+/**
+ * Read the decimal number starting at position i
+ */
+function readNumber(expression, i) {
+    const start = i;
+    while (i < expression.length && isNumberChar(expression[i])) {
+        i++;
+    }
+    
+    const num = expression.slice(start, i);
+    if (num === '.' || num.indexOf('.') !== num.lastIndexOf('.')) {
+        throw new CalcSyntaxError(`Invalid number: ${num}`, start);
+    }
+    return num;
+}
+
+/**
+ * Read an engineering symbol suffix at position i
+ * The symbol must not run into a name, so 5nPr2 keeps its nPr
+ */
+function readEngineeringSymbol(expression, i) {
+    const symbol = expression[i] === 'μ' ? 'µ' : expression[i];
+    const following = expression[i + 1] || '';
+    
+    if (!(symbol in ENGINEERING_SYMBOLS) || /[A-Za-z]/.test(following)) {
+        return null;
+    }
+    
+    return symbol;
+}
+
 /**
  * Tokenize an expression string into tokens
+ * Each token records its [start, end) offsets in the original string
+ * With options.engSymbols, a number may end in an engineering symbol (4.7k, 2m); a symbol
+ * written straight after the digits is always the suffix, so 3M is 3×10⁶ and memory M
+ * needs an operator, space or bracket in between (3×M, 3 M, (3)M)
  */
-function tokenize(expression) {
+function tokenize(expression, options = {}) {
     const tokens = [];
     let i = 0;
     
-    // Remove whitespace
-    expression = expression.replace(/\s+/g, '');
+    // Longest names first so 'sin⁻¹' and 'sinh' are not read as 'sin', nor 'VctAns' as 'VctA'
+    const functionNames = Object.keys(FUNCTIONS).sort((a, b) => b.length - a.length);
+    const vectorNames = [...VECTOR_NAMES].sort((a, b) => b.length - a.length);
     
     while (i < expression.length) {
         const char = expression[i];
+        const start = i;
         
-        // Numbers (including decimals and scientific notation)
-        if (char >= '0' && char <= '9' || char === '.') {
-            let num = '';
-            while (i < expression.length && (
-                (expression[i] >= '0' && expression[i] <= '9') ||
-                expression[i] === '.'
-            )) {
-                num += expression[i];
+        // Skip whitespace
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        
+        // Numbers (including decimals)
+        if (isNumberChar(char)) {
+            const num = readNumber(expression, i);
+            i += num.length;
+            
+            // Sexagesimal literal: 12°34°56° (the last ° may be omitted)
+            if (expression[i] === '°') {
+                const dms = [num];
+                i++;
+                while (dms.length < 3 && isNumberChar(expression[i])) {
+                    const part = readNumber(expression, i);
+                    dms.push(part);
+                    i += part.length;
+                    if (expression[i] !== '°') break;
+                    i++;
+                }
+                
+                const value = dmsToDecimal(...dms.map(parseFloat));
+                tokens.push({ type: TokenType.NUMBER, value, raw: num, dms, start, end: i });
+                continue;
+            }
+            
+            const prefix = options.engSymbols ? readEngineeringSymbol(expression, i) : null;
+            if (prefix) {
                 i++;
+                const value = parseFloat(`${num}e${ENGINEERING_SYMBOLS[prefix]}`);
+                tokens.push({ type: TokenType.NUMBER, value, raw: num, prefix, start, end: i });
+                continue;
             }
-            tokens.push({ type: TokenType.NUMBER, value: parseFloat(num) });
+            
+            tokens.push({ type: TokenType.NUMBER, value: parseFloat(num), raw: num, start, end: i });
             continue;
         }
         
         // Functions (multi-character)
-        let foundFunction = false;
-        for (let funcName in FUNCTIONS) {
-            if (expression.substr(i, funcName.length) === funcName) {
-                tokens.push({ type: TokenType.FUNCTION, value: funcName });
-                i += funcName.length;
-                foundFunction = true;
-                break;
-            }
+        const funcName = functionNames.find(name => expression.startsWith(name, i));
+        if (funcName) {
+            i += funcName.length;
+            tokens.push({ type: TokenType.FUNCTION, value: funcName, start, end: i });
+            continue;
         }
-        if (foundFunction) continue;
         
         // Constants
         let foundConstant = false;
         for (let constName in CONSTANTS) {
-            if (expression.substr(i, constName.length) === constName) {
-                tokens.push({ type: TokenType.CONSTANT, value: constName });
+            if (expression.startsWith(constName, i)) {
                 i += constName.length;
+                tokens.push({ type: TokenType.CONSTANT, value: constName, start, end: i });
                 foundConstant = true;
                 break;
             }
         }
         if (foundConstant) continue;
         
+        // Vector memories (VctA, VctAns...)
+        const vectorName = vectorNames.find(name => expression.startsWith(name, i));
+        if (vectorName) {
+            i += vectorName.length;
+            tokens.push({ type: TokenType.VARIABLE, value: vectorName, start, end: i });
+            continue;
+        }
+        
         // Check for Ans
-        if (expression.substr(i, 3) === 'Ans') {
-            tokens.push({ type: TokenType.VARIABLE, value: 'Ans' });
+        if (expression.startsWith('Ans', i)) {
             i += 3;
+            tokens.push({ type: TokenType.VARIABLE, value: 'Ans', start, end: i });
             continue;
         }
         
-        // Operators
+        // Operators (unary minus is resolved by the parser)
         if (OPERATORS[char]) {
-            // Check for unary minus
-            if ((char === '-' || char === '−') && 
-                (i === 0 || tokens.length === 0 || 
-                 tokens[tokens.length - 1].type === TokenType.OPERATOR ||
-                 tokens[tokens.length - 1].type === TokenType.LPAREN)) {
-                // Unary minus - treat as -1 *
-                tokens.push({ type: TokenType.NUMBER, value: -1 });
-                tokens.push({ type: TokenType.OPERATOR, value: '×' });
-            } else {
-                tokens.push({ type: TokenType.OPERATOR, value: char });
-            }
             i++;
+            tokens.push({ type: TokenType.OPERATOR, value: char, start, end: i });
             continue;
         }
         
         // Parentheses
         if (char === '(') {
-            tokens.push({ type: TokenType.LPAREN, value: char });
             i++;
+            tokens.push({ type: TokenType.LPAREN, value: char, start, end: i });
             continue;
         }
         if (char === ')') {
-            tokens.push({ type: TokenType.RPAREN, value: char });
             i++;
+            tokens.push({ type: TokenType.RPAREN, value: char, start, end: i });
             continue;
         }
         
         // Comma (for multi-argument functions)
         if (char === ',') {
-            tokens.push({ type: TokenType.COMMA, value: char });
-            i++;
-            continue;
-        }
-
-        // Factorial
-        if (char === '!') {
-            tokens.push({ type: TokenType.OPERATOR, value: '!' });
             i++;
+            tokens.push({ type: TokenType.COMMA, value: char, start, end: i });
             continue;
         }
         
         // Variables (single letters)
         if (char >= 'A' && char <= 'Z' || char >= 'a' && char <= 'z') {
-            tokens.push({ type: TokenType.VARIABLE, value: char });
             i++;
+            tokens.push({ type: TokenType.VARIABLE, value: char, start, end: i });
             continue;
         }
         
-        // Unknown character - skip
-        console.warn('Unknown character:', char);
-        i++;
+        throw new CalcSyntaxError(`Unknown character: ${char}`, start);
     }
     
     return tokens;
 }
 
 /**
- * Convert infix tokens to RPN using Shunting Yard algorithm
+ * Recursive descent parser producing an AST from tokens
+ * 
+ * Grammar (lowest to highest precedence):
+ *   expression := unary ((binaryOp | implicit× | nPr | nCr) unary)*   precedence climbing over OPERATORS
+ *   unary      := ('-' | '+') expression(UNARY_PRECEDENCE) | postfix
+ *   postfix    := primary ('!' | '%' | '²' | '³')*
+ *   primary    := number | constant | variable | '(' expression ')'
+ *               | function '(' expression (',' expression)* ')'
+ *               | function unary
+ * 
+ * Closing parentheses may be omitted at the end of input, as on the real calculator.
+ * With `tolerant` set, missing operands become EMPTY nodes instead of throwing,
+ * which lets the natural display render incomplete input.
  */
-function parseToRPN(tokens) {
-    const output = [];
-    const operatorStack = [];
+class Parser {
+    constructor(tokens, source, options = {}) {
+        this.tokens = tokens;
+        this.source = source;
+        this.pos = 0;
+        this.depth = 0;
+        this.tolerant = !!options.tolerant;
+    }
+    
+    peek() {
+        return this.tokens[this.pos] || null;
+    }
     
-    for (let i = 0; i < tokens.length; i++) {
-        const token = tokens[i];
+    next() {
+        return this.tokens[this.pos++];
+    }
+    
+    atEnd() {
+        return this.pos >= this.tokens.length;
+    }
+    
+    /**
+     * Offset where the next token starts (or end of source)
+     */
+    currentOffset() {
+        const token = this.peek();
+        return token ? token.start : this.source.length;
+    }
+    
+    /**
+     * Enter a bracket level opened by token
+     */
+    openNesting(token) {
+        this.depth++;
+        if (this.depth > MAX_NESTING && !this.tolerant) {
+            throw new StackError(`Brackets nested more than ${MAX_NESTING} deep`, token.start);
+        }
+    }
+    
+    isOperator(token, ...values) {
+        return token && token.type === TokenType.OPERATOR && values.includes(token.value);
+    }
+    
+    parse() {
+        const ast = this.parseExpression(1);
+        
+        if (!this.atEnd()) {
+            const token = this.peek();
+            if (token.type === TokenType.RPAREN) {
+                throw new CalcSyntaxError('Mismatched parentheses', token.start);
+            }
+            throw new CalcSyntaxError(`Unexpected token: ${token.value}`, token.start);
+        }
+        
+        return ast;
+    }
+    
+    parseExpression(minPrecedence) {
+        let left = this.parseUnary();
+        
+        while (true) {
+            const token = this.peek();
+            if (!token) break;
+            
+            if (this.startsInfixFunction(token)) {
+                if (INFIX_PRECEDENCE < minPrecedence) break;
+                
+                this.next();
+                const right = this.parseExpression(INFIX_PRECEDENCE + 1);
+                left = {
+                    type: NodeType.BINARY,
+                    operator: token.value,
+                    left,
+                    right,
+                    span: { start: left.span.start, end: right.span.end }
+                };
+                continue;
+            }
+            
+            if (this.startsImplicitOperand(token)) {
+                if (IMPLICIT_PRECEDENCE < minPrecedence) break;
+                
+                const right = this.parseExpression(IMPLICIT_PRECEDENCE + 1);
+                left = {
+                    type: NodeType.BINARY,
+                    operator: '×',
+                    implicit: true,
+                    left,
+                    right,
+                    span: { start: left.span.start, end: right.span.end }
+                };
+                continue;
+            }
+            
+            if (token.type !== TokenType.OPERATOR) break;
+            
+            const op = OPERATORS[token.value];
+            if (op.args !== 2 || op.precedence < minPrecedence) break;
+            
+            this.next();
+            const nextMin = op.associativity === 'left' ? op.precedence + 1 : op.precedence;
+            const right = this.parseExpression(nextMin);
+            
+            left = {
+                type: NodeType.BINARY,
+                operator: OPERATOR_ALIASES[token.value] || token.value,
+                left,
+                right,
+                span: { start: left.span.start, end: right.span.end }
+            };
+        }
+        
+        return left;
+    }
+    
+    /**
+     * Whether a token directly after an operand is nPr or nCr between operands;
+     * followed by a bracketed n,r list it is the function form instead (2nPr(5,2) = 2×nPr(5,2))
+     */
+    startsInfixFunction(token) {
+        if (token.type !== TokenType.FUNCTION || !INFIX_FUNCTIONS.includes(token.value)) {
+            return false;
+        }
+        
+        let depth = 0;
+        for (let i = this.pos + 1; i < this.tokens.length; i++) {
+            const next = this.tokens[i];
+            if (next.type === TokenType.LPAREN) {
+                depth++;
+            } else if (depth === 0) {
+                return true;
+            } else if (next.type === TokenType.RPAREN) {
+                depth--;
+                if (depth === 0) return true;
+            } else if (next.type === TokenType.COMMA && depth === 1) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Whether a token directly after an operand starts an implicitly multiplied operand
+     * Two bare numbers in a row (2 3) are never multiplied
+     */
+    startsImplicitOperand(token) {
+        const previous = this.tokens[this.pos - 1];
         
         switch (token.type) {
             case TokenType.NUMBER:
+                return !(previous && previous.type === TokenType.NUMBER);
             case TokenType.CONSTANT:
             case TokenType.VARIABLE:
-                output.push(token);
-                break;
-                
-            case TokenType.FUNCTION:
-                operatorStack.push(token);
-                break;
-                
-            case TokenType.COMMA:
-                // Pop operators until we find a left parenthesis
-                while (operatorStack.length > 0 && 
-                       operatorStack[operatorStack.length - 1].type !== TokenType.LPAREN) {
-                    output.push(operatorStack.pop());
-                }
-                break;
-                
-            case TokenType.OPERATOR:
-                const op1 = OPERATORS[token.value];
-                while (operatorStack.length > 0) {
-                    const topToken = operatorStack[operatorStack.length - 1];
-                    if (topToken.type !== TokenType.OPERATOR) break;
-                    
-                    const op2 = OPERATORS[topToken.value];
-                    if ((op1.associativity === 'left' && op1.precedence <= op2.precedence) ||
-                        (op1.associativity === 'right' && op1.precedence < op2.precedence)) {
-                        output.push(operatorStack.pop());
-                    } else {
-                        break;
-                    }
-                }
-                operatorStack.push(token);
-                break;
-                
             case TokenType.LPAREN:
-                operatorStack.push(token);
-                break;
-                
-            case TokenType.RPAREN:
-                // Pop operators until we find the matching left parenthesis
-                while (operatorStack.length > 0 && 
-                       operatorStack[operatorStack.length - 1].type !== TokenType.LPAREN) {
-                    output.push(operatorStack.pop());
-                }
-                
-                if (operatorStack.length === 0) {
-                    throw new Error('Mismatched parentheses');
-                }
-                
-                operatorStack.pop(); // Remove the left parenthesis
-                
-                // If there's a function on top of the stack, pop it to output
-                if (operatorStack.length > 0 && 
-                    operatorStack[operatorStack.length - 1].type === TokenType.FUNCTION) {
-                    output.push(operatorStack.pop());
-                }
-                break;
+            case TokenType.FUNCTION:
+                return true;
+            default:
+                return false;
+        }
+    }
+    
+    parseUnary() {
+        const token = this.peek();
+        
+        if (this.isOperator(token, '-', '−', '+')) {
+            this.next();
+            const operand = this.parseExpression(UNARY_PRECEDENCE);
+            return {
+                type: NodeType.UNARY,
+                operator: OPERATOR_ALIASES[token.value] || token.value,
+                operand,
+                span: { start: token.start, end: operand.span.end }
+            };
+        }
+        
+        return this.parsePostfix();
+    }
+    
+    parsePostfix() {
+        let node = this.parsePrimary();
+        
+        while (this.isOperator(this.peek(), '!', '%', '²', '³')) {
+            const token = this.next();
+            const span = { start: node.span.start, end: token.end };
+            
+            if (POSTFIX_POWERS[token.value]) {
+                const exponent = POSTFIX_POWERS[token.value];
+                node = {
+                    type: NodeType.BINARY,
+                    operator: '^',
+                    left: node,
+                    right: {
+                        type: NodeType.NUMBER,
+                        value: Number(exponent),
+                        raw: exponent,
+                        prefix: null,
+                        dms: null,
+                        span: { start: token.start, end: token.end }
+                    },
+                    span
+                };
+            } else {
+                node = { type: NodeType.POSTFIX, operator: token.value, operand: node, span };
+            }
+        }
+        
+        return node;
+    }
+    
+    parsePrimary() {
+        const token = this.peek();
+        
+        if (!token || token.type === TokenType.RPAREN || token.type === TokenType.COMMA ||
+            token.type === TokenType.OPERATOR) {
+            return this.missingOperand();
+        }
+        
+        switch (token.type) {
+            case TokenType.NUMBER:
+                this.next();
+                return {
+                    type: NodeType.NUMBER,
+                    value: token.value,
+                    raw: token.raw,
+                    prefix: token.prefix || null,
+                    dms: token.dms || null,
+                    span: { start: token.start, end: token.end }
+                };
+            
+            case TokenType.CONSTANT:
+                this.next();
+                return {
+                    type: NodeType.CONSTANT,
+                    name: token.value,
+                    span: { start: token.start, end: token.end }
+                };
+            
+            case TokenType.VARIABLE:
+                this.next();
+                return {
+                    type: NodeType.VARIABLE,
+                    name: token.value,
+                    span: { start: token.start, end: token.end }
+                };
+            
+            case TokenType.LPAREN: {
+                this.next();
+                this.openNesting(token);
+                const expression = this.parseExpression(1);
+                const closed = this.closeParen(token);
+                return {
+                    type: NodeType.GROUP,
+                    expression,
+                    closed,
+                    span: { start: token.start, end: closed ? this.tokens[this.pos - 1].end : expression.span.end }
+                };
+            }
+            
+            case TokenType.FUNCTION:
+                return this.parseCall();
+        }
+        
+        throw new CalcSyntaxError(`Unexpected token: ${token.value}`, token.start);
+    }
+    
+    parseCall() {
+        const token = this.next();
+        const funcInfo = FUNCTIONS[token.value];
+        
+        // Function typed without parentheses applies to the next operand (sin30)
+        if (!(this.peek() && this.peek().type === TokenType.LPAREN)) {
+            const operand = this.parseUnary();
+            return {
+                type: NodeType.CALL,
+                name: token.value,
+                args: [operand],
+                closed: false,
+                span: { start: token.start, end: operand.span.end }
+            };
+        }
+        
+        const lparen = this.next();
+        this.openNesting(token);
+        const args = [this.parseExpression(1)];
+        
+        while (this.peek() && this.peek().type === TokenType.COMMA) {
+            this.next();
+            args.push(this.parseExpression(1));
+        }
+        
+        const closed = this.closeParen(lparen);
+        
+        if (!this.tolerant && args.length !== funcInfo.args) {
+            throw new ArgumentError(
+                `${token.value} expects ${funcInfo.args} argument${funcInfo.args === 1 ? '' : 's'}`,
+                token.start
+            );
         }
+        
+        return {
+            type: NodeType.CALL,
+            name: token.value,
+            args,
+            closed,
+            span: {
+                start: token.start,
+                end: closed ? this.tokens[this.pos - 1].end : args[args.length - 1].span.end
+            }
+        };
     }
     
-    // Pop remaining operators
-    while (operatorStack.length > 0) {
-        const token = operatorStack.pop();
-        if (token.type === TokenType.LPAREN || token.type === TokenType.RPAREN) {
-            throw new Error('Mismatched parentheses');
+    /**
+     * Consume a closing parenthesis, allowing it to be omitted at end of input
+     */
+    closeParen(lparen) {
+        const token = this.peek();
+        
+        if (token && token.type === TokenType.RPAREN) {
+            this.next();
+            this.depth--;
+            return true;
         }
-        output.push(token);
+        
+        if (!token) {
+            this.depth--;
+            return false;
+        }
+        
+        throw new CalcSyntaxError('Mismatched parentheses', lparen.start);
+    }
+    
+    missingOperand() {
+        const offset = this.currentOffset();
+        
+        if (this.tolerant) {
+            return { type: NodeType.EMPTY, span: { start: offset, end: offset } };
+        }
+        
+        const token = this.peek();
+        throw new CalcSyntaxError(token ? `Unexpected token: ${token.value}` : 'Missing operand', offset);
+    }
+}
+
+/**
+ * Parse expression string to an AST
+ * @param {string} expression - Expression to parse
+ * @param {Object} options - { tolerant: true } to accept incomplete input
+ * @returns {Object} Root AST node
+ */
+function parse(expression, options = {}) {
+    const tokens = tokenize(expression, options);
+    
+    if (tokens.length === 0 && !options.tolerant) {
+        throw new CalcSyntaxError('Empty expression', 0);
     }
     
-    return output;
+    return new Parser(tokens, expression, options).parse();
 }
 
 /**
- * Parse expression string to RPN
+ * Parse for display purposes; returns null instead of throwing
  */
-function parse(expression) {
+function tryParse(expression, options = {}) {
+    if (!expression) return null;
+    
     try {
-        const tokens = tokenize(expression);
-        console.log('📝 Tokens:', tokens);
-        
-        const rpn = parseToRPN(tokens);
-        console.log('🔄 RPN:', rpn);
-        
-        return rpn;
+        return new Parser(tokenize(expression, options), expression, { tolerant: true }).parse();
     } catch (error) {
-        console.error('Parse error:', error);
-        throw error;
+        return null;
     }
 }
 
 // Export functions
-window.tokenize = tokenize;
-window.parseToRPN = parseToRPN;
-window.parse = parse;
-window.TokenType = TokenType;
-window.OPERATORS = OPERATORS;
-window.FUNCTIONS = FUNCTIONS;
-window.CONSTANTS = CONSTANTS;
-
+export {
+    tokenize,
+    parse,
+    tryParse,
+    TokenType,
+    NodeType,
+    OPERATORS,
+    FUNCTIONS,
+    CONSTANTS,
+    MAX_NESTING
+};
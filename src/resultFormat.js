@@ -0,0 +1,100 @@
+/**
+ * Result Line
+ * What the display shows for the last answer, shared by the web display and the CLI
+ */
+
+import { formatDms } from './mathEngine/dms.js';
+import { getExactForm, exactFormToString } from './mathEngine/exactForm.js';
+import { formatNumber, formatEngineering } from './numberFormat.js';
+import { applyInverseAngleUnit } from './evaluator.js';
+
+/**
+ * Exact form the result line shows (½, 2√2, 3π⁄4), or null when it shows text
+ * Vector and Pol/Rec results, ENG / ←ENG presses, DMS display and S⇔D decimal all show text
+ */
+function displayedExactForm(state) {
+    if (state.vectorResult || state.labeledResult || (state.engShift ?? null) !== null) return null;
+    if (state.dmsDisplay && formatDms(state.lastAns)) return null;
+    if (state.resultFormat !== 'exact') return null;
+    
+    return getExactForm(state);
+}
+
+/**
+ * The result line as linear text (5/6, r=5, θ=53.13010235, [1, -2, 3], 1°30°0°, 1.2k)
+ */
+function formatResultText(state) {
+    if (state.vectorResult) {
+        return formatVector(state.vectorResult, state.displayFormat);
+    }
+    
+    if (state.labeledResult) {
+        const { labels, values } = state.labeledResult;
+        return labels.map((label, index) => `${label}=${formatNumber(values[index], state.displayFormat)}`).join(', ');
+    }
+    
+    if ((state.engShift ?? null) !== null) {
+        return formatEngineering(state.lastAns, state.engShift, state.engSymbols);
+    }
+    
+    const dms = state.dmsDisplay ? formatDms(state.lastAns) : null;
+    if (dms) return dms;
+    
+    const form = displayedExactForm(state);
+    if (form) return exactFormToString(form);
+    
+    if (state.engSymbols) {
+        return formatEngineering(state.lastAns, 0, true);
+    }
+    
+    return formatNumber(state.lastAns, state.displayFormat);
+}
+
+/**
+ * A vector's components in the display format: [1, -2, 3]
+ */
+function formatVector(vector, displayFormat) {
+    return `[${vector.toArray().map(value => formatNumber(value, displayFormat)).join(', ')}]`;
+}
+
+/**
+ * A number, or a Complex in the COMPLEX format: 'RECT' (1+2i) or 'POLAR' (2.236067977∠63.43494882,
+ * the angle in the angle unit); real values show as plain numbers in both
+ */
+function formatComplex(value, { displayFormat, complexFormat = 'RECT', angleUnit = 'DEG' } = {}) {
+    if (typeof value === 'number') return formatNumber(value, displayFormat);
+    if (value.imag === 0) return formatNumber(value.real, displayFormat);
+    
+    if (complexFormat === 'POLAR') {
+        const { r, theta } = value.toPolar();
+        return `${formatNumber(r, displayFormat)}∠${formatNumber(applyInverseAngleUnit(theta, angleUnit), displayFormat)}`;
+    }
+    
+    const imag = Math.abs(value.imag) === 1 ? 'i' : `${formatNumber(Math.abs(value.imag), displayFormat)}i`;
+    const sign = value.imag < 0 ? '-' : '+';
+    if (value.real === 0) return `${value.imag < 0 ? '-' : ''}${imag}`;
+    return `${formatNumber(value.real, displayFormat)}${sign}${imag}`;
+}
+
+/**
+ * INEQ solution intervals in inequality notation: x<1, 2<x; 1≤x≤2; x=1;
+ * All Real Numbers or No Solution
+ */
+function formatInequality(intervals, displayFormat) {
+    if (intervals.length === 0) return 'No Solution';
+    
+    const [first] = intervals;
+    if (first.from === -Infinity && first.to === Infinity) return 'All Real Numbers';
+    
+    const format = value => formatNumber(value, displayFormat);
+    return intervals.map(({ from, to, includeFrom, includeTo }) => {
+        if (from === to) return `x=${format(from)}`;
+        
+        const left = from === -Infinity ? '' : `${format(from)}${includeFrom ? '≤' : '<'}`;
+        const right = to === Infinity ? '' : `${includeTo ? '≤' : '<'}${format(to)}`;
+        return `${left}x${right}`;
+    }).join(', ');
+}
+
+// Export functions
+export { displayedExactForm, formatResultText, formatVector, formatComplex, formatInequality };
@@ -0,0 +1,59 @@
+/**
+ * Saved State
+ * The JSON schema the page (localStorage) and the CLI (a state file) persist calculator state in
+ */
+
+import { normalizeDisplayFormat, DEFAULT_DISPLAY_FORMAT } from './numberFormat.js';
+import { Vector } from './mathEngine/vector.js';
+
+const STATE_VERSION = '1.0.0';
+
+/**
+ * Snapshot of a calculator state for JSON.stringify
+ * @param {Object} state - Calculator state
+ * @param {Object} modeData - Per-mode data (STAT entries, matrices...)
+ */
+function serializeState(state, modeData = {}) {
+    return {
+        version: STATE_VERSION,
+        timestamp: Date.now(),
+        angleUnit: state.angleUnit,
+        displayFormat: state.displayFormat,
+        engSymbols: state.engSymbols,
+        mode: state.mode,
+        memory: state.memory,
+        vectors: serializeVectors(state.vectors),
+        lastAns: state.lastAns,
+        modeData
+    };
+}
+
+/**
+ * Vector memories as component arrays (null when unset)
+ */
+function serializeVectors(vectors = {}) {
+    return Object.fromEntries(Object.entries(vectors).map(([name, vector]) => [name, vector ? vector.toArray() : null]));
+}
+
+/**
+ * Restore a snapshot into a calculator state, with defaults for anything missing
+ * @returns {Object|null} The snapshot's mode data, if any
+ */
+function restoreState(state, saved) {
+    state.angleUnit = saved.angleUnit || 'DEG';
+    state.displayFormat = normalizeDisplayFormat(saved.displayFormat) || { ...DEFAULT_DISPLAY_FORMAT };
+    state.engSymbols = !!saved.engSymbols;
+    state.mode = saved.mode || 'Math';
+    state.memory = saved.memory || state.memory;
+    Object.entries(saved.vectors || {}).forEach(([name, components]) => {
+        if (state.vectors && Object.hasOwn(state.vectors, name)) {
+            state.vectors[name] = components ? Vector.from(components) : null;
+        }
+    });
+    state.lastAns = saved.lastAns || 0;
+    
+    return saved.modeData || null;
+}
+
+// Export functions
+export { serializeState, restoreState, STATE_VERSION };
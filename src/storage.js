@@ -73,18 +73,7 @@ function isStorageAvailable() {
  * Save complete calculator state
  */
 function saveCompleteState() {
-    const state = window.calculatorState;
-    
-    const completeState = {
-        version: '1.0.0',
-        timestamp: Date.now(),
-        angleUnit: state.angleUnit,
-        precision: state.precision,
-        mode: state.mode,
-        memory: state.memory,
-        lastAns: state.lastAns,
-        modeData: window.modeManager ? window.modeManager.modeData : {}
-    };
+    const completeState = serializeState(window.calculatorState, window.modeManager ? window.modeManager.modeData : {});
     
     return saveToStorage(completeState);
 }
@@ -97,18 +86,11 @@ function loadCompleteState() {
     
     if (!saved) return null;
     
-    const state = window.calculatorState;
-    
-    // Restore basic state
-    state.angleUnit = saved.angleUnit || 'DEG';
-    state.precision = saved.precision || 10;
-    state.mode = saved.mode || 'Math';
-    state.memory = saved.memory || state.memory;
-    state.lastAns = saved.lastAns || 0;
+    // Restore basic state, then mode data
+    const modeData = restoreState(window.calculatorState, saved);
     
-    // Restore mode data
-    if (saved.modeData && window.modeManager) {
-        window.modeManager.modeData = saved.modeData;
+    if (modeData && window.modeManager) {
+        window.modeManager.modeData = modeData;
     }
     
     console.log('📂 Complete state loaded');
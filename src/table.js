@@ -0,0 +1,141 @@
+/**
+ * TABLE Mode
+ * Prompts for f(X), g(X), Start, End and Step, then shows the table in the grid editor,
+ * a few rows at a time; an edited X recalculates its row
+ */
+
+/**
+ * Table rows on the display at once
+ */
+const TABLE_VISIBLE_ROWS = 3;
+
+/**
+ * The prompts in order: f(X) and g(X) take an expression (a blank g(X) leaves it out),
+ * Start, End and Step a number (blank keeps the one shown)
+ */
+const TABLE_PROMPTS = [
+    { key: 'f', label: 'f(X)=' },
+    { key: 'g', label: 'g(X)=' },
+    { key: 'start', label: 'Start?' },
+    { key: 'end', label: 'End?' },
+    { key: 'step', label: 'Step?' }
+];
+
+class TableManager {
+    constructor() {
+        this.settings = { f: '', g: '', start: 1, end: 5, step: 1 };
+        this.index = -1;            // Current prompt (-1 = not prompting)
+    }
+    
+    /**
+     * Begin at f(X)=, with the last function back on the input line to edit
+     */
+    start() {
+        this.index = 0;
+        window.setInputBuffer(this.getPrompt().entry);
+        console.log('📋 TABLE: f(X)=');
+    }
+    
+    /**
+     * Check if waiting for a prompt's entry
+     */
+    isPrompting() {
+        return this.index >= 0 && this.index < TABLE_PROMPTS.length;
+    }
+    
+    /**
+     * Current prompt: its label, the number it keeps (Start, End, Step) or the expression to edit (f, g)
+     */
+    getPrompt() {
+        if (!this.isPrompting()) return null;
+        
+        const { key, label } = TABLE_PROMPTS[this.index];
+        const setting = this.settings[key];
+        return {
+            variable: key,
+            label,
+            value: typeof setting === 'number' ? setting : null,
+            entry: typeof setting === 'string' ? setting : ''
+        };
+    }
+    
+    /**
+     * Accept the entry for the current prompt
+     * A function is checked for syntax now, like the device does
+     * Returns true once Step has been entered
+     */
+    submit(entry) {
+        const { key } = TABLE_PROMPTS[this.index];
+        const text = entry.trim();
+        
+        if (key === 'f' || key === 'g') {
+            if (key === 'f' && !text) {
+                throw new CalcSyntaxError('f(X) is empty');
+            }
+            if (text) {
+                parse(text, { engSymbols: window.calculatorState.engSymbols });
+            }
+            this.settings[key] = text;
+        } else if (text) {
+            const value = evaluateWithState(text);
+            if (Vector.isVector(value)) {
+                throw new ArgumentError(`${key} must be a number`);
+            }
+            this.settings[key] = value;
+        }
+        
+        this.index++;
+        return !this.isPrompting();
+    }
+    
+    /**
+     * The functions in the table: [f] or [f, g]
+     */
+    getExpressions() {
+        const { f, g } = this.settings;
+        return g ? [f, g] : [f];
+    }
+    
+    /**
+     * Build the table and show it; only the X column takes entries
+     * Too many rows is Insufficient MEM
+     */
+    show() {
+        this.index = -1;
+        
+        const { f, g, start, end, step } = this.settings;
+        const table = generateTable({ f, g: g || null, start, end, step }, getStateContext());
+        
+        window.gridEditor.open({
+            headers: table.headers,
+            values: table.rows,
+            visibleRows: TABLE_VISIBLE_ROWS,
+            editableColumns: [0],
+            onChange: values => this.recalculate(values)
+        });
+        console.log(`📋 TABLE: ${table.rows.length} rows`);
+    }
+    
+    /**
+     * After an X cell is edited: recalculate f(X) and g(X) on its row
+     */
+    recalculate(values) {
+        const { row } = window.gridEditor.getCell();
+        values[row] = tableRow(this.getExpressions(), values[row][0], getStateContext());
+        window.gridEditor.setValues(values);
+    }
+    
+    /**
+     * Abandon the prompts
+     */
+    cancel() {
+        this.index = -1;
+    }
+}
+
+// Create global instance
+const tableManager = new TableManager();
+
+// Export
+window.TableManager = TableManager;
+window.tableManager = tableManager;
@@ -0,0 +1,121 @@
+/**
+ * Command Line Tests
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { main, parseArguments, createSession, runCommand } from '../src/cli.js';
+
+let directory;
+let stateFile;
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'casio-'));
+    stateFile = path.join(directory, 'state.json');
+});
+
+afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Run the CLI with a state file in the test directory
+ * @returns {Promise<{ status: number, stdout: string, stderr: string }>}
+ */
+async function run(args, input = '') {
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    const stderr = new PassThrough();
+    let out = '';
+    let err = '';
+    
+    stdout.on('data', chunk => { out += chunk; });
+    stderr.on('data', chunk => { err += chunk; });
+    stdin.end(input);
+    
+    const status = await main(['--state', stateFile, ...args], { stdin, stdout, stderr });
+    return { status, stdout: out, stderr: err };
+}
+
+test('CLI: parses angle, format and state flags', () => {
+    const options = parseArguments(['--rad', '--fix', '3', '--no-save', '-2+1'], {});
+    
+    assert.equal(options.settings.angleUnit, 'RAD');
+    assert.deepEqual(options.settings.displayFormat, { mode: 'FIX', digits: 3 });
+    assert.equal(options.save, false);
+    assert.deepEqual(options.expressions, ['-2+1']);
+    assert.throws(() => parseArguments(['--bogus'], {}), /Unknown option/);
+    assert.deepEqual(parseArguments(['-sin(30)', '-X', '-d'], {}).expressions, ['-sin(30)', '-X']);
+    assert.throws(() => parseArguments(['--fix'], {}), /needs a value/);
+});
+
+test('CLI: one-shot results match the display', async () => {
+    const { status, stdout } = await run(['sin(30)+1/3', '√8', 'Pol(3,4)']);
+    
+    assert.equal(status, 0);
+    assert.equal(stdout, '5/6\n2√2\nr=5, θ=53.13010235\n');
+});
+
+test('CLI: flags apply to one run, Ans and memory are saved', async () => {
+    assert.equal((await run(['--rad', '--fix', '3', 'A=sin(1)'])).stdout, '0.841\n');
+    
+    const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    assert.equal(saved.version, '1.0.0');
+    assert.equal(saved.angleUnit, 'DEG');
+    assert.equal(saved.displayFormat.mode, 'NORM');
+    assert.equal(saved.lastAns, Math.sin(1));
+    assert.equal(saved.memory.A, Math.sin(1));
+    
+    assert.equal((await run(['Ans+A'])).stdout, '1.68294197\n');
+});
+
+test('CLI: expressions may start with a minus sign', async () => {
+    const { status, stdout } = await run(['-sin(30)', '-2+1']);
+    
+    assert.equal(status, 0);
+    assert.equal(stdout, '-1/2\n-1\n');
+});
+
+test('CLI: errors go to stderr with exit code 1', async () => {
+    const { status, stdout, stderr } = await run(['1÷0', '2+2']);
+    
+    assert.equal(status, 1);
+    assert.equal(stdout, '4\n');
+    assert.equal(stderr, 'Math ERROR: Division by zero\n');
+});
+
+test('CLI: the REPL keeps Ans and switches settings', async () => {
+    const { stdout } = await run([], '2+3\nAns×2\n:rad\nsin(π/2)\n:sto B\n:m+\nB+M\n:quit\nnot reached\n');
+    
+    assert.equal(stdout, '5\n10\nRAD\n1\nAns→B\nM=1\n2\n');
+    assert.equal(JSON.parse(fs.readFileSync(stateFile, 'utf8')).angleUnit, 'RAD');
+});
+
+test('CLI: a state file that cannot be written is reported, with exit code 2', async () => {
+    const missing = path.join(directory, 'missing', 'state.json');
+    
+    const oneShot = await run(['--state', missing, '2+2']);
+    assert.equal(oneShot.status, 2);
+    assert.equal(oneShot.stdout, '4\n');
+    assert.match(oneShot.stderr, /^casio: Cannot write state file .*missing.*state\.json: ENOENT/);
+    
+    // The REPL goes on and reports the failure once
+    const repl = await run(['--state', missing], '2+3\nAns×2\n');
+    assert.equal(repl.status, 2);
+    assert.equal(repl.stdout, '5\n10\n');
+    assert.equal(repl.stderr.split('\n').filter(Boolean).length, 1);
+    assert.match(repl.stderr, /^casio: Cannot write state file/);
+});
+
+test('CLI: REPL commands reject bad arguments', () => {
+    const session = createSession({ settings: {}, stateFile: null, save: false });
+    
+    assert.throws(() => runCommand(session, ':sto Q'), /Unknown memory register/);
+    assert.throws(() => runCommand(session, ':fix 12'), /Invalid display format/);
+    assert.throws(() => runCommand(session, ':frobnicate'), /Unknown command/);
+    assert.equal(runCommand(session, ':quit'), null);
+});
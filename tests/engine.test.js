@@ -0,0 +1,124 @@
+/**
+ * Headless Engine Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from './helpers.js';
+import { createCalculator, restoreState, serializeState } from '../src/engine.js';
+
+test('createCalculator: evaluates with its own state', () => {
+    const memory = { A: 5 };
+    const calc = createCalculator({ angleUnit: 'RAD', memory });
+    
+    assertClose(calc.evaluate('sin(π/6)+1/3'), 5/6, 1e-12);
+    assert.equal(calc.formatResult(), '5/6');
+    assertClose(calc.evaluate('A^2+Ans'), 25 + 5/6, 1e-12);
+    
+    calc.store('A', 6);
+    assert.equal(memory.A, 5);
+});
+
+test('createCalculator: calculators do not share memory or Ans', () => {
+    const first = createCalculator();
+    const second = createCalculator();
+    
+    first.store('X', 3);
+    first.evaluate('X+1');
+    
+    assert.equal(second.recall('X'), 0);
+    assert.equal(second.state.lastAns, 0);
+});
+
+test('createCalculator: formats with its display format and S⇔D', () => {
+    const calc = createCalculator({ displayFormat: { mode: 'FIX', digits: 2 } });
+    
+    calc.evaluate('1÷3');
+    assert.equal(calc.formatResult(), '1/3');
+    calc.toggleResultFormat();
+    assert.equal(calc.formatResult(), '0.33');
+});
+
+test('createCalculator: = stores like the calculator (Pol, assignments, DMS)', () => {
+    const calc = createCalculator();
+    
+    calc.evaluate('Pol(3,4)');
+    assert.equal(calc.formatResult(), 'r=5, θ=53.13010235');
+    assert.equal(calc.recall('X'), 5);
+    
+    calc.evaluate('B=X^2');
+    assert.equal(calc.recall('B'), 25);
+    
+    calc.evaluate('12°34°56°×2');
+    assert.equal(calc.formatResult(), '25°9°52°');
+});
+
+test('Saved state: serializes and restores the saveCompleteState schema', () => {
+    const calc = createCalculator({ angleUnit: 'RAD', memory: { A: 2 } });
+    calc.evaluate('A+1');
+    
+    const saved = JSON.parse(JSON.stringify(serializeState(calc.state, { STAT: {} })));
+    assert.equal(Object.keys(saved).join(','),
+        'version,timestamp,angleUnit,displayFormat,engSymbols,mode,memory,vectors,lastAns,modeData');
+    
+    const restored = createCalculator();
+    const modeData = restoreState(restored.state, saved);
+    assert.equal(restored.state.angleUnit, 'RAD');
+    assert.equal(restored.evaluate('Ans×A'), 6);
+    assert.ok('STAT' in modeData, 'mode data returned');
+});
+
+test('createCalculator: vector results go to VctAns and leave Ans alone', () => {
+    const calc = createCalculator({ vectors: { VctA: [1, 2, 3] } });
+    calc.storeVector('VctB', [4, 5, 6]);
+    calc.evaluate('7');
+    
+    assert.deepEqual(calc.evaluate('VctA×VctB').toArray(), [-3, 6, -3]);
+    assert.equal(calc.formatResult(), '[-3, 6, -3]');
+    assert.equal(calc.state.lastAns, 7);
+    
+    assert.equal(calc.evaluate('VctAns•VctA'), 0);
+    assert.equal(calc.formatResult(), '0');
+    assert.throws(() => calc.evaluate('Y=VctA'), /cannot be stored/);
+});
+
+test('Saved state: vector memories round-trip as component arrays', () => {
+    const calc = createCalculator({ vectors: { VctA: [1, 2] } });
+    const saved = JSON.parse(JSON.stringify(serializeState(calc.state)));
+    assert.deepEqual(saved.vectors, { VctA: [1, 2], VctB: null, VctC: null, VctAns: null });
+    
+    const restored = createCalculator();
+    restoreState(restored.state, saved);
+    assert.equal(restored.evaluate('Abs(3VctA)'), Math.sqrt(45));
+});
+
+test('createCalculator: rejects invalid settings', () => {
+    const cases = [
+        () => createCalculator({ angleUnit: 'TURNS' }),
+        () => createCalculator({ displayFormat: { mode: 'FIX', digits: 12 } }),
+        () => createCalculator().store('Q', 1),
+        () => createCalculator().storeVector('VctAns2', [1, 2]),
+        () => createCalculator({ vectors: { VctA: [1] } })
+    ];
+    
+    cases.forEach(create => {
+        try {
+            create();
+            throw new Error('Should have thrown error');
+        } catch (error) {
+            assert.ok(error.message !== 'Should have thrown error', 'invalid setting was accepted');
+        }
+    });
+});
+
+test('createCalculator: prototype keys are not memory registers', () => {
+    const calc = createCalculator();
+    
+    ['toString', 'constructor', '__proto__', 'hasOwnProperty'].forEach(name => {
+        assert.throws(() => calc.store(name, 1), /Unknown memory register/);
+        assert.throws(() => calc.recall(name), /Unknown memory register/);
+        assert.throws(() => calc.storeVector(name, [1, 2]), /Unknown vector memory/);
+    });
+    assert.ok(!Object.hasOwn(calc.state.memory, 'toString'));
+    assert.equal(calc.state.memory.toString, Object.prototype.toString);
+});
@@ -0,0 +1,139 @@
+/**
+ * Error Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    CalculatorError,
+    CalcSyntaxError,
+    MathError,
+    StackError,
+    ArgumentError,
+    DimensionError,
+    errorScreen,
+    errorPosition,
+    describeError
+} from '../src/errors.js';
+import { evaluateExpression } from '../src/evaluator.js';
+import { parse, MAX_NESTING } from '../src/parser.js';
+import { Matrix } from '../src/mathEngine/matrix.js';
+import { createCalculator } from '../src/engine.js';
+
+/**
+ * Error thrown by fn
+ */
+function thrown(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('Expected an error');
+}
+
+// ===========================
+// Error Classes
+// ===========================
+
+test('Each error class shows its device screen', () => {
+    assert.equal(new CalcSyntaxError('x').screen, 'Syntax ERROR');
+    assert.equal(new MathError('x').screen, 'Math ERROR');
+    assert.equal(new StackError('x').screen, 'Stack ERROR');
+    assert.equal(new ArgumentError('x').screen, 'Argument ERROR');
+    assert.equal(new DimensionError('x').screen, 'Dimension ERROR');
+    assert.ok(new MathError('x') instanceof CalculatorError);
+    assert.equal(new MathError('x').name, 'MathError');
+});
+
+test('Screens for untyped errors', () => {
+    assert.equal(errorScreen(new Error('anything')), 'Math ERROR');
+    assert.equal(errorScreen(new RangeError('Maximum call stack size exceeded')), 'Stack ERROR');
+    assert.equal(errorScreen(new CalculatorError("Can't Solve")), "Can't Solve");
+});
+
+test('describeError adds the detail to the screen', () => {
+    assert.equal(describeError(new MathError('Division by zero')), 'Math ERROR: Division by zero');
+    assert.equal(describeError(new CalculatorError("Can't Solve")), "Can't Solve");
+});
+
+// ===========================
+// Parser and Evaluator
+// ===========================
+
+test('Syntax errors point at the offending token', () => {
+    const error = thrown(() => parse('2+×3'));
+    
+    assert.ok(error instanceof CalcSyntaxError);
+    assert.equal(errorPosition(error), 2);
+    assert.equal(errorPosition(thrown(() => parse('(1+2))'))), 5);
+});
+
+test('Math errors point at the failing operation', () => {
+    const error = thrown(() => evaluateExpression('5+1÷0'));
+    
+    assert.ok(error instanceof MathError);
+    assert.equal(errorPosition(error), 2);
+    assert.equal(errorPosition(thrown(() => evaluateExpression('3×ln(0)'))), 2);
+});
+
+test('Results that are not finite numbers are a Math ERROR at their operation', () => {
+    const cases = [
+        ['asin(2)', 0],
+        ['1+sin⁻¹(2)', 2],
+        ['(-8)^(1÷3)', 0],
+        ['171!', 0],
+        ['2^10000', 0],
+        ['10^400', 0]
+    ];
+    
+    cases.forEach(([expression, position]) => {
+        const error = thrown(() => evaluateExpression(expression));
+        assert.ok(error instanceof MathError, expression);
+        assert.equal(errorPosition(error), position, expression);
+    });
+    assert.equal(evaluateExpression('170!') > 1e306, true);
+});
+
+test('A Math ERROR result leaves Ans as it was', () => {
+    const calculator = createCalculator();
+    calculator.evaluate('5');
+    
+    assert.equal(thrown(() => calculator.evaluate('171!')).screen, 'Math ERROR');
+    assert.equal(calculator.state.lastAns, 5);
+});
+
+test('A wrong number of arguments is an Argument ERROR', () => {
+    const error = thrown(() => parse('nPr(5)'));
+    
+    assert.ok(error instanceof ArgumentError);
+    assert.equal(errorPosition(error), 0);
+});
+
+test(`Brackets nested deeper than ${MAX_NESTING} levels are a Stack ERROR`, () => {
+    const nested = depth => `${'('.repeat(depth)}1${')'.repeat(depth)}`;
+    
+    assert.equal(evaluateExpression(nested(MAX_NESTING)), 1);
+    
+    const error = thrown(() => parse(nested(MAX_NESTING + 1)));
+    assert.ok(error instanceof StackError);
+    assert.equal(errorPosition(error), MAX_NESTING);
+    assert.ok(thrown(() => parse('sin('.repeat(MAX_NESTING + 1))) instanceof StackError);
+});
+
+test('Matrix size mismatches are a Dimension ERROR', () => {
+    const a = Matrix.from([[1, 2], [3, 4]]);
+    const b = Matrix.from([[1, 2, 3]]);
+    
+    assert.ok(thrown(() => a.add(b)) instanceof DimensionError);
+    assert.ok(thrown(() => b.determinant()) instanceof DimensionError);
+    assert.ok(thrown(() => Matrix.from([[1, 2], [2, 4]]).inverse()) instanceof MathError);
+});
+
+test('Errors in an assignment count from the start of the input', () => {
+    const calculator = createCalculator();
+    const error = thrown(() => calculator.evaluate('Y=2+ln(0)'));
+    
+    assert.equal(error.screen, 'Math ERROR');
+    assert.equal(errorPosition(error), 4);
+});
@@ -0,0 +1,294 @@
+/**
+ * Evaluator Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from './helpers.js';
+import { VariableScope, evaluate, evaluateCoordinates, evaluateExpression } from '../src/evaluator.js';
+import { Fraction } from '../src/mathEngine/fraction.js';
+import { parse } from '../src/parser.js';
+import { Vector } from '../src/mathEngine/vector.js';
+import { ArgumentError, DimensionError } from '../src/errors.js';
+
+// ===========================
+// Basic Arithmetic
+// ===========================
+test('Addition: 2+3 = 5', () => {
+    const result = evaluateExpression('2+3');
+    assert.equal(result, 5);
+});
+
+test('Subtraction: 10-3 = 7', () => {
+    const result = evaluateExpression('10-3');
+    assert.equal(result, 7);
+});
+
+test('Multiplication: 4×5 = 20', () => {
+    const result = evaluateExpression('4*5');
+    assert.equal(result, 20);
+});
+
+test('Division: 20÷4 = 5', () => {
+    const result = evaluateExpression('20/4');
+    assert.equal(result, 5);
+});
+
+test('Order of operations: 2+3×4 = 14', () => {
+    const result = evaluateExpression('2+3*4');
+    assert.equal(result, 14);
+});
+
+test('Parentheses: (2+3)×4 = 20', () => {
+    const result = evaluateExpression('(2+3)*4');
+    assert.equal(result, 20);
+});
+
+// ===========================
+// Power and Root
+// ===========================
+test('Power: 2^3 = 8', () => {
+    const result = evaluateExpression('2^3');
+    assert.equal(result, 8);
+});
+
+test('Square root: √16 = 4', () => {
+    const result = evaluateExpression('sqrt(16)');
+    assert.equal(result, 4);
+});
+
+test('Square root: √2 ≈ 1.414', () => {
+    const result = evaluateExpression('sqrt(2)');
+    assertClose(result, 1.41421356, 1e-6);
+});
+
+// ===========================
+// Trigonometry (DEG)
+// ===========================
+test('sin(30°) = 0.5', () => {
+    const result = evaluateExpression('sin(30)', { angleUnit: 'DEG' });
+    assertClose(result, 0.5, 1e-6);
+});
+
+test('cos(60°) = 0.5', () => {
+    const result = evaluateExpression('cos(60)', { angleUnit: 'DEG' });
+    assertClose(result, 0.5, 1e-6);
+});
+
+test('tan(45°) = 1', () => {
+    const result = evaluateExpression('tan(45)', { angleUnit: 'DEG' });
+    assertClose(result, 1, 1e-6);
+});
+
+// ===========================
+// Logarithm
+// ===========================
+test('log(100) = 2', () => {
+    const result = evaluateExpression('log(100)');
+    assertClose(result, 2, 1e-6);
+});
+
+test('ln(e) = 1', () => {
+    const result = evaluateExpression('ln(e)');
+    assertClose(result, 1, 1e-6);
+});
+
+// ===========================
+// Constants
+// ===========================
+test('π ≈ 3.14159', () => {
+    const result = evaluateExpression('π');
+    assertClose(result, Math.PI, 1e-6);
+});
+
+test('e ≈ 2.71828', () => {
+    const result = evaluateExpression('e');
+    assertClose(result, Math.E, 1e-6);
+});
+
+// ===========================
+// Exact Evaluation
+// ===========================
+test('Exact evaluation: 1÷3+1÷6 = 1/2', () => {
+    const result = evaluateExpression('1÷3+1÷6', { exact: true });
+    assert.ok(Fraction.isFraction(result));
+    assert.equal(result.toString(), '1/2');
+});
+
+test('Exact evaluation: plain evaluation still returns numbers', () => {
+    assert.equal(evaluateExpression('1÷3+1÷6'), 0.5);
+});
+
+test('Exact evaluation: √16÷3 = 4/3', () => {
+    const result = evaluateExpression('√(16)÷3', { exact: true });
+    assert.equal(result.toString(), '4/3');
+});
+
+test('Exact evaluation: percent divides by 100, 1500×20% = 300 and 1÷3% = 100/3', () => {
+    assert.equal(evaluateExpression('1500×20%', { exact: true }).toString(), '300');
+    assert.equal(evaluateExpression('1÷3%', { exact: true }).toString(), '100/3');
+    assertClose(evaluateExpression('π%'), Math.PI / 100, 1e-15);
+});
+
+test('Exact evaluation: irrational operands fall back to decimals', () => {
+    const result = evaluateExpression('π÷2', { exact: true });
+    assert.equal(typeof result, 'number');
+});
+
+// ===========================
+// Pol / Rec
+// ===========================
+test('Pol(3,4) gives r = 5 and θ in degrees', () => {
+    const result = evaluateCoordinates('Pol(3,4)', { angleUnit: 'DEG' });
+    assert.equal(result.name, 'Pol');
+    assertClose(result.values[0], 5, 1e-12);
+    assertClose(result.values[1], 53.13010235, 1e-8);
+});
+
+test('Pol( uses the current angle unit', () => {
+    const result = evaluateCoordinates('Pol(-1,0)', { angleUnit: 'RAD' });
+    assertClose(result.values[1], Math.PI, 1e-12);
+});
+
+test('Rec(2,90) gives x = 0 and y = 2', () => {
+    const result = evaluateCoordinates('Rec(2,90)', { angleUnit: 'DEG' });
+    assert.equal(result.values[0], 0);
+    assertClose(result.values[1], 2, 1e-12);
+});
+
+test('Rec( accepts DMS angles', () => {
+    const result = evaluateCoordinates('Rec(2,30°)', { angleUnit: 'RAD' });
+    assertClose(result.values[0], Math.sqrt(3), 1e-12);
+    assertClose(result.values[1], 1, 1e-12);
+});
+
+test('Pol( inside an expression uses its first result', () => {
+    assert.equal(evaluateCoordinates('Pol(3,4)+1'), null);
+    assertClose(evaluateExpression('Pol(3,4)+1'), 6, 1e-12);
+});
+
+// ===========================
+// Σ / Π
+// ===========================
+test('Σ(X,X,1,100) = 5050', () => {
+    assert.equal(evaluateExpression('Σ(X,X,1,100)', { memory: {} }), 5050);
+});
+
+test('Σ with integer limits sums exactly', () => {
+    const result = evaluateExpression('Σ(1/A,A,1,10)', { memory: {}, exact: true });
+    assert.ok(Fraction.isFraction(result));
+    assert.equal(result.toString(), '7381/2520');
+});
+
+test('Π(X,X,1,10) = 10! and non-integer limits step by 1', () => {
+    assert.equal(evaluateExpression('Π(X,X,1,10)', { memory: {} }), 3628800);
+    assertClose(evaluateExpression('Σ(X^2,X,0.5,2.5)', { memory: {} }), 8.75, 1e-12);
+});
+
+test('Σ nests and leaves its loop variable in memory alone', () => {
+    const memory = { X: 9 };
+    assert.equal(evaluateExpression('1+Σ(Σ(XY,Y,1,3),X,1,3)+X', { memory }), 46);
+    assert.equal(memory.X, 9);
+});
+
+test('Σ / Π report overflow, reversed limits and too many terms', () => {
+    const cases = [
+        ['Π(X,X,1,200)', 'overflow'],
+        ['Σ(X,X,5,1)', 'lower limit'],
+        ['Σ(X,X,1,1000000)', 'too many terms'],
+        ['Σ(X,2,1,3)', 'needs a variable']
+    ];
+    
+    cases.forEach(([expression, message]) => {
+        try {
+            evaluateExpression(expression, { memory: {} });
+            throw new Error(`${expression} should have thrown`);
+        } catch (error) {
+            assert.ok(error.message.includes(message), `${expression}: ${error.message}`);
+        }
+    });
+});
+
+// ===========================
+// Vectors
+// ===========================
+test('Vector memories: sums, multiples, cross and dot products', () => {
+    const vectors = { VctA: Vector.from([1, 2, 3]), VctB: Vector.from([4, 5, 6]) };
+    const components = expression => evaluateExpression(expression, { vectors }).toArray();
+    
+    assert.deepEqual(components('VctA+VctB'), [5, 7, 9]);
+    assert.deepEqual(components('VctB−VctA'), [3, 3, 3]);
+    assert.deepEqual(components('2VctA'), [2, 4, 6]);
+    assert.deepEqual(components('-VctA÷2'), [-0.5, -1, -1.5]);
+    assert.deepEqual(components('VctA×VctB'), [-3, 6, -3]);
+    assert.equal(evaluateExpression('VctA•VctB', { vectors }), 32);
+});
+
+test('Abs, UnitV and Angle take vectors', () => {
+    const vectors = { VctA: Vector.from([3, 4]), VctB: Vector.from([0, 1]) };
+    
+    assert.equal(evaluateExpression('Abs(VctA)', { vectors }), 5);
+    assert.deepEqual(evaluateExpression('UnitV(VctA)', { vectors }).toArray(), [0.6, 0.8]);
+    assertClose(evaluateExpression('Angle(VctA,VctB)', { vectors, angleUnit: 'DEG' }), 36.86989765, 1e-8);
+    assertClose(evaluateExpression('Angle(VctA,VctB)', { vectors, angleUnit: 'RAD' }), Math.atan2(3, 4), 1e-12);
+});
+
+test('Vectors are rejected where a number is needed', () => {
+    const vectors = { VctA: Vector.from([1, 2]), VctB: Vector.from([1, 2, 3]) };
+    const cases = [
+        ['VctA+1', ArgumentError],
+        ['sin(VctA)', ArgumentError],
+        ['2•3', ArgumentError],
+        ['VctA^2', ArgumentError],
+        ['VctA+VctB', DimensionError],
+        ['VctC', DimensionError]
+    ];
+    
+    cases.forEach(([expression, type]) => {
+        assert.throws(() => evaluateExpression(expression, { vectors }), type, expression);
+    });
+});
+
+// ===========================
+// Variable Scope
+// ===========================
+test('VariableScope: inner layers shadow outer ones and memory', () => {
+    const memory = { X: 1, A: 2 };
+    const scope = new VariableScope({ X: 10 }).bind('A', 20).bind('X', 100);
+    
+    assert.equal(evaluate(parse('X+A'), { memory, scope }), 120);
+    assert.equal(evaluate(parse('X+A'), { memory, scope: scope.parent }), 30);
+    assert.equal(evaluate(parse('X+A'), { memory }), 3);
+    assert.equal(memory.X, 1);
+});
+
+// ===========================
+// Error Handling
+// ===========================
+test('Evaluator: errors carry the failing node span', () => {
+    try {
+        evaluateExpression('1+4÷0');
+        throw new Error('Should have thrown error');
+    } catch (error) {
+        assert.equal(error.span.start, 2);
+        assert.equal(error.span.end, 5);
+    }
+});
+
+test('Division by zero throws error', () => {
+    try {
+        evaluateExpression('10/0');
+        throw new Error('Should have thrown error');
+    } catch (error) {
+        assert.ok(error.message.includes('Division by zero'));
+    }
+});
+
+test('Invalid sqrt domain throws error', () => {
+    try {
+        evaluateExpression('sqrt(-1)');
+        throw new Error('Should have thrown error');
+    } catch (error) {
+        assert.ok(error.message.includes('Invalid domain'));
+    }
+});
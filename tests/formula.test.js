@@ -0,0 +1,29 @@
+/**
+ * Formulas Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findVariables, splitAssignment } from '../src/formula.js';
+
+test('CALC: finds variables in order of appearance', () => {
+    assert.equal(findVariables('X^2+A×X+sin(B)+Ans').join(','), 'X,A,B');
+    assert.equal(findVariables('2π+e').length, 0);
+});
+
+test('CALC: X bound by ∫ or d/dx is not a variable', () => {
+    assert.equal(findVariables('∫(AX,0,B)').join(','), 'A,B');
+    assert.equal(findVariables('d/dx(X^2,X)+Y').join(','), 'X,Y');
+});
+
+test('CALC: splits Y=X²+1 into target and formula', () => {
+    const assignment = splitAssignment('Y=X^2+1');
+    assert.equal(assignment.target, 'Y');
+    assert.equal(assignment.formula, 'X^2+1');
+    assert.equal(splitAssignment('X+1=5'), null);
+    assert.equal(splitAssignment('2+3'), null);
+});
+
+test('CALC does not prompt for a Σ loop variable', () => {
+    assert.equal(findVariables('Σ(AX,X,1,B)').join(','), 'A,B');
+});
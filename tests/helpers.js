@@ -0,0 +1,60 @@
+/**
+ * Test Helpers
+ * Shared assertions, and a jsdom copy of index.html for the UI suites
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { installEngine } from '../src/browser.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Assert close (for floating point)
+ */
+function assertClose(actual, expected, tolerance = 1e-6, message) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        message || `Expected ${expected}, got ${actual} (tolerance: ${tolerance})`
+    );
+}
+
+/**
+ * Classic scripts index.html loads after the engine, in page order
+ */
+function pageScripts(html) {
+    return [...html.matchAll(/<script defer src="([^"]+)"><\/script>/g)].map(match => match[1]);
+}
+
+/**
+ * Load index.html into jsdom: the engine is installed on window, then the UI scripts run
+ * and DOMContentLoaded initializes the calculator as in the browser
+ * Console output from the page is dropped; close the window when done to stop its timers
+ * @returns {Window}
+ */
+function loadPage() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const dom = new JSDOM(html.replace(/<script[^>]*><\/script>/g, ''), {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+    const { window } = dom;
+    
+    installEngine(window);
+    
+    pageScripts(html).forEach(script => {
+        const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+        window.eval(`${source}\n//# sourceURL=${script}`);
+    });
+    
+    window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    return window;
+}
+
+// Export functions
+export { assertClose, loadPage };
@@ -0,0 +1,166 @@
+/**
+ * Keystroke Scenarios
+ * A small DSL for driving the virtual keypad: key ids from keymap.js (or their printed
+ * labels) separated by spaces, fed through handleKeyPress as if the buttons were pressed
+ *
+ *   shift sin 0 . 5 ) =        → sin⁻¹(0.5) = 30
+ *   123 + 456 = 789 − Ans =    → numbers expand to their digit keys
+ *   1 + 2 = ▲                  → arrows go to handleArrowKey (◀ ▶ ▲ ▼ or left right up down)
+ */
+
+import assert from 'node:assert/strict';
+import { assertClose } from './helpers.js';
+
+/**
+ * Printed labels that differ from (or are ambiguous in) the keymap
+ * ÷ is the arithmetic ÷ key, whose SHIFT function is nCr as on the device
+ */
+const KEY_ALIASES = {
+    '÷': 'div2',
+    '/': 'div2',
+    '*': 'multiply',
+    '-': 'minus',
+    '.': 'dot',
+    '(-)': 'neg',
+    '°\'"': 'comma',
+    '^': 'power'
+};
+
+const ARROW_KEYS = {
+    '◀': 'left', 'left': 'left',
+    '▶': 'right', 'right': 'right',
+    '▲': 'up', 'up': 'up',
+    '▼': 'down', 'down': 'down'
+};
+
+/**
+ * Turn a key sequence into steps: { key } for keypad buttons, { arrow } for the d-pad
+ */
+function parseKeys(sequence, keymap) {
+    const keys = keymap.flat();
+    const byLabel = {};
+    keys.forEach(key => {
+        byLabel[key.primary] = byLabel[key.primary] || key.id;
+    });
+    
+    const resolve = token => {
+        if (ARROW_KEYS[token]) return [{ arrow: ARROW_KEYS[token] }];
+        if (keys.some(key => key.id === token)) return [{ key: token }];
+        if (KEY_ALIASES[token]) return [{ key: KEY_ALIASES[token] }];
+        if (byLabel[token]) return [{ key: byLabel[token] }];
+        
+        // 30, 0.5: one key per digit
+        if (/^[0-9.]+$/.test(token)) {
+            return [...token].flatMap(resolve);
+        }
+        
+        throw new Error(`Unknown key: ${token}`);
+    };
+    
+    return sequence.trim().split(/\s+/).filter(Boolean).flatMap(resolve);
+}
+
+/**
+ * Press a key sequence on a loaded page
+ */
+function pressKeys(page, sequence) {
+    parseKeys(sequence, page.KEYMAP).forEach(step => {
+        if (step.arrow) {
+            page.handleArrowKey(step.arrow);
+        } else {
+            page.handleKeyPress(step.key);
+        }
+    });
+}
+
+/**
+ * Display line as linear text: fractions as a/b, roots as √a, powers as a^b
+ * Parts longer than one term are bracketed; the cursor is left out
+ */
+function displayText(element) {
+    const bracket = text => (/.[+\-−×÷/]/.test(text) ? `(${text})` : text);
+    const part = (node, className) => linear(node.querySelector(`:scope > .${className}`));
+    
+    const linear = node => {
+        if (!node) return '';
+        if (node.nodeType === node.TEXT_NODE) return node.textContent;
+        if (node.id === 'cursor') return '';
+        
+        if (node.classList.contains('frac')) {
+            return `${bracket(part(node, 'frac-num'))}/${bracket(part(node, 'frac-den'))}`;
+        }
+        if (node.classList.contains('sqrt-container')) {
+            return `√${bracket(part(node, 'sqrt-content'))}`;
+        }
+        if (node.classList.contains('power-container')) {
+            return `${part(node, 'power-base')}^${bracket(part(node, 'power-exp'))}`;
+        }
+        
+        return [...node.childNodes].map(linear).join('');
+    };
+    
+    return linear(element).trim();
+}
+
+/**
+ * A display line of a loaded page ('display-input' or 'display-result') as displayText
+ */
+function displayLine(page, id) {
+    return displayText(page.document.getElementById(id));
+}
+
+/**
+ * Put the calculator in a scenario's starting state: SETUP settings, memory and Ans
+ */
+function applySetup(page, setup = {}) {
+    const state = page.calculatorState;
+    
+    if (setup.angleUnit) state.angleUnit = setup.angleUnit;
+    if (setup.displayFormat) state.displayFormat = setup.displayFormat;
+    if (setup.engSymbols !== undefined) state.engSymbols = setup.engSymbols;
+    Object.entries(setup.memory || {}).forEach(([register, value]) => {
+        page.memoryManager.store(register, value);
+    });
+    if (setup.lastAns !== undefined) state.lastAns = setup.lastAns;
+    
+    page.updateDisplay();
+}
+
+/**
+ * Run a scenario and check what it expects
+ * @param {Window} page - Page from loadPage()
+ * @param {Object} scenario - { keys, setup, input, inputDisplay, display, result, memory, state, error }
+ *   input: the input buffer; inputDisplay / display: input and result lines as displayText;
+ *   result: Ans (numbers compared to 1e-9); memory: register values;
+ *   state: other calculatorState fields (shift, alpha, hypMode...); error: message shown
+ */
+function runScenario(page, scenario) {
+    applySetup(page, scenario.setup);
+    pressKeys(page, scenario.keys);
+    
+    const state = page.calculatorState;
+    if (scenario.input !== undefined) {
+        assert.equal(state.inputBuffer, scenario.input, 'input buffer');
+    }
+    if (scenario.inputDisplay !== undefined) {
+        assert.equal(displayLine(page, 'display-input'), scenario.inputDisplay, 'input line');
+    }
+    if (scenario.display !== undefined) {
+        assert.equal(displayLine(page, 'display-result'), scenario.display, 'result line');
+    }
+    if (scenario.result !== undefined) {
+        assertClose(state.lastAns, scenario.result, 1e-9, `Ans: expected ${scenario.result}, got ${state.lastAns}`);
+    }
+    Object.entries(scenario.memory || {}).forEach(([register, value]) => {
+        assertClose(state.memory[register], value, 1e-9, `${register}: expected ${value}, got ${state.memory[register]}`);
+    });
+    Object.entries(scenario.state || {}).forEach(([field, value]) => {
+        assert.deepEqual(state[field], value, field);
+    });
+    if (scenario.error !== undefined) {
+        assert.equal(state.error, scenario.error, 'error message');
+    }
+}
+
+// Export functions
+export { parseKeys, pressKeys, displayText, displayLine, runScenario, KEY_ALIASES };
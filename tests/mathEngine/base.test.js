@@ -0,0 +1,22 @@
+/**
+ * Base Conversion Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BaseHelpers } from '../../src/mathEngine/base.js';
+
+test('Binary to Decimal: 1010₂ = 10', () => {
+    const result = BaseHelpers.binToDec('1010');
+    assert.equal(result, 10);
+});
+
+test('Hex to Decimal: FF₁₆ = 255', () => {
+    const result = BaseHelpers.hexToDec('FF');
+    assert.equal(result, 255);
+});
+
+test('Bitwise AND: 12 & 10 = 8', () => {
+    const result = BaseHelpers.and(12, 10);
+    assert.equal(result, 8);
+});
@@ -0,0 +1,21 @@
+/**
+ * Complex Numbers Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Complex } from '../../src/mathEngine/complex.js';
+
+test('Complex addition: (3+4i) + (1+2i) = 4+6i', () => {
+    const c1 = new Complex(3, 4);
+    const c2 = new Complex(1, 2);
+    const result = c1.add(c2);
+    assert.equal(result.real, 4);
+    assert.equal(result.imag, 6);
+});
+
+test('Complex magnitude: |3+4i| = 5', () => {
+    const c = new Complex(3, 4);
+    const mag = c.magnitude();
+    assert.equal(mag, 5);
+});
@@ -0,0 +1,39 @@
+/**
+ * Derivative (d/dx) Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from '../helpers.js';
+import { differentiate } from '../../src/mathEngine/derivative.js';
+import { evaluateExpression } from '../../src/evaluator.js';
+import { newton } from '../../src/mathEngine/solver.js';
+
+test('differentiate: d/dx X³ at 2 = 12', () => {
+    assertClose(differentiate(x => x * x * x, 2), 12, 1e-9);
+});
+
+test('differentiate: steps inside the domain of ln near 0', () => {
+    assertClose(differentiate(Math.log, 0.001), 1000, 1e-6);
+});
+
+test('d/dx(sin(X),0) follows the angle unit', () => {
+    assertClose(evaluateExpression('d/dx(sin(X),0)', { angleUnit: 'RAD' }), 1, 1e-10);
+    assertClose(evaluateExpression('d/dx(sin(X),0)', { angleUnit: 'DEG' }), Math.PI / 180, 1e-12);
+});
+
+test('d/dx works inside expressions and nested', () => {
+    assertClose(evaluateExpression('1+2d/dx(X^2,3)', { memory: {} }), 13, 1e-9);
+    assertClose(evaluateExpression('d/dx(d/dx(X^3,X),1)', { memory: {} }), 6, 1e-8);
+});
+
+test('d/dx binds X without changing X memory', () => {
+    const memory = { X: 5, A: 2 };
+    assertClose(evaluateExpression('d/dx(AX^2,1)+X', { memory }), 9, 1e-9);
+    assert.equal(memory.X, 5);
+});
+
+test('Solver: Newton uses the extrapolated derivative', () => {
+    const result = newton(x => Math.exp(x) - 2, 0, { tolerance: 1e-14 });
+    assertClose(result, Math.LN2, 1e-14);
+});
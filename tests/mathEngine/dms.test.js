@@ -0,0 +1,50 @@
+/**
+ * Sexagesimal (DMS) Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from '../helpers.js';
+import { formatDms } from '../../src/mathEngine/dms.js';
+import { evaluateExpression, isDmsExpression } from '../../src/evaluator.js';
+import { Fraction } from '../../src/mathEngine/fraction.js';
+import { NodeType, parse } from '../../src/parser.js';
+
+test('DMS: 12°34°56° is a degrees literal', () => {
+    const ast = parse('12°34°56°');
+    assert.equal(ast.type, NodeType.NUMBER);
+    assertClose(ast.value, 12 + 34 / 60 + 56 / 3600, 1e-12);
+});
+
+test('DMS: the last ° may be omitted', () => {
+    assert.equal(evaluateExpression('1°30°'), 1.5);
+    assert.equal(evaluateExpression('1°30'), 1.5);
+    assert.equal(evaluateExpression('2°'), 2);
+});
+
+test('DMS: arithmetic stays exact', () => {
+    const result = evaluateExpression('2°20°30°+39°30°', { exact: true });
+    assert.equal(formatDms(Fraction.toNumber(result)), '41°50°30°');
+    assert.equal(evaluateExpression('0°0°36°', { exact: true }).toString(), '1/100');
+});
+
+test('DMS: decimal to DMS conversion', () => {
+    assert.equal(formatDms(1.5), '1°30°0°');
+    assert.equal(formatDms(-12.5822222222), '-12°34°56°');
+    assert.equal(formatDms(0.99999999), '1°0°0°');
+    assert.equal(formatDms(2.258), '2°15°28.8°');
+    assert.equal(formatDms(1e6), null);
+});
+
+test('DMS: trig functions take DMS angles in any angle unit', () => {
+    assertClose(evaluateExpression('sin(30°0°0°)', { angleUnit: 'RAD' }), 0.5, 1e-12);
+    assertClose(evaluateExpression('cos(29°30°+0°30°)', { angleUnit: 'GRAD' }), Math.sqrt(3) / 2, 1e-12);
+    assertClose(evaluateExpression('sin(30)', { angleUnit: 'RAD' }), Math.sin(30), 1e-12);
+});
+
+test('DMS: results of DMS arithmetic are DMS expressions', () => {
+    assert.ok(isDmsExpression(parse('2°30°+1')));
+    assert.ok(isDmsExpression(parse('2×(12°30°)')));
+    assert.ok(!isDmsExpression(parse('sin(30°)')));
+    assert.ok(!isDmsExpression(parse('1÷2°')));
+});
@@ -0,0 +1,152 @@
+/**
+ * Equations Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from '../helpers.js';
+import {
+    solveLinearSystem,
+    findPolynomialRoots,
+    quadraticExtremum,
+    solvePolynomialInequality
+} from '../../src/mathEngine/equation.js';
+import { Complex } from '../../src/mathEngine/complex.js';
+import { CalculatorError, MathError, ArgumentError, DimensionError } from '../../src/errors.js';
+
+test('Two unknowns: 2X+3Y=8, X−Y=1 gives X=2.2, Y=1.2', () => {
+    const [x, y] = solveLinearSystem([[2, 3, 8], [1, -1, 1]]);
+    assertClose(x, 2.2, 1e-12);
+    assertClose(y, 1.2, 1e-12);
+});
+
+test('Three unknowns: X+Y+Z=6, 2X−Y+Z=3, X+2Y−Z=2 gives 1, 2, 3', () => {
+    const solution = solveLinearSystem([[1, 1, 1, 6], [2, -1, 1, 3], [1, 2, -1, 2]]);
+    [1, 2, 3].forEach((expected, i) => assertClose(solution[i], expected, 1e-12));
+});
+
+test('Singular systems: Infinite Sol when consistent, No Solution otherwise', () => {
+    assert.throws(() => solveLinearSystem([[1, 1, 2], [2, 2, 4]]), error =>
+        error instanceof CalculatorError && error.screen === 'Infinite Sol');
+    assert.throws(() => solveLinearSystem([[1, 1, 2], [2, 2, 5]]), error =>
+        error.screen === 'No Solution');
+    assert.throws(() => solveLinearSystem([[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 1]]), error =>
+        error.screen === 'No Solution');
+});
+
+test('Each equation needs a coefficient per unknown and a constant', () => {
+    assert.throws(() => solveLinearSystem([[1, 2], [3, 4]]), DimensionError);
+    assert.throws(() => solveLinearSystem([]), DimensionError);
+});
+
+function assertRoots(coefficients, expected) {
+    const roots = findPolynomialRoots(coefficients);
+    assert.equal(roots.length, expected.length);
+    roots.forEach((root, i) => {
+        const [real, imag] = Array.isArray(expected[i]) ? expected[i] : [expected[i], 0];
+        assert.ok(root instanceof Complex);
+        assertClose(root.real, real, 1e-9);
+        assertClose(root.imag, imag, 1e-9);
+    });
+}
+
+test('Quadratic: real roots largest first, complex-conjugate pairs +i first', () => {
+    assertRoots([1, -3, 2], [2, 1]);
+    assertRoots([1, 2, 5], [[-1, 2], [-1, -2]]);
+    assertRoots([1, -2, 1], [1, 1]);
+    assertRoots([0.001, 1, 1], [-1.001002005014042, -998.998997994986]);
+});
+
+test('Cubic: three real roots, a repeated root, and one real root with a complex pair', () => {
+    assertRoots([1, -6, 11, -6], [3, 2, 1]);
+    assertRoots([1, -4, 5, -2], [2, 1, 1]);
+    assertRoots([1, -3, 3, -1], [1, 1, 1]);
+    assertRoots([1, 0, 0, -1], [1, [-0.5, Math.sqrt(3) / 2], [-0.5, -Math.sqrt(3) / 2]]);
+});
+
+test('Close but distinct roots stay apart; only rounding noise makes a repeated root', () => {
+    const [larger, smaller] = findPolynomialRoots([1, -2.0000001, 1.0000001]);
+    assert.ok(larger.isReal() && smaller.isReal());
+    assert.notEqual(larger.real, smaller.real);
+    assertClose(larger.real, 1.0000001, 1e-8);
+    assertClose(smaller.real, 1, 1e-8);
+    
+    const [pairLarger, pairSmaller] = findPolynomialRoots([1, 1.9999999, -2.75000025, 0.75000015]);
+    assert.notEqual(pairLarger.real, pairSmaller.real);
+    assertClose(pairLarger.real, 0.5000001, 1e-8);
+    assertClose(pairSmaller.real, 0.5, 1e-8);
+    
+    assertRoots([1, -0.2, 0.01], [0.1, 0.1]);
+    assertRoots([1, 2.8, -0.59, 0.03], [0.1, 0.1, -3]);
+});
+
+test('Quartic: real, biquadratic and fully complex roots', () => {
+    assertRoots([1, -10, 35, -50, 24], [4, 3, 2, 1]);
+    assertRoots([2, -3, -11, 3, 9], [3, 1, -1, -1.5]);
+    assertRoots([1, 0, -5, 0, 4], [2, 1, -1, -2]);
+    assertRoots([1, 0, 0, 0, -1], [1, -1, [0, 1], [0, -1]]);
+    
+    const h = Math.SQRT1_2;
+    assertRoots([1, 0, 0, 0, 1], [[h, h], [h, -h], [-h, h], [-h, -h]]);
+});
+
+test('Every root satisfies its polynomial', () => {
+    const coefficients = [3, -2, 7, 1, -5];
+    findPolynomialRoots(coefficients).forEach(root => {
+        const value = coefficients.reduce((sum, c) => sum.multiply(root).add(c), new Complex(0, 0));
+        assert.ok(value.magnitude() < 1e-9);
+    });
+});
+
+test('Polynomial equations need a leading coefficient and a degree of 1 to 4', () => {
+    assert.throws(() => findPolynomialRoots([0, 2, 5]), MathError);
+    assert.throws(() => findPolynomialRoots([1, 0, 0, 0, 0, 1]), DimensionError);
+    assertRoots([3, -2], [2 / 3]);
+});
+
+test('Quadratic vertex: a minimum for a > 0, a maximum for a < 0', () => {
+    assert.deepEqual(quadraticExtremum(1, -3, 2), { x: 1.5, y: -0.25, minimum: true });
+    assert.deepEqual(quadraticExtremum(-2, 4, 1), { x: 1, y: 3, minimum: false });
+});
+
+/**
+ * Intervals as text: (-Infinity, 1) [2, 3]
+ */
+function intervals(coefficients, operator) {
+    return solvePolynomialInequality(coefficients, operator)
+        .map(({ from, to, includeFrom, includeTo }) => `${includeFrom ? '[' : '('}${from}, ${to}${includeTo ? ']' : ')'}`)
+        .join(' ');
+}
+
+test('Inequalities: the four operators on X²−3X+2', () => {
+    assert.equal(intervals([1, -3, 2], '>'), '(-Infinity, 1) (2, Infinity)');
+    assert.equal(intervals([1, -3, 2], '<'), '(1, 2)');
+    assert.equal(intervals([1, -3, 2], '≥'), '(-Infinity, 1] [2, Infinity)');
+    assert.equal(intervals([1, -3, 2], '≤'), '[1, 2]');
+});
+
+test('Inequalities: all real numbers, no solution and a single point', () => {
+    assert.equal(intervals([1, 2, 5], '>'), '(-Infinity, Infinity)');
+    assert.equal(intervals([1, 2, 5], '≤'), '');
+    assert.equal(intervals([1, -2, 1], '≥'), '(-Infinity, Infinity)');
+    assert.equal(intervals([1, -2, 1], '<'), '');
+    assert.equal(intervals([1, -2, 1], '≤'), '[1, 1]');
+    assert.equal(intervals([1, -2, 1], '>'), '(-Infinity, 1) (1, Infinity)');
+});
+
+test('Inequalities: cubic and quartic, repeated roots keep the sign', () => {
+    assert.equal(intervals([1, 0, -5, 0, 4], '<'), '(-2, -1) (1, 2)');
+    assert.equal(intervals([-1, 0, 5, 0, -4], '≥'), '[-2, -1] [1, 2]');
+    assert.equal(intervals([1, -2, 1, 0], '>'), '(0, 1) (1, Infinity)');
+    assert.equal(intervals([1, -2, 1, 0], '≤'), '(-Infinity, 0] [1, 1]');
+    
+    const [first, second] = solvePolynomialInequality([1, -6, 11, -6], '<');
+    assert.equal(first.from, -Infinity);
+    assertClose(first.to, 1, 1e-12);
+    assert.deepEqual([second.from, second.to], [2, 3]);
+});
+
+test('Inequalities need a known operator and a leading coefficient', () => {
+    assert.throws(() => solvePolynomialInequality([1, 0, -1], '='), ArgumentError);
+    assert.throws(() => solvePolynomialInequality([0, 1, -1], '>'), MathError);
+});
@@ -0,0 +1,58 @@
+/**
+ * Exact Forms (Surd / π) Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exactFormToString, findExactForm } from '../../src/mathEngine/exactForm.js';
+import { evaluateExpression } from '../../src/evaluator.js';
+
+// [value, expected linear form]
+
+const EXACT_FORM_TABLE = [
+    [Math.sqrt(8), '2√2'],
+    [Math.sqrt(12), '2√3'],
+    [Math.sqrt(3) / 2, '√3/2'],
+    [-Math.sqrt(2) / 2, '-√2/2'],
+    [Math.sqrt(2) / Math.sqrt(3), '√6/3'],
+    [3 * Math.sqrt(5) / 7, '3√5/7'],
+    [Math.PI / 2, 'π/2'],
+    [2 * Math.PI / 3, '2π/3'],
+    [-Math.PI / 6, '-π/6'],
+    [Math.PI, 'π'],
+    [0.49999999999999994, '1/2']
+];
+
+EXACT_FORM_TABLE.forEach(([value, expected]) => {
+    test(`Exact form: ${value} = ${expected}`, () => {
+        const form = findExactForm(value);
+        assert.ok(form, 'No exact form found');
+        assert.equal(exactFormToString(form), expected);
+    });
+});
+
+test('Exact form: sin⁻¹(1) in RAD is π/2', () => {
+    const value = evaluateExpression('sin⁻¹(1)', { angleUnit: 'RAD' });
+    assert.equal(exactFormToString(findExactForm(value)), 'π/2');
+});
+
+test('Exact form: cos(30°) is √3/2', () => {
+    const value = evaluateExpression('cos(30)', { angleUnit: 'DEG' });
+    assert.equal(exactFormToString(findExactForm(value)), '√3/2');
+});
+
+test('Exact form: ln(2) and √12+1 have none', () => {
+    assert.equal(findExactForm(Math.LN2), null);
+    assert.equal(findExactForm(Math.sqrt(12) + 1), null);
+});
+
+test('Exact form: radicand beyond device limit is rejected', () => {
+    assert.equal(findExactForm(Math.sqrt(1009)), null);
+});
+
+test('Exact form: values too large for any form return at once', () => {
+    assert.equal(findExactForm(Math.PI * 1e6), null);
+    assert.equal(findExactForm(Math.tan(Math.PI / 2)), null);
+    assert.equal(findExactForm(1e300), null);
+    assert.equal(exactFormToString(findExactForm(99 * Math.sqrt(998))), '99√998');
+});
@@ -0,0 +1,30 @@
+/**
+ * Fractions Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Fraction } from '../../src/mathEngine/fraction.js';
+
+test('Fraction: reduces to lowest terms with sign on numerator', () => {
+    const f = new Fraction(6n, -8n);
+    assert.equal(f.toString(), '-3/4');
+});
+
+test('Fraction: 1/3 + 1/6 = 1/2', () => {
+    const result = new Fraction(1n, 3n).add(new Fraction(1n, 6n));
+    assert.equal(result.toString(), '1/2');
+});
+
+test('Fraction: from decimal string 0.125 = 1/8', () => {
+    assert.equal(Fraction.fromString('0.125').toString(), '1/8');
+});
+
+test('Fraction: (2/3)^-2 = 9/4', () => {
+    assert.equal(new Fraction(2n, 3n).pow(-2).toString(), '9/4');
+});
+
+test('Fraction: display limit is 10 digits', () => {
+    assert.ok(new Fraction(12345n, 67891n).fitsDisplay());
+    assert.ok(!new Fraction(123456n, 789011n).fitsDisplay());
+});
@@ -0,0 +1,62 @@
+/**
+ * Function Table Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from '../helpers.js';
+import { TABLE_ROW_LIMITS, tableXValues, evaluateTableCell, generateTable } from '../../src/mathEngine/functionTable.js';
+import { CalculatorError, CalcSyntaxError, MathError } from '../../src/errors.js';
+
+test('X runs from Start to End by Step, End included', () => {
+    assert.deepEqual(tableXValues(1, 5, 1), [1, 2, 3, 4, 5]);
+    assert.deepEqual(tableXValues(0, 1, 0.25), [0, 0.25, 0.5, 0.75, 1]);
+    assert.deepEqual(tableXValues(0, 0.3, 0.1), [0, 0.1, 0.2, 0.3]);
+    assert.deepEqual(tableXValues(3, 1, -1), [3, 2, 1]);
+    assert.deepEqual(tableXValues(1, 2.5, 1), [1, 2]);
+});
+
+test('A Step that never reaches End is a Math ERROR', () => {
+    assert.throws(() => tableXValues(1, 5, 0), MathError);
+    assert.throws(() => tableXValues(5, 1, 1), MathError);
+});
+
+test('More rows than the device holds is Insufficient MEM', () => {
+    assert.equal(tableXValues(1, 30, 1).length, TABLE_ROW_LIMITS.single);
+    assert.throws(() => tableXValues(1, 31, 1), error =>
+        error instanceof CalculatorError && error.screen === 'Insufficient MEM');
+    
+    assert.equal(generateTable({ f: 'X', g: '2X', start: 1, end: 20, step: 1 }).rows.length, 20);
+    assert.throws(() => generateTable({ f: 'X', g: '2X', start: 1, end: 21, step: 1 }), error =>
+        error.screen === 'Insufficient MEM');
+});
+
+test('f(X) alone, or f(X) and g(X)', () => {
+    const single = generateTable({ f: 'X^2', start: 1, end: 3, step: 1 });
+    assert.deepEqual(single.headers, ['X', 'f(X)']);
+    assert.deepEqual(single.rows, [[1, 1], [2, 4], [3, 9]]);
+    
+    const double = generateTable({ f: 'X^2', g: '2X+1', start: -1, end: 1, step: 1 });
+    assert.deepEqual(double.headers, ['X', 'f(X)', 'g(X)']);
+    assert.deepEqual(double.rows, [[-1, 1, -1], [0, 0, 1], [1, 1, 3]]);
+});
+
+test('A cell with no value is null; the rest of the table is still filled', () => {
+    const { rows } = generateTable({ f: '1÷X', g: '√(X)', start: -1, end: 1, step: 1 });
+    assert.deepEqual(rows, [[-1, -1, null], [0, null, 0], [1, 1, 1]]);
+    assert.equal(evaluateTableCell('ln(X)', 0), null);
+});
+
+test('X is bound for the table without touching memory X; other memories and the angle unit apply', () => {
+    const context = { angleUnit: 'DEG', memory: { X: 100, A: 2 } };
+    const { rows } = generateTable({ f: 'sin(X)', g: 'AX', start: 0, end: 90, step: 30 }, context);
+    
+    assertClose(rows[1][1], 0.5, 1e-12);
+    assert.equal(rows[3][2], 180);
+    assert.equal(context.memory.X, 100);
+});
+
+test('A mistyped function is a Syntax ERROR for the table', () => {
+    assert.throws(() => generateTable({ f: 'X+', start: 1, end: 2, step: 1 }), CalcSyntaxError);
+    assert.throws(() => generateTable({ f: 'X', g: '(', start: 1, end: 2, step: 1 }), CalcSyntaxError);
+});
@@ -0,0 +1,117 @@
+/**
+ * Graphing Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from '../helpers.js';
+import {
+    DEFAULT_VIEW,
+    graphFunction,
+    sampleCurve,
+    findGraphFeatures,
+    panView,
+    zoomView,
+    viewTransform
+} from '../../src/mathEngine/graph.js';
+import { CalcSyntaxError } from '../../src/errors.js';
+
+/**
+ * Features as [kind, x, y] with the numbers rounded, to compare at a glance
+ */
+function summary(features) {
+    return features.map(({ kind, x, y }) => [kind, Number(x.toFixed(6)), Number(y.toFixed(6))]);
+}
+
+test('An expression in X evaluates as a function, NaN where it has no value', () => {
+    const f = graphFunction('X^2-2');
+    assert.equal(f(3), 7);
+    
+    const g = graphFunction('√(X)');
+    assertClose(g(4), 2);
+    assert.ok(Number.isNaN(g(-1)));
+    assert.ok(Number.isNaN(graphFunction('1÷X')(0)));
+    
+    assert.equal(graphFunction('sin(X)', { angleUnit: 'DEG' })(90), 1);
+    assertClose(graphFunction('sin(X)', { angleUnit: 'RAD' })(Math.PI / 2), 1);
+});
+
+test('A mistyped expression is a Syntax ERROR when plotted', () => {
+    assert.throws(() => graphFunction('X+'), CalcSyntaxError);
+});
+
+test('Curves break at poles and where they have no value', () => {
+    const continuous = sampleCurve(graphFunction('X^2'), -10, 10, 100);
+    assert.equal(continuous.length, 1);
+    assert.equal(continuous[0].length, 101);
+    
+    const hyperbola = sampleCurve(graphFunction('1÷X'), -10, 10, 100);
+    assert.equal(hyperbola.length, 2);
+    assert.ok(hyperbola[0].every(({ x }) => x < 0));
+    assert.ok(hyperbola[1].every(({ x }) => x > 0));
+    
+    // Poles between samples: no segment joins the two sides of an asymptote
+    const tangent = sampleCurve(graphFunction('tan(X)', { angleUnit: 'RAD' }), -10, 10, 400);
+    assert.equal(tangent.length, 7);
+    
+    const root = sampleCurve(graphFunction('√(X)'), -10, 10, 100);
+    assert.equal(root.length, 1);
+    assert.equal(root[0][0].x, 0);
+});
+
+test('Roots and extrema of one curve', () => {
+    assert.deepEqual(summary(findGraphFeatures([graphFunction('X^2-2')], -10, 10)), [
+        ['root', -1.414214, 0],
+        ['minimum', 0, -2],
+        ['root', 1.414214, 0]
+    ]);
+    
+    assert.deepEqual(summary(findGraphFeatures([graphFunction('X^3-3X')], -10, 10)), [
+        ['root', -1.732051, 0],
+        ['maximum', -1, 2],
+        ['root', 0, 0],
+        ['minimum', 1, -2],
+        ['root', 1.732051, 0]
+    ]);
+});
+
+test('A curve touching the axis has a root there', () => {
+    const features = findGraphFeatures([graphFunction('X^2')], -10, 10);
+    assert.deepEqual(features.map(({ kind, curves }) => [kind, [...curves]]), [['root', [0]], ['minimum', [0]]]);
+});
+
+test('Intersections name both curves', () => {
+    const features = findGraphFeatures([graphFunction('X^2'), graphFunction('X+2')], -10, 10)
+        .filter(({ kind }) => kind === 'intersection');
+    
+    assert.deepEqual(summary(features), [['intersection', -1, 1], ['intersection', 2, 4]]);
+    assert.deepEqual(features[0].curves, [0, 1]);
+});
+
+test('A pole is neither a root nor an extremum', () => {
+    assert.deepEqual(findGraphFeatures([graphFunction('1÷X')], -10, 10), []);
+    
+    const roots = findGraphFeatures([graphFunction('tan(X)', { angleUnit: 'RAD' })], -4, 4)
+        .filter(({ kind }) => kind === 'root');
+    assert.equal(roots.length, 3);
+    roots.forEach((feature, i) => assertClose(feature.x, (i - 1) * Math.PI, 1e-9));
+});
+
+test('Features are only looked for in the view', () => {
+    assert.deepEqual(summary(findGraphFeatures([graphFunction('X^2-2')], 1, 10)), [['root', 1.414214, 0]]);
+});
+
+test('Panning moves the view by fractions of its size; zooming scales it about a point', () => {
+    assert.deepEqual(panView(DEFAULT_VIEW, 0.1, -0.5), { xMin: -8, xMax: 12, yMin: -20, yMax: 0 });
+    assert.deepEqual(zoomView(DEFAULT_VIEW, 0.5), { xMin: -5, xMax: 5, yMin: -5, yMax: 5 });
+    assert.deepEqual(zoomView(DEFAULT_VIEW, 0.5, { x: 10, y: 0 }), { xMin: 0, xMax: 10, yMin: -5, yMax: 5 });
+    assert.deepEqual(zoomView(DEFAULT_VIEW, 2), { xMin: -20, xMax: 20, yMin: -20, yMax: 20 });
+});
+
+test('Graph coordinates convert to pixels and back', () => {
+    const { toScreen, toGraph } = viewTransform(DEFAULT_VIEW, 400, 200);
+    assert.deepEqual(toScreen(0, 0), { px: 200, py: 100 });
+    assert.deepEqual(toScreen(-10, 10), { px: 0, py: 0 });
+    assert.deepEqual(toScreen(10, -10), { px: 400, py: 200 });
+    assert.deepEqual(toGraph(300, 50), { x: 5, y: 5 });
+});
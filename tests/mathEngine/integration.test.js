@@ -0,0 +1,41 @@
+/**
+ * Integration Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from '../helpers.js';
+import { integrate, detectDiscontinuities } from '../../src/mathEngine/integration.js';
+import { evaluateExpression } from '../../src/evaluator.js';
+
+test('Integration: ∫₀¹ x² dx = 1/3', () => {
+    const result = integrate(x => x * x, 0, 1);
+    assertClose(result, 1/3, 1e-6);
+});
+
+test('Integration: ∫₀^(π/2) cos(x) dx = 1', () => {
+    const result = integrate(x => Math.cos(x), 0, Math.PI / 2);
+    assertClose(result, 1, 1e-6);
+});
+
+test('∫(X^2,0,1) = 1/3 with X as the bound variable', () => {
+    const memory = { X: 7 };
+    assertClose(evaluateExpression('∫(X^2,0,1)', { memory }), 1/3, 1e-10);
+    assert.equal(memory.X, 7);
+});
+
+test('∫ follows the angle unit and reversed bounds negate', () => {
+    assertClose(evaluateExpression('∫(sin(X),0,π)', { angleUnit: 'RAD' }), 2, 1e-9);
+    assertClose(evaluateExpression('1+2∫(X,1,0)', { memory: {} }), 0, 1e-12);
+});
+
+test('detectDiscontinuities flags undefined samples and poles between samples', () => {
+    assert.deepEqual(detectDiscontinuities(x => x * x, -1, 1, 10), []);
+    assert.deepEqual(detectDiscontinuities(x => 1 / x, -1, 1, 10), [0]);
+    
+    // tan's poles fall between samples; its roots change sign too but are not flagged
+    const poles = detectDiscontinuities(Math.tan, 0, 5, 10);
+    assert.equal(poles.length, 2);
+    assertClose(poles[0], Math.PI / 2, 1e-6);
+    assertClose(poles[1], 3 * Math.PI / 2, 1e-6);
+});
@@ -0,0 +1,23 @@
+/**
+ * Matrices Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Matrix } from '../../src/mathEngine/matrix.js';
+
+test('Matrix determinant: det([[1,2],[3,4]]) = -2', () => {
+    const m = Matrix.from([[1, 2], [3, 4]]);
+    const det = m.determinant();
+    assert.equal(det, -2);
+});
+
+test('Matrix multiplication', () => {
+    const a = Matrix.from([[1, 2], [3, 4]]);
+    const b = Matrix.from([[2, 0], [1, 2]]);
+    const result = a.multiply(b);
+    assert.equal(result.get(0, 0), 4);
+    assert.equal(result.get(0, 1), 4);
+    assert.equal(result.get(1, 0), 10);
+    assert.equal(result.get(1, 1), 8);
+});
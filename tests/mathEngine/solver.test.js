@@ -0,0 +1,67 @@
+/**
+ * Solver Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from '../helpers.js';
+import { solve, brent, findAllRoots } from '../../src/mathEngine/solver.js';
+import { getStateContext } from '../../src/evaluator.js';
+import { integrate } from '../../src/mathEngine/integration.js';
+
+test('Solve x² - 4 = 0, near x=2', () => {
+    const result = solve('x*x-4', 'x', 2);
+    assertClose(result, 2, 1e-6);
+});
+
+test('solve() binds its variable without touching calculator memory', () => {
+    const memory = { X: 5 };
+    const context = { memory };
+    
+    const root = solve('X^2-9', 'X', 1, { method: 'newton', context });
+    
+    assertClose(root, 3, 1e-6);
+    assert.ok(context.memory === memory, 'memory object was replaced');
+    assert.equal(memory.X, 5);
+});
+
+test('integrate inside solve does not leak either bound variable', () => {
+    const memory = { A: 7, X: 5 };
+    const context = { memory };
+    
+    // ∫₀¹ AX dX = A/2, so A = 4; the integral's X and solve's A stay local
+    const root = solve('∫(AX,0,1)-2', 'A', 1, { method: 'newton', context });
+    const area = integrate('X×A', 0, 2, { variable: 'X', context });
+    
+    assertClose(root, 4, 1e-6);
+    assertClose(area, 14, 1e-9);
+    assert.equal(memory.A, 7);
+    assert.equal(memory.X, 5);
+});
+
+test('brent keeps the root bracketed', () => {
+    assertClose(brent(x => x * x - 2, 1, 2), Math.SQRT2, 1e-9);
+    assertClose(brent(x => x * x * x - 3 * x, 1.5, 10), Math.sqrt(3), 1e-9);
+    assert.throws(() => brent(x => Math.sqrt(x) - 1, -1, 4), /defined at bounds/);
+});
+
+test('solve() with Brent\'s method returns the bracketed root', () => {
+    const context = { angleUnit: 'RAD' };
+    const cases = [
+        ['cos(X)-X', 0.7390851332],
+        ['X^3-2X-5', 2.0945514815],
+        ['e^(X)-3', Math.log(3)],
+        ['tan⁻¹(X)-1', Math.tan(1)],
+        ['∛(X-8)', 8],
+        ['X^3-2X+2', -1.769292354]
+    ];
+    
+    cases.forEach(([expression, root]) => {
+        assertClose(solve(expression, 'X', 0, { method: 'brent', tolerance: 1e-10, context }), root, 1e-8);
+    });
+});
+
+test('findAllRoots finds each sign change in the interval', () => {
+    const roots = findAllRoots(x => x * x * x - 3 * x, -10, 10, { divisions: 100, tolerance: 1e-10 });
+    assert.deepEqual(roots.map(root => Number(root.toFixed(6))).sort((a, b) => a - b), [-1.732051, 0, 1.732051]);
+});
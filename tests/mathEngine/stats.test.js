@@ -0,0 +1,19 @@
+/**
+ * Statistics Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Statistics } from '../../src/mathEngine/stats.js';
+
+test('Mean of [2,4,6,8] = 5', () => {
+    const stats = new Statistics();
+    stats.setData([2, 4, 6, 8]);
+    assert.equal(stats.mean(), 5);
+});
+
+test('Median of [1,2,3,4,5] = 3', () => {
+    const stats = new Statistics();
+    stats.setData([1, 2, 3, 4, 5]);
+    assert.equal(stats.median(), 3);
+});
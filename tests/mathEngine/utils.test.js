@@ -0,0 +1,33 @@
+/**
+ * Math Utilities Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MathUtils } from '../../src/mathEngine/utils.js';
+
+// ===========================
+// Factorial
+// ===========================
+test('5! = 120', () => {
+    const result = MathUtils.factorial(5);
+    assert.equal(result, 120);
+});
+
+test('0! = 1', () => {
+    const result = MathUtils.factorial(0);
+    assert.equal(result, 1);
+});
+
+// ===========================
+// Permutation and Combination
+// ===========================
+test('P(5,2) = 20', () => {
+    const result = MathUtils.permutation(5, 2);
+    assert.equal(result, 20);
+});
+
+test('C(5,2) = 10', () => {
+    const result = MathUtils.combination(5, 2);
+    assert.equal(result, 10);
+});
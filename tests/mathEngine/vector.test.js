@@ -0,0 +1,72 @@
+/**
+ * Vectors Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from '../helpers.js';
+import { Vector } from '../../src/mathEngine/vector.js';
+import { Matrix } from '../../src/mathEngine/matrix.js';
+import { MathError, DimensionError } from '../../src/errors.js';
+
+test('Vectors have 2 or 3 components', () => {
+    assert.equal(Vector.from([1, 2]).dimension, 2);
+    assert.equal(Vector.from([1, 2, 3]).dimension, 3);
+    assert.throws(() => Vector.from([1]), DimensionError);
+    assert.throws(() => Vector.from([1, 2, 3, 4]), DimensionError);
+});
+
+test('Vectors convert to and from row or column matrices', () => {
+    const v = Vector.from([1, 2, 3]);
+    
+    assert.deepEqual(v.toMatrix().toArray(), [[1, 2, 3]]);
+    assert.deepEqual(Vector.fromMatrix(Matrix.from([[4], [5]])).toArray(), [4, 5]);
+    assert.throws(() => Vector.fromMatrix(Matrix.identity(2)), DimensionError);
+});
+
+test('Vector addition, subtraction, scaling and division', () => {
+    const a = Vector.from([1, 2, 3]);
+    const b = Vector.from([4, 5, 6]);
+    
+    assert.deepEqual(a.add(b).toArray(), [5, 7, 9]);
+    assert.deepEqual(a.subtract(b).toArray(), [-3, -3, -3]);
+    assert.deepEqual(a.scale(2).toArray(), [2, 4, 6]);
+    assert.deepEqual(a.negate().toArray(), [-1, -2, -3]);
+    assert.deepEqual(a.divide(2).toArray(), [0.5, 1, 1.5]);
+    assert.throws(() => a.divide(0), MathError);
+    assert.throws(() => a.add(Vector.from([1, 2])), DimensionError);
+});
+
+test('Dot product: [1,2,3]•[4,5,6] = 32', () => {
+    assert.equal(Vector.from([1, 2, 3]).dot(Vector.from([4, 5, 6])), 32);
+    assert.equal(Vector.from([1, 0]).dot(Vector.from([0, 1])), 0);
+});
+
+test('Cross product: [1,2,3]×[4,5,6] = [-3,6,-3]', () => {
+    assert.deepEqual(Vector.from([1, 2, 3]).cross(Vector.from([4, 5, 6])).toArray(), [-3, 6, -3]);
+    assert.deepEqual(Vector.from([1, 0, 0]).cross(Vector.from([0, 1, 0])).toArray(), [0, 0, 1]);
+});
+
+test('Cross product of 2D vectors lies on the z axis', () => {
+    assert.deepEqual(Vector.from([1, 2]).cross(Vector.from([3, 4])).toArray(), [0, 0, -2]);
+});
+
+test('Magnitude and unit vector', () => {
+    const v = Vector.from([3, 4]);
+    
+    assert.equal(v.magnitude(), 5);
+    assert.deepEqual(v.unit().toArray(), [0.6, 0.8]);
+    assertClose(Vector.from([1, 2, 2]).unit().magnitude(), 1, 1e-15);
+    assert.throws(() => Vector.from([0, 0]).unit(), MathError);
+});
+
+test('Angle between vectors in radians', () => {
+    assertClose(Vector.from([1, 0]).angle(Vector.from([0, 1])), Math.PI / 2, 1e-15);
+    assertClose(Vector.from([1, 1]).angle(Vector.from([-1, -1])), Math.PI, 1e-15);
+    assert.equal(Vector.from([2, 2, 2]).angle(Vector.from([1, 1, 1])), 0);
+    assert.throws(() => Vector.from([0, 0]).angle(Vector.from([1, 0])), MathError);
+});
+
+test('Vector toString', () => {
+    assert.equal(Vector.from([1, -2, 0.5]).toString(), '[1, -2, 0.5]');
+});
@@ -0,0 +1,97 @@
+/**
+ * Number Format Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from './helpers.js';
+import { displayFormatLabel, formatEngineering, formatNumber, isEngineeringShiftValid, normalizeDisplayFormat } from '../src/numberFormat.js';
+import { evaluateExpression } from '../src/evaluator.js';
+
+// [value, format, expected]
+
+const NUMBER_FORMAT_TABLE = [
+    [1 / 3, { mode: 'NORM', digits: 1 }, '0.3333333333'],
+    [0.05, { mode: 'NORM', digits: 1 }, '0.05'],
+    [0.005, { mode: 'NORM', digits: 1 }, '5×10⁻³'],
+    [0.005, { mode: 'NORM', digits: 2 }, '0.005'],
+    [1e-10, { mode: 'NORM', digits: 2 }, '1×10⁻¹⁰'],
+    [1234567890, { mode: 'NORM', digits: 1 }, '1234567890'],
+    [12345678901, { mode: 'NORM', digits: 1 }, '1.23456789×10¹⁰'],
+    [0, { mode: 'NORM', digits: 1 }, '0'],
+    [1 / 3, { mode: 'FIX', digits: 3 }, '0.333'],
+    [2, { mode: 'FIX', digits: 2 }, '2.00'],
+    [2.5, { mode: 'FIX', digits: 0 }, '3'],
+    [-0.001, { mode: 'FIX', digits: 2 }, '0.00'],
+    [1 / 3, { mode: 'SCI', digits: 3 }, '3.33×10⁻¹'],
+    [123456, { mode: 'SCI', digits: 4 }, '1.235×10⁵'],
+    [-0.00042, { mode: 'SCI', digits: 2 }, '-4.2×10⁻⁴']
+];
+
+NUMBER_FORMAT_TABLE.forEach(([value, format, expected]) => {
+    test(`Format: ${value} in ${displayFormatLabel(format)} = ${expected}`, () => {
+        assert.equal(formatNumber(value, format), expected);
+    });
+});
+
+test('Format: ENG uses exponents in steps of three', () => {
+    assert.equal(formatEngineering(1234), '1.234×10³');
+    assert.equal(formatEngineering(0.00047), '470×10⁻⁶');
+    assert.equal(formatEngineering(-56789000), '-56.789×10⁶');
+});
+
+test('Format: ENG and ←ENG shift the exponent', () => {
+    assert.equal(formatEngineering(1234, 1), '1234×10⁰');
+    assert.equal(formatEngineering(1234, 2), '1234000×10⁻³');
+    assert.equal(formatEngineering(1234, -1), '0.001234×10⁶');
+});
+
+test('Format: ENG stops at the display digit limit', () => {
+    assert.ok(isEngineeringShiftValid(1234, 3));
+    assert.ok(!isEngineeringShiftValid(1234, 4));
+    assert.ok(!isEngineeringShiftValid(1234, -4));
+});
+
+test('Format: engineering symbols replace ×10ⁿ', () => {
+    assert.equal(formatEngineering(4700, 0, true), '4.7k');
+    assert.equal(formatEngineering(0.0000022, 0, true), '2.2µ');
+    assert.equal(formatEngineering(-3.3e9, 0, true), '-3.3G');
+    assert.equal(formatEngineering(12, 0, true), '12');
+    assert.equal(formatEngineering(1e21, 0, true), '1×10²¹');
+});
+
+test('Engineering symbols as number suffixes', () => {
+    const context = { engSymbols: true };
+    assertClose(evaluateExpression('4.7k×2m', context), 9.4);
+    assertClose(evaluateExpression('1÷(2π×50×10µ)', context), 318.3098862, 1e-6);
+    assertClose(evaluateExpression('2M+1', context), 2000001);
+    assert.equal(evaluateExpression('2nPr(5,2)', context), 40);
+});
+
+test('Engineering symbols: M straight after a number is mega, memory M otherwise', () => {
+    const context = { engSymbols: true, memory: { M: 3 } };
+    
+    assert.equal(evaluateExpression('3M', context), 3000000);
+    assert.equal(evaluateExpression('3M×M', context), 9000000);
+    assert.equal(evaluateExpression('3×M', context), 9);
+    assert.equal(evaluateExpression('3 M', context), 9);
+    assert.equal(evaluateExpression('(3)M', context), 9);
+    assert.equal(evaluateExpression('M+1', context), 4);
+});
+
+test('Engineering suffixes stay exact', () => {
+    const result = evaluateExpression('1.5k÷9', { engSymbols: true, exact: true });
+    assert.equal(result.toString(), '500/3');
+});
+
+test('Engineering symbols are variables unless enabled', () => {
+    const result = evaluateExpression('2M', { memory: { M: 3 } });
+    assert.equal(result, 6);
+});
+
+test('Format: invalid display formats are rejected', () => {
+    assert.equal(normalizeDisplayFormat({ mode: 'FIX', digits: 10 }), null);
+    assert.equal(normalizeDisplayFormat({ mode: 'SCI', digits: 0 }), null);
+    assert.equal(normalizeDisplayFormat({ mode: 'ENG', digits: 1 }), null);
+    assert.equal(normalizeDisplayFormat({ mode: 'fix', digits: '4' }).mode, 'FIX');
+});
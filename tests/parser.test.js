@@ -0,0 +1,122 @@
+/**
+ * Parser Tests
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose } from './helpers.js';
+import { NodeType, parse, tryParse } from '../src/parser.js';
+import { evaluateExpression } from '../src/evaluator.js';
+
+// ===========================
+// Parser (AST)
+// ===========================
+test('Parser: 2+3×4 builds nested Binary nodes', () => {
+    const ast = parse('2+3×4');
+    assert.equal(ast.type, NodeType.BINARY);
+    assert.equal(ast.operator, '+');
+    assert.equal(ast.right.type, NodeType.BINARY);
+    assert.equal(ast.right.operator, '×');
+});
+
+test('Parser: nodes carry source spans', () => {
+    const ast = parse('sin(30)+1');
+    assert.equal(ast.span.start, 0);
+    assert.equal(ast.span.end, 9);
+    assert.equal(ast.left.type, NodeType.CALL);
+    assert.equal(ast.left.span.end, 7);
+    assert.equal(ast.right.span.start, 8);
+});
+
+test('Parser: sin⁻¹ and sinh are not split into sin', () => {
+    assert.equal(parse('sin⁻¹(1)').name, 'sin⁻¹');
+    assert.equal(parse('sinh(1)').name, 'sinh');
+});
+
+test('Parser: missing closing parenthesis is allowed at end', () => {
+    const result = evaluateExpression('(2+3');
+    assert.equal(result, 5);
+});
+
+test('Parser: extra closing parenthesis reports its position', () => {
+    try {
+        parse('2+3)');
+        throw new Error('Should have thrown error');
+    } catch (error) {
+        assert.ok(error.message.includes('Mismatched parentheses'));
+        assert.equal(error.position, 3);
+    }
+});
+
+test('Parser: tolerant mode fills missing operands', () => {
+    const ast = tryParse('2+');
+    assert.equal(ast.right.type, NodeType.EMPTY);
+});
+
+// ===========================
+// Implicit Multiplication & Precedence
+// ===========================
+// [expression, expected, rule] evaluated in DEG with A=2, B=3, E=5, Ans=4
+
+const PRECEDENCE_TABLE = [
+    ['2π', 2 * Math.PI, 'number before constant'],
+    ['3sin(30)', 1.5, 'number before function'],
+    ['(1+2)(3+4)', 21, 'group before group'],
+    ['2(3+4)', 14, 'number before group'],
+    ['(3+4)2', 14, 'group before number'],
+    ['2Ans', 8, 'number before Ans'],
+    ['AB', 6, 'variable before variable'],
+    ['2AB', 12, 'chained implicit products'],
+    ['E', 5, 'E is a memory register, not e'],
+    ['1÷2π', 1 / (2 * Math.PI), 'implicit × binds tighter than ÷'],
+    ['6÷2(1+2)', 1, 'implicit × binds tighter than ÷'],
+    ['6÷2×(1+2)', 9, 'explicit × and ÷ are left-associative'],
+    ['2π÷4', Math.PI / 2, 'implicit product as dividend'],
+    ['-2^2', -4, 'prefix minus binds looser than ^'],
+    ['(-2)^2', 4, 'parentheses override prefix minus'],
+    ['2^-1', 0.5, 'prefix minus allowed in exponent'],
+    ['-2π', -2 * Math.PI, 'prefix minus binds tighter than implicit ×'],
+    ['2×-3', -6, 'prefix minus after operator'],
+    ['-3!', -6, 'factorial binds tighter than prefix minus'],
+    ['-50%', -0.5, 'percent binds tighter than prefix minus'],
+    ['-2²', -4, 'postfix ² binds tighter than prefix minus'],
+    ['2^3²', 512, 'postfix ² binds tighter than ^'],
+    ['A²+B³', 31, 'postfix powers of variables'],
+    ['(1+2)²', 9, 'postfix ² of a group'],
+    ['2^50%', Math.SQRT2, 'percent binds tighter than ^'],
+    ['2π^2', 2 * Math.PI * Math.PI, '^ binds tighter than implicit ×'],
+    ['1/2π', Math.PI / 2, 'fraction binds tighter than implicit ×'],
+    ['10nPr4', 5040, 'nPr between its operands'],
+    ['10nPr(2+2)', 5040, 'nPr before a bracket is still between operands'],
+    ['2(5)nCr2', 45, 'implicit × binds tighter than nCr'],
+    ['10nPr4÷2', 2520, 'nPr binds tighter than ÷'],
+    ['2+5nCr2', 12, 'nCr binds tighter than +'],
+    ['2^3^2', 512, '^ is right-associative'],
+    ['10-2-3', 5, '− is left-associative']
+];
+
+PRECEDENCE_TABLE.forEach(([expression, expected, rule]) => {
+    test(`Precedence: ${expression} (${rule})`, () => {
+        const result = evaluateExpression(expression, {
+            angleUnit: 'DEG',
+            memory: { A: 2, B: 3, E: 5 },
+            lastAns: 4
+        });
+        assertClose(result, expected, 1e-9);
+    });
+});
+
+test('Precedence: 1÷2π parses as 1÷(2π)', () => {
+    const ast = parse('1÷2π');
+    assert.equal(ast.operator, '÷');
+    assert.equal(ast.right.implicit, true);
+});
+
+test('Precedence: adjacent bare numbers are rejected', () => {
+    try {
+        parse('2 3');
+        throw new Error('Should have thrown error');
+    } catch (error) {
+        assert.ok(error.message.includes('Unexpected token'));
+    }
+});
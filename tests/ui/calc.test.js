@@ -0,0 +1,144 @@
+/**
+ * CALC and SOLVE Tests (jsdom)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose, loadPage } from '../helpers.js';
+import { pressKeys, displayLine } from '../keystrokes.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+// ===========================
+// CALC
+// ===========================
+test('CALC: prompts for each variable, then evaluates', () => {
+    const { CalcManager, memoryManager, Fraction } = page;
+    const calc = new CalcManager();
+    
+    memoryManager.store('B', 7);
+    calc.start('A×B+1');
+    assert.equal(calc.getPrompt().variable, 'A');
+    assert.equal(calc.submit('2+1'), false);
+    assert.equal(calc.getPrompt().value, 7);
+    assert.equal(calc.submit(''), true);
+    assert.equal(Fraction.toNumber(calc.evaluate()), 22);
+    assert.ok(!calc.isPrompting());
+});
+
+test('CALC: assignment stores into its target', () => {
+    const { CalcManager, Fraction } = page;
+    const memory = page.calculatorState.memory;
+    const calc = new CalcManager();
+    
+    calc.start('Y=X^2+1');
+    assert.equal(calc.variables.join(','), 'X');
+    calc.submit('3');
+    assert.equal(Fraction.toNumber(calc.evaluate()), 10);
+    assert.equal(memory.Y, 10);
+    
+    // CALC again reuses the formula
+    calc.start(calc.expression);
+    calc.submit('4');
+    calc.evaluate();
+    assert.equal(memory.Y, 17);
+});
+
+test('CALC: Y=X²+1 with a squared sign stores into Y', () => {
+    const { CalcManager, Fraction } = page;
+    const calc = new CalcManager();
+    
+    calc.start('Y=X²+1');
+    assert.equal(calc.variables.join(','), 'X');
+    calc.submit('3');
+    assert.equal(Fraction.toNumber(calc.evaluate()), 10);
+    assert.equal(page.calculatorState.memory.Y, 10);
+});
+
+// ===========================
+// SOLVE
+// ===========================
+test('SOLVE: X^2=4 from initial value 1 finds X = 2 with L−R ≈ 0', () => {
+    const solver = new page.SolveManager();
+    
+    solver.start('X^2=4');
+    assert.equal(solver.getPrompt().variable, 'X');
+    assert.ok(solver.submit('1'));
+    
+    const result = solver.evaluate();
+    assertClose(result.root, 2, 1e-8);
+    assertClose(result.residual, 0, 1e-8);
+    assertClose(page.calculatorState.memory.X, 2, 1e-8);
+});
+
+test('SOLVE: rounding noise in L−R shows as 0', () => {
+    page.memoryManager.store('A', 2);
+    
+    // The root 2.9999999999999876 leaves L−R = -2.5×10⁻¹⁴
+    pressKeys(page, 'alpha (-) × alpha ) alpha CALC 6 shift CALC = = =');
+    assert.equal(displayLine(page, 'display-result'), 'X=3, L−R=0');
+});
+
+test('SOLVE: expression without = is solved for 0', () => {
+    const solver = new page.SolveManager();
+    
+    solver.start('X^2-4');
+    solver.submit('-3');
+    assertClose(solver.evaluate().root, -2, 1e-8);
+});
+
+test('SOLVE: falls back to a bracketing search where Newton stalls', () => {
+    const solver = new page.SolveManager();
+    
+    // Newton from 0 cycles between 0 and 1 on X³-2X+2 and never converges
+    solver.start('X^3-2X+2');
+    solver.submit('0');
+    assertClose(solver.evaluate().root, -1.769292354, 1e-8);
+});
+
+test('SOLVE: picks the unknown, then prompts for the others', () => {
+    const solver = new page.SolveManager();
+    
+    solver.start('A×B=12');
+    assert.equal(solver.getPrompt().variable, 'Solve for');
+    assert.equal(solver.getPrompt().value, 'A');
+    solver.submit('B');
+    assert.equal(solver.getPrompt().variable, 'A');
+    solver.submit('3');
+    assert.equal(solver.getPrompt().variable, 'B');
+    assert.ok(solver.submit('1'));
+    assertClose(solver.evaluate().root, 4, 1e-8);
+});
+
+test("SOLVE: no real root reports Can't Solve", () => {
+    const solver = new page.SolveManager();
+    
+    solver.start('X^2+1=0');
+    solver.submit('1');
+    assert.throws(() => solver.evaluate(), { message: "Can't Solve" });
+    assert.equal(page.calculatorState.memory.X, 1);
+});
+
+test('SOLVE: an equation without variables is rejected', () => {
+    assert.throws(() => new page.SolveManager().start('2+3=5'), /No variable/);
+});
+
+test('∫ inside a SOLVE equation leaves the outer X alone', () => {
+    page.memoryManager.store('X', 4);
+    
+    const solver = new page.SolveManager();
+    solver.start('∫(X,0,A)=2', { unknown: 'A' });
+    solver.submit('1');
+    const { root } = solver.evaluate();
+    
+    assertClose(root, 2, 1e-9);
+    assert.equal(page.calculatorState.memory.X, 4);
+});
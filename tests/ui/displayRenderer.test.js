@@ -0,0 +1,89 @@
+/**
+ * Display Renderer Tests (jsdom)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from '../helpers.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+/**
+ * Show an expression and a result the way the calculator would
+ */
+function display(expression, result) {
+    const state = page.calculatorState;
+    
+    state.inputBuffer = expression;
+    if (result !== undefined) {
+        state.lastResult = page.evaluateWithState(result, { exact: true });
+        state.lastAns = page.Fraction.toNumber(state.lastResult);
+    }
+    page.updateDisplay();
+    
+    return {
+        input: page.document.getElementById('display-input'),
+        result: page.document.getElementById('display-result')
+    };
+}
+
+test('Natural display: fractions, roots and powers are laid out in 2D', () => {
+    const { input } = display('2/3+√(2)+2^3');
+    
+    assert.equal(input.querySelector('.frac-num').textContent, '2');
+    assert.equal(input.querySelector('.frac-den').textContent, '3');
+    assert.equal(input.querySelector('.sqrt-content').textContent, '2');
+    assert.equal(input.querySelector('.power-base').textContent, '2');
+    assert.equal(input.querySelector('.power-exp').textContent, '3');
+});
+
+test('Natural display: missing operands show as empty boxes', () => {
+    const { input } = display('2+×');
+    assert.equal(input.textContent, '2+□×□');
+});
+
+test('Natural display: d/dx, ∫ and Σ get their own layout', () => {
+    assert.ok(display('d/dx(X^2,3)').input.querySelector('.eval-point'));
+    assert.ok(display('∫(X,0,1)').input.querySelector('[class^="integral-"]'));
+    assert.ok(display('Σ(X,X,1,5)').input.querySelector('[class^="series-"]'));
+});
+
+test('Result: exact forms render as fractions and surds, S⇔D as decimals', () => {
+    let { result } = display('', '1÷3+1÷6');
+    assert.equal(result.querySelector('.frac-num').textContent, '1');
+    assert.equal(result.querySelector('.frac-den').textContent, '2');
+    
+    ({ result } = display('', '√(8)'));
+    assert.equal(result.querySelector('.sqrt-content').textContent, '2');
+    
+    page.calculatorState.resultFormat = 'decimal';
+    ({ result } = display(''));
+    assert.equal(result.textContent, '2.828427125');
+});
+
+test('Result: SETUP display format and DMS display', () => {
+    const state = page.calculatorState;
+    
+    state.displayFormat = { mode: 'FIX', digits: 3 };
+    assert.equal(display('', 'e').result.textContent, '2.718');
+    
+    state.dmsDisplay = true;
+    assert.equal(display('', '1.5').result.textContent, '1°30°0°');
+});
+
+test('Result: CALC prompt shows the variable and its stored value', () => {
+    page.memoryManager.store('A', 3);
+    page.calcManager.start('A+1');
+    
+    const { input, result } = display('');
+    assert.equal(input.textContent.replace('▌', ''), 'A?');
+    assert.equal(result.textContent, '3');
+});
@@ -0,0 +1,125 @@
+/**
+ * EQN Mode Tests (jsdom)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose, loadPage } from '../helpers.js';
+import { pressKeys, displayLine } from '../keystrokes.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+test('MODE lists the modes and 7 opens the EQN type menu', () => {
+    pressKeys(page, 'mode');
+    assert.equal(displayLine(page, 'display-input'), '1:COMP 2:STAT 3:MATRIX 4:VECTOR 5:COMPLEX');
+    assert.equal(displayLine(page, 'display-result'), '6:BASE 7:EQN 8:INEQ 9:TABLE');
+    
+    pressKeys(page, '7');
+    assert.equal(page.calculatorState.mode, 'EQN');
+    assert.equal(displayLine(page, 'display-input'), '1:anX+bnY=cn 2:anX+bnY+cnZ=dn 3:aX²+bX+c=0');
+    assert.equal(displayLine(page, 'display-result'), '4:aX³+bX²+cX+d=0 5:aX⁴+bX³+cX²+dX+e=0');
+});
+
+test('The coefficient grid has a column per coefficient and a row per equation', () => {
+    pressKeys(page, 'mode 7 2');
+    
+    const headers = [...page.document.querySelectorAll('.grid-editor th')].map(th => th.textContent);
+    assert.deepEqual(headers, ['', 'a', 'b', 'c', 'd', '1', '2', '3']);
+    assert.equal(page.document.querySelectorAll('.grid-cell').length, 12);
+});
+
+test('The d-pad moves between coefficient cells', () => {
+    pressKeys(page, 'mode 7 2 ▼ ▼ ▶ ▶ ▶ ▶ 5 =');
+    
+    assert.deepEqual([...page.modeManager.modeData.EQN.coefficients[2]], [0, 0, 0, 5]);
+    
+    pressKeys(page, '▲');
+    assert.equal(page.gridEditor.getCell().row, 1);
+});
+
+test('= solves and shows X and Y one at a time', () => {
+    pressKeys(page, 'mode 7 1 2 = 3 = 8 = 1 = (-) 1 = 1 = =');
+    assert.equal(displayLine(page, 'display-input'), 'X=');
+    assert.equal(displayLine(page, 'display-result'), '2.2');
+    
+    pressKeys(page, '▼');
+    assert.equal(displayLine(page, 'display-input'), 'Y=');
+    assert.equal(displayLine(page, 'display-result'), '1.2');
+    
+    pressKeys(page, '▲');
+    assert.equal(displayLine(page, 'display-input'), 'X=');
+});
+
+test('= after the last solution returns to the coefficients', () => {
+    pressKeys(page, 'mode 7 2 1 = 1 = 1 = 6 = 2 = (-) 1 = 1 = 3 = 1 = 2 = (-) 1 = 2 = = = =');
+    assert.equal(displayLine(page, 'display-input'), 'Z=');
+    assertClose(page.calculatorState.solutions.values[2], 3, 1e-12);
+    
+    pressKeys(page, '=');
+    assert.equal(page.calculatorState.solutions, null);
+    assert.ok(page.gridEditor.isOpen());
+});
+
+test('Singular systems show Infinite Sol or No Solution, and AC returns to the coefficients', () => {
+    pressKeys(page, 'mode 7 1 1 = 1 = 2 = 2 = 2 = 4 = =');
+    assert.equal(page.calculatorState.error, 'Infinite Sol');
+    
+    pressKeys(page, 'ac ▲ ▶ ▶ 5 = =');
+    assert.equal(page.calculatorState.error, 'No Solution');
+    
+    pressKeys(page, 'ac');
+    assert.equal(page.calculatorState.error, null);
+    assert.ok(page.gridEditor.isOpen());
+});
+
+test('Switching mode leaves the coefficient editor', () => {
+    pressKeys(page, 'mode 7 1 mode 1');
+    assert.equal(page.gridEditor.isOpen(), false);
+    assert.equal(page.calculatorState.mode, 'Math');
+});
+
+test('A quadratic shows X1, X2, then the vertex', () => {
+    pressKeys(page, 'mode 7 3 1 = (-) 3 = 2 = =');
+    assert.equal(displayLine(page, 'display-input'), 'X1=');
+    assert.equal(displayLine(page, 'display-result'), '2');
+    
+    const shown = ['▼', '▼', '▼'].map(key => {
+        pressKeys(page, key);
+        return `${displayLine(page, 'display-input')}${displayLine(page, 'display-result')}`;
+    });
+    assert.deepEqual(shown, ['X2=1', 'X-Value Minimum=1.5', 'Y-Value Minimum=-0.25']);
+});
+
+test('Complex roots show as a+bi, or r∠θ with the COMPLEX format set to polar', () => {
+    pressKeys(page, 'mode 7 3 1 = 2 = 5 = =');
+    assert.equal(displayLine(page, 'display-result'), '-1+2i');
+    
+    pressKeys(page, '▼');
+    assert.equal(displayLine(page, 'display-result'), '-1-2i');
+    
+    page.modeManager.setComplexFormat('POLAR');
+    assert.equal(displayLine(page, 'display-result'), '2.236067977∠-116.5650512');
+});
+
+test('Cubic and quartic equations give one root per degree', () => {
+    pressKeys(page, 'mode 7 4 1 = 0 = 0 = (-) 1 = =');
+    assert.equal(page.calculatorState.solutions.labels.join(' '), 'X1 X2 X3');
+    assert.equal(displayLine(page, 'display-result'), '1');
+    
+    pressKeys(page, 'ac ac mode 7 5 1 = 0 = 0 = 0 = (-) 1 = = ▼ ▼');
+    assert.equal(page.calculatorState.solutions.labels.join(' '), 'X1 X2 X3 X4');
+    assert.equal(displayLine(page, 'display-result'), 'i');
+});
+
+test('A leading coefficient of 0 is a Math ERROR', () => {
+    pressKeys(page, 'mode 7 3 0 = 2 = 5 = =');
+    assert.equal(page.calculatorState.error, 'Math ERROR');
+});
@@ -0,0 +1,197 @@
+/**
+ * Graph Panel Tests (jsdom: no canvas drawing, but the plot, features and trace)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from '../helpers.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+function element(id) {
+    return page.document.getElementById(id);
+}
+
+/**
+ * Type expressions into the panel's input and commit them, as a change event does
+ */
+function plot(text) {
+    const input = element('graph-expressions');
+    input.value = text;
+    input.dispatchEvent(new page.Event('change'));
+}
+
+function featureList() {
+    return [...page.document.querySelectorAll('#graph-features li')].map(item => item.textContent);
+}
+
+function click(command) {
+    page.document.querySelector(`[data-graph="${command}"]`).click();
+}
+
+function keyOn(target, key) {
+    target.dispatchEvent(new page.KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+test('The panel sits next to the calculator', () => {
+    assert.ok(element('graph-panel'));
+    assert.equal(element('graph-canvas').tagName, 'CANVAS');
+    assert.deepEqual(featureList(), []);
+});
+
+test('Plotting lists roots and extrema', () => {
+    plot('X^2-2');
+    assert.deepEqual(featureList(), [
+        'Root Y1 X=-1.414213562 Y=0',
+        'Min Y1 X=0 Y=-2',
+        'Root Y1 X=1.414213562 Y=0'
+    ]);
+    assert.equal(element('graph-error').textContent, '');
+});
+
+test('Several expressions separated by ";" mark their intersections', () => {
+    plot('X^2; X+2');
+    
+    assert.deepEqual([...page.graphPanel.expressions], ['X^2', 'X+2']);
+    const intersections = featureList().filter(text => text.startsWith('Intersection'));
+    assert.deepEqual(intersections, ['Intersection Y1,Y2 X=-1 Y=1', 'Intersection Y1,Y2 X=2 Y=4']);
+});
+
+test('A mistyped expression shows Syntax ERROR and keeps the last graph', () => {
+    plot('X^2-2');
+    plot('X+');
+    
+    assert.equal(element('graph-error').textContent, 'Syntax ERROR');
+    assert.deepEqual([...page.graphPanel.expressions], ['X^2-2']);
+    assert.equal(featureList().length, 3);
+});
+
+test('The trace cursor reads out the curve; ◀/▶ move it, ▲/▼ change curve', () => {
+    plot('X^2; X+2');
+    page.graphPanel.traceTo(3);
+    assert.equal(element('graph-trace').textContent, 'Y1: X=3 Y=9');
+    
+    keyOn(element('graph-canvas'), 'ArrowDown');
+    assert.equal(element('graph-trace').textContent, 'Y2: X=3 Y=5');
+    
+    keyOn(element('graph-canvas'), 'ArrowRight');
+    // One step per sample: 20 units over the 360 px canvas
+    assert.equal(element('graph-trace').textContent, 'Y2: X=3.055555556 Y=5.055555556');
+    
+    keyOn(element('graph-canvas'), 'ArrowUp');
+    assert.equal(page.graphPanel.getTracePoint().curve, 0);
+});
+
+test('Tracing where the curve has no value reads ERROR', () => {
+    plot('1÷X');
+    page.graphPanel.traceTo(0);
+    assert.equal(element('graph-trace').textContent, 'Y1: X=0 Y=ERROR');
+});
+
+test('The buttons pan and zoom the view, and Reset restores it', () => {
+    plot('X^2-2');
+    
+    click('left');
+    assert.deepEqual({ ...page.graphPanel.view }, { xMin: -12, xMax: 8, yMin: -10, yMax: 10 });
+    click('up');
+    assert.deepEqual({ ...page.graphPanel.view }, { xMin: -12, xMax: 8, yMin: -8, yMax: 12 });
+    
+    click('reset');
+    click('zoom-in');
+    assert.deepEqual({ ...page.graphPanel.view }, { xMin: -8, xMax: 8, yMin: -8, yMax: 8 });
+    click('zoom-out');
+    assert.deepEqual({ ...page.graphPanel.view }, { xMin: -10, xMax: 10, yMin: -10, yMax: 10 });
+});
+
+test('Dragging the graph pans it; the wheel zooms about the pointer', () => {
+    const canvas = element('graph-canvas');
+    const mouse = (type, clientX, clientY) =>
+        canvas.dispatchEvent(new page.MouseEvent(type, { clientX, clientY, bubbles: true }));
+    
+    // 36 px right and down on a 360 px canvas: a tenth of the view
+    mouse('mousedown', 100, 100);
+    mouse('mousemove', 136, 136);
+    mouse('mouseup', 136, 136);
+    assert.deepEqual({ ...page.graphPanel.view }, { xMin: -12, xMax: 8, yMin: -8, yMax: 12 });
+    
+    click('reset');
+    canvas.dispatchEvent(new page.WheelEvent('wheel', { deltaY: -1, clientX: 360, clientY: 180 }));
+    assert.deepEqual({ ...page.graphPanel.view }, { xMin: -6, xMax: 10, yMin: -8, yMax: 8 });
+});
+
+test('The wheel redraws once per frame and finds the features once it stops', async () => {
+    plot('X^2-2');
+    const { features, curves } = page.graphPanel;
+    const wheel = () => element('graph-canvas').dispatchEvent(
+        new page.WheelEvent('wheel', { deltaY: -1, clientX: 180, clientY: 180 }));
+    
+    wheel();
+    wheel();
+    assert.deepEqual({ ...page.graphPanel.view }, { xMin: -6.4, xMax: 6.4, yMin: -6.4, yMax: 6.4 });
+    assert.equal(page.graphPanel.curves, curves);
+    assert.equal(page.graphPanel.features, features);
+    
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.notEqual(page.graphPanel.curves, curves);
+    assert.notEqual(page.graphPanel.features, features);
+});
+
+test('Curves are sampled once per view; tracing only redraws', () => {
+    plot('1÷X; X^2');
+    const curves = page.graphPanel.curves;
+    assert.equal(curves.length, 2);
+    assert.equal(curves[0].length, 2);
+    assert.equal(curves[1].length, 1);
+    
+    page.graphPanel.traceTo(1);
+    keyOn(element('graph-canvas'), 'ArrowRight');
+    assert.equal(page.graphPanel.curves, curves);
+    
+    click('right');
+    assert.notEqual(page.graphPanel.curves, curves);
+});
+
+test('Features follow the view', () => {
+    plot('X^2-2');
+    page.graphPanel.setView({ xMin: 1, xMax: 5, yMin: -5, yMax: 5 });
+    assert.deepEqual(featureList(), ['Root Y1 X=1.414213562 Y=0']);
+});
+
+test('Drawing far from the origin at a tiny scale finishes', () => {
+    // A canvas context that accepts every call, counting the grid lines
+    let lines = 0;
+    const context = new Proxy({}, {
+        get: (target, name) => {
+            if (name in target) return target[name];
+            return name === 'lineTo' ? () => { if (target.strokeStyle === '#e6e6e6') lines++; } : () => {};
+        },
+        set: (target, name, value) => { target[name] = value; return true; }
+    });
+    element('graph-canvas').getContext = () => context;
+    
+    plot('X');
+    lines = 0;
+    page.graphPanel.setView({ xMin: 1e16, xMax: 1e16 + 4, yMin: 1e16, yMax: 1e16 + 4 });
+    assert.equal(lines, 0);
+    
+    // Every 2 from -10 to 10, both ways
+    page.graphPanel.setView({ xMin: -10, xMax: 10, yMin: -10, yMax: 10 });
+    assert.equal(lines, 22);
+});
+
+test('Keys typed into the panel do not reach the calculator', () => {
+    keyOn(element('graph-expressions'), '5');
+    keyOn(element('graph-canvas'), 'ArrowLeft');
+    assert.equal(page.calculatorState.inputBuffer, '');
+    
+    keyOn(page.document.body, '5');
+    assert.equal(page.calculatorState.inputBuffer, '5');
+});
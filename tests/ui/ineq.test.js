@@ -0,0 +1,79 @@
+/**
+ * INEQ Mode Tests (jsdom)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from '../helpers.js';
+import { pressKeys, displayLine } from '../keystrokes.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+test('MODE 8 asks for the degree, then the operator', () => {
+    pressKeys(page, 'mode 8');
+    assert.equal(page.calculatorState.mode, 'INEQ');
+    assert.equal(displayLine(page, 'display-input'), '1:aX²+bX+c 2:aX³+bX²+cX+d');
+    assert.equal(displayLine(page, 'display-result'), '3:aX⁴+bX³+cX²+dX+e');
+    
+    pressKeys(page, '1');
+    assert.equal(displayLine(page, 'display-input'), '1:aX²+bX+c>0 2:aX²+bX+c<0');
+    assert.equal(displayLine(page, 'display-result'), '3:aX²+bX+c≥0 4:aX²+bX+c≤0');
+    
+    pressKeys(page, '3');
+    assert.ok(page.gridEditor.isOpen());
+    assert.equal(page.document.querySelectorAll('.grid-cell').length, 3);
+});
+
+test('The four operators on X²−3X+2', () => {
+    const solutions = ['1', '2', '3', '4'].map(operator => {
+        pressKeys(page, `mode 8 1 ${operator} 1 = (-) 3 = 2 = =`);
+        return `${displayLine(page, 'display-input')} ${displayLine(page, 'display-result')}`;
+    });
+    
+    assert.deepEqual(solutions, [
+        'aX²+bX+c>0 x<1, 2<x',
+        'aX²+bX+c<0 1<x<2',
+        'aX²+bX+c≥0 x≤1, 2≤x',
+        'aX²+bX+c≤0 1≤x≤2'
+    ]);
+});
+
+test('All Real Numbers, No Solution and a single point', () => {
+    pressKeys(page, 'mode 8 1 1 1 = 2 = 5 = =');
+    assert.equal(displayLine(page, 'display-result'), 'All Real Numbers');
+    
+    pressKeys(page, 'mode 8 1 2 1 = 2 = 5 = =');
+    assert.equal(displayLine(page, 'display-result'), 'No Solution');
+    
+    pressKeys(page, 'mode 8 1 4 1 = (-) 2 = 1 = =');
+    assert.equal(displayLine(page, 'display-result'), 'x=1');
+});
+
+test('A quartic inequality can have several intervals', () => {
+    pressKeys(page, 'mode 8 3 3 1 = 0 = (-) 5 = 0 = 4 = =');
+    assert.equal(displayLine(page, 'display-input'), 'aX⁴+bX³+cX²+dX+e≥0');
+    assert.equal(displayLine(page, 'display-result'), 'x≤-2, -1≤x≤1, 2≤x');
+});
+
+test('= or AC returns to the coefficients', () => {
+    pressKeys(page, 'mode 8 1 1 1 = (-) 3 = 2 = = =');
+    assert.equal(page.calculatorState.solutions, null);
+    assert.ok(page.gridEditor.isOpen());
+    
+    pressKeys(page, '= ac');
+    assert.equal(page.calculatorState.solutions, null);
+    assert.ok(page.gridEditor.isOpen());
+});
+
+test('A leading coefficient of 0 is a Math ERROR', () => {
+    pressKeys(page, 'mode 8 1 1 0 = 1 = 2 = =');
+    assert.equal(page.calculatorState.error, 'Math ERROR');
+});
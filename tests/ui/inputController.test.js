@@ -0,0 +1,151 @@
+/**
+ * Input Controller Tests (jsdom)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose, loadPage } from '../helpers.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+/**
+ * Press keys by their KEYMAP ids, separated by spaces
+ */
+function press(keys) {
+    keys.split(' ').forEach(id => page.handleKeyPress(id));
+}
+
+function displayText(id) {
+    return page.document.getElementById(id).textContent;
+}
+
+test('Keys build the input buffer and = shows the result', () => {
+    press('num1 div2 num3 plus num1 div2 num6');
+    assert.equal(page.calculatorState.inputBuffer, '1÷3+1÷6');
+    
+    press('equals');
+    assert.equal(page.calculatorState.inputBuffer, '');
+    assert.equal(page.calculatorState.lastAns, 0.5);
+    assert.equal(displayText('display-result'), '12');
+});
+
+test('SHIFT applies to one key, then turns off', () => {
+    press('shift');
+    assert.ok(page.calculatorState.shift);
+    
+    press('sin');
+    assert.equal(page.calculatorState.inputBuffer, 'sin⁻¹(');
+    assert.ok(!page.calculatorState.shift);
+});
+
+test('DEL removes the last character and AC clears the input', () => {
+    press('num1 num2 del');
+    assert.equal(page.calculatorState.inputBuffer, '1');
+    
+    press('plus num3 ac');
+    assert.equal(page.calculatorState.inputBuffer, '');
+});
+
+test('DEL removes a name typed by one key as a whole', () => {
+    press('num2 multiply ans del');
+    assert.equal(page.calculatorState.inputBuffer, '2×');
+    
+    press('log num1 del del');
+    assert.equal(page.calculatorState.inputBuffer, '2×');
+});
+
+test('An operator after = continues from Ans, but not in an entry prompt', () => {
+    press('num2 equals plus');
+    assert.equal(page.calculatorState.inputBuffer, 'Ans+');
+    
+    press('ac mode num7 num3 minus num1 equals');
+    assert.equal(page.modeManager.modeData.EQN.coefficients[0][0], -1);
+});
+
+test('The fraction key types an empty fraction; ▼ and ▲ move between its parts', () => {
+    press('frac num2');
+    assert.equal(page.calculatorState.inputBuffer, '(2)/()');
+    
+    page.handleArrowKey('down');
+    press('num3');
+    page.handleArrowKey('up');
+    press('num1');
+    assert.equal(page.calculatorState.inputBuffer, '(21)/(3)');
+    
+    press('equals');
+    assert.equal(page.calculatorState.lastAns, 7);
+});
+
+test('Errors show the error screen', () => {
+    press('num1 div2 num0 equals');
+    assert.equal(page.calculatorState.error, 'Math ERROR');
+    assert.equal(displayText('display-input'), 'Math ERROR');
+    assert.equal(displayText('display-result'), '[AC]:Cancel  [◀][▶]:Goto');
+});
+
+test('◀ on an error screen puts the cursor at the error', () => {
+    const state = page.calculatorState;
+    
+    press('num5 plus num1 div2 num0 equals');
+    page.handleArrowKey('left');
+    
+    assert.equal(state.error, null);
+    assert.equal(state.inputBuffer, '5+1÷0');
+    assert.equal(state.cursorPosition, 2);
+    assert.equal(page.cursorManager.getPosition(), 2);
+});
+
+test('The error position of an assignment counts from the whole input', () => {
+    const state = page.calculatorState;
+    
+    state.inputBuffer = 'Y=2+ln(0)';
+    page.handleEquals();
+    page.handleArrowKey('right');
+    
+    assert.equal(state.cursorPosition, 4);
+});
+
+test('An error screen ignores keys other than AC, ◀ and ▶', () => {
+    const state = page.calculatorState;
+    
+    press('num1 div2 num0 equals num7 del');
+    assert.equal(state.inputBuffer, '1÷0');
+    assert.equal(state.error, 'Math ERROR');
+    
+    press('ac');
+    assert.equal(state.inputBuffer, '');
+    assert.equal(state.error, null);
+});
+
+test('Pol( stores r and θ into X and Y', () => {
+    const state = page.calculatorState;
+    
+    state.inputBuffer = 'Pol(1,1)';
+    page.handleEquals();
+    
+    assertClose(state.memory.X, Math.SQRT2, 1e-12);
+    assertClose(page.memoryManager.recall('Y'), state.angleUnit === 'DEG' ? 45 : Math.PI / 4, 1e-12);
+    assertClose(state.lastAns, Math.SQRT2, 1e-12);
+    assert.equal(state.labeledResult.labels.join(','), 'r,θ');
+});
+
+test('SHIFT Pol( typed on the keypad shows both results', () => {
+    press('shift plus num3 shift rparen num4 rparen equals');
+    assert.equal(displayText('display-result'), 'r=5, θ=53.13010235');
+});
+
+test('Clicking a keypad button presses its key', () => {
+    const buttons = page.document.querySelectorAll('#keyboard button');
+    assert.equal(buttons.length, page.KEYMAP.flat().length);
+    
+    page.document.querySelector('[data-key="num7"]').click();
+    assert.equal(page.calculatorState.inputBuffer, '7');
+});
@@ -0,0 +1,66 @@
+/**
+ * Memory Tests (jsdom)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from '../helpers.js';
+import { pressKeys } from '../keystrokes.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+test('Memory store and recall', () => {
+    page.memoryManager.store('M', 42);
+    const result = page.memoryManager.recall('M');
+    assert.equal(result, 42);
+});
+
+test('Memory add', () => {
+    const { memoryManager } = page;
+    memoryManager.clear('M');
+    memoryManager.store('M', 10);
+    memoryManager.add('M', 5);
+    const result = memoryManager.recall('M');
+    assert.equal(result, 15);
+});
+
+test('createCalculator leaves the page memory and Ans alone', () => {
+    const state = page.calculatorState;
+    const pageMemory = { ...state.memory };
+    
+    const calc = page.createCalculator({ memory: { A: 5 } });
+    calc.evaluate('A+1');
+    
+    assert.equal(JSON.stringify(state.memory), JSON.stringify(pageMemory));
+    assert.equal(state.lastAns, 0);
+});
+
+test('= stores through the page memory, which saves it', () => {
+    page.calculatorState.inputBuffer = 'Y=3+4';
+    page.handleKeyPress('equals');
+    
+    assert.equal(page.memoryManager.recall('Y'), 7);
+    assert.equal(page.calculatorState.lastAns, 7);
+    assert.equal(JSON.parse(page.localStorage.getItem('casio_fx991es_plus_data')).memory.Y, 7);
+});
+
+test('STO waits for a variable key; a key without a variable cancels it', () => {
+    pressKeys(page, '5 shift RCL');
+    assert.equal(page.calculatorState.storing, true);
+    
+    pressKeys(page, '2');
+    assert.equal(page.calculatorState.storing, false);
+    assert.equal(page.calculatorState.inputBuffer, '5');
+    
+    pressKeys(page, 'shift RCL M+');
+    assert.equal(page.memoryManager.recall('M'), 5);
+    assert.equal(page.calculatorState.lastAns, 5);
+});
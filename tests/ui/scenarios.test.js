@@ -0,0 +1,73 @@
+/**
+ * Keystroke Scenario Tests (jsdom)
+ * Runs the manual's worked examples through handleKeyPress, plus checks on the DSL itself
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from '../helpers.js';
+import { parseKeys, pressKeys, displayText, runScenario } from '../keystrokes.js';
+import { MANUAL_SCENARIOS } from '../scenarios/manual.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+// ===========================
+// Scenario DSL
+// ===========================
+
+test('Key ids, labels and arrows all resolve', () => {
+    assert.deepEqual(parseKeys('shift sin 0.5 ) = ▲ left', page.KEYMAP), [
+        { key: 'shift' },
+        { key: 'sin' },
+        { key: 'num0' },
+        { key: 'dot' },
+        { key: 'num5' },
+        { key: 'rparen' },
+        { key: 'equals' },
+        { arrow: 'up' },
+        { arrow: 'left' }
+    ]);
+});
+
+test('÷ is the arithmetic ÷ key, not SHIFT ∫', () => {
+    assert.deepEqual(parseKeys('÷ divide', page.KEYMAP), [{ key: 'div2' }, { key: 'divide' }]);
+});
+
+test('Unknown keys are reported', () => {
+    assert.throws(() => parseKeys('2 ! =', page.KEYMAP), /Unknown key: !/);
+});
+
+test('Display text writes fractions and roots linearly', () => {
+    pressKeys(page, '1 ÷ 3 + 1 ÷ 6 =');
+    assert.equal(displayText(page.document.getElementById('display-result')), '1/2');
+    
+    pressKeys(page, 'shift √ 3 ) 8 =');
+    assert.equal(displayText(page.document.getElementById('display-result')), '8√3');
+});
+
+test('A failed expectation names what differed', () => {
+    assert.throws(
+        () => runScenario(page, { keys: '1 + 1 =', display: '3' }),
+        /result line/
+    );
+});
+
+// ===========================
+// User's Guide Examples
+// ===========================
+
+describe('fx-991ES PLUS User\'s Guide', () => {
+    MANUAL_SCENARIOS.forEach(scenario => {
+        test(scenario.name, { todo: scenario.todo }, () => {
+            runScenario(page, scenario);
+        });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * SETUP Menu Tests (jsdom)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from '../helpers.js';
+import { pressKeys, displayLine } from '../keystrokes.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+test('SHIFT MODE opens the SETUP menu', () => {
+    pressKeys(page, 'shift mode');
+    assert.equal(displayLine(page, 'display-input'), '2:Angle 3:Fix/Sci/Norm');
+    assert.equal(displayLine(page, 'display-result'), '5:EngSym 6:CMPLX');
+    assert.equal(page.calculatorState.shift, false);
+});
+
+test('SETUP 3 Fix 3 rounds results to 3 decimals', () => {
+    pressKeys(page, 'shift mode 3');
+    assert.equal(displayLine(page, 'display-input'), '1:Fix 2:Sci');
+    assert.equal(displayLine(page, 'display-result'), '3:Norm');
+    
+    pressKeys(page, '1');
+    assert.equal(displayLine(page, 'display-input'), 'Fix 0~9?');
+    
+    pressKeys(page, '3');
+    assert.deepEqual({ ...page.calculatorState.displayFormat }, { mode: 'FIX', digits: 3 });
+    assert.equal(page.menuManager.isOpen(), false);
+    
+    pressKeys(page, '1 ÷ 3 = sd');
+    assert.equal(displayLine(page, 'display-result'), '0.333');
+});
+
+test('Sci 0 means 10 digits and Norm takes 1 or 2', () => {
+    pressKeys(page, 'shift mode 3 2 0');
+    assert.deepEqual({ ...page.calculatorState.displayFormat }, { mode: 'SCI', digits: 10 });
+    
+    pressKeys(page, 'shift mode 3 3 5');
+    assert.equal(page.menuManager.isOpen(), true);
+    pressKeys(page, '2');
+    assert.deepEqual({ ...page.calculatorState.displayFormat }, { mode: 'NORM', digits: 2 });
+});
+
+test('SETUP 2 sets the angle unit', () => {
+    pressKeys(page, 'shift mode 2 2');
+    assert.equal(page.calculatorState.angleUnit, 'RAD');
+});
+
+test('SETUP 5 turns Engineer Symbol on and off', () => {
+    pressKeys(page, 'shift mode 5');
+    assert.equal(displayLine(page, 'display-input'), 'Engineer Symbol');
+    assert.equal(displayLine(page, 'display-result'), '1:On 2:Off');
+    
+    pressKeys(page, '1 4 7 0 0 =');
+    assert.equal(page.calculatorState.engSymbols, true);
+    assert.equal(displayLine(page, 'display-result'), '4.7k');
+    
+    pressKeys(page, 'shift mode 5 2 4 7 0 0 =');
+    assert.equal(page.calculatorState.engSymbols, false);
+    assert.equal(displayLine(page, 'display-result'), '4700');
+});
+
+test('SETUP 6 shows complex roots as r∠θ or a+bi', () => {
+    pressKeys(page, 'shift mode 6');
+    assert.equal(displayLine(page, 'display-input'), '1:a+bi');
+    assert.equal(displayLine(page, 'display-result'), '2:r∠θ');
+    
+    pressKeys(page, '2 mode 7 3 1 = 2 = 5 = =');
+    assert.equal(page.modeManager.modeData.COMPLEX.format, 'POLAR');
+    assert.equal(displayLine(page, 'display-result'), '2.236067977∠116.5650512');
+    
+    pressKeys(page, 'ac ac shift mode 6 1 mode 7 3 1 = 2 = 5 = =');
+    assert.equal(displayLine(page, 'display-result'), '-1+2i');
+});
+
+test('AC leaves the SETUP menu unchanged', () => {
+    pressKeys(page, 'shift mode 3 1 ac');
+    assert.equal(page.menuManager.isOpen(), false);
+    assert.deepEqual({ ...page.calculatorState.displayFormat }, { mode: 'NORM', digits: 1 });
+});
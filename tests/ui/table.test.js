@@ -0,0 +1,103 @@
+/**
+ * TABLE Mode Tests (jsdom)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from '../helpers.js';
+import { pressKeys, displayLine } from '../keystrokes.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+/**
+ * The rows on the display, as text per cell
+ */
+function shownRows() {
+    return [...page.document.querySelectorAll('.grid-editor tr')].slice(1)
+        .map(row => [...row.children].map(cell => cell.textContent));
+}
+
+test('MODE 9 prompts for f(X), g(X), Start, End and Step', () => {
+    pressKeys(page, 'mode 9');
+    assert.equal(page.calculatorState.mode, 'TABLE');
+    assert.equal(displayLine(page, 'display-input'), 'f(X)=');
+    
+    const prompts = ['alpha ) xʸ 2 )', '', '', '', ''].map(keys => {
+        const shown = `${displayLine(page, 'display-input')}|${displayLine(page, 'display-result')}`;
+        pressKeys(page, `${keys} =`);
+        return shown;
+    });
+    assert.deepEqual(prompts, ['f(X)=|', 'g(X)=|', 'Start?|1', 'End?|5', 'Step?|1']);
+    
+    assert.ok(page.gridEditor.isOpen());
+});
+
+test('The table shows three rows at a time and scrolls with ▼/▲', () => {
+    pressKeys(page, 'mode 9 alpha ) xʸ 2 ) = = = = =');
+    assert.deepEqual(shownRows(), [['1', '1', '1'], ['2', '2', '4'], ['3', '3', '9']]);
+    assert.equal(displayLine(page, 'display-result'), '1');
+    
+    pressKeys(page, '▼ ▼ ▼ ▼');
+    assert.deepEqual(shownRows().map(row => row[0]), ['3', '4', '5']);
+    assert.equal(displayLine(page, 'display-result'), '5');
+    
+    pressKeys(page, '▲ ▲ ▲');
+    assert.deepEqual(shownRows().map(row => row[0]), ['2', '3', '4']);
+});
+
+test('g(X), Start, End and Step; cells without a value show ERROR', () => {
+    pressKeys(page, 'mode 9 alpha ) xʸ 2 ) = 1 ÷ alpha ) = (-) 1 = 1 = 1 =');
+    
+    const headers = [...page.document.querySelectorAll('.grid-editor th')].slice(0, 4).map(th => th.textContent);
+    assert.deepEqual(headers, ['', 'X', 'f(X)', 'g(X)']);
+    assert.deepEqual(shownRows(), [['1', '-1', '1', '-1'], ['2', '0', '0', 'ERROR'], ['3', '1', '1', '1']]);
+    
+    pressKeys(page, '▼ ▶ ▶');
+    assert.equal(displayLine(page, 'display-result'), 'ERROR');
+});
+
+test('Editing an X cell recalculates its row; f(X) cells take no entries', () => {
+    pressKeys(page, 'mode 9 alpha ) xʸ 2 ) = = = = = ▼ 7 =');
+    assert.deepEqual(shownRows()[1], ['2', '7', '49']);
+    assert.equal(page.gridEditor.getCell().row, 2);
+    
+    pressKeys(page, '▶ 5 =');
+    assert.deepEqual(shownRows()[2], ['3', '3', '9']);
+});
+
+test('Too many rows is Insufficient MEM', () => {
+    pressKeys(page, 'mode 9 alpha ) = = 1 = 100 = 1 =');
+    assert.equal(page.calculatorState.error, 'Insufficient MEM');
+});
+
+test('A blank or mistyped f(X) is a Syntax ERROR', () => {
+    pressKeys(page, 'mode 9 =');
+    assert.equal(page.calculatorState.error, 'Syntax ERROR');
+    
+    pressKeys(page, 'ac alpha ) + =');
+    assert.equal(page.calculatorState.error, 'Syntax ERROR');
+});
+
+test('AC goes back to f(X)= with the function to edit', () => {
+    pressKeys(page, 'mode 9 alpha ) xʸ 2 ) = = = = = ac');
+    assert.equal(page.gridEditor.isOpen(), false);
+    assert.equal(displayLine(page, 'display-input'), 'f(X)=X^2');
+    assert.equal(page.calculatorState.inputBuffer, 'X^(2)');
+    
+    pressKeys(page, '= = = = =');
+    assert.ok(page.gridEditor.isOpen());
+});
+
+test('Leaving TABLE mode drops the prompts and the table', () => {
+    pressKeys(page, 'mode 9 mode 1');
+    assert.equal(page.tableManager.isPrompting(), false);
+    assert.equal(displayLine(page, 'display-input'), '');
+});
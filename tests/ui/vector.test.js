@@ -0,0 +1,101 @@
+/**
+ * VECTOR Mode Tests (jsdom)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertClose, loadPage } from '../helpers.js';
+import { pressKeys, displayLine } from '../keystrokes.js';
+
+let page;
+
+beforeEach(() => {
+    page = loadPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+/**
+ * Dimension and fill a vector memory (1 = VctA, 2 = VctB, 3 = VctC): SHIFT 5 enters
+ * VECTOR mode, which asks for the vector; once in it, SHIFT 5 1 (Dim) asks again
+ */
+function enterVector(number, components) {
+    const dim = page.modeManager.isMode('VECTOR') ? 'shift 5 1' : 'shift 5';
+    const dimension = components.length === 3 ? 1 : 2;
+    pressKeys(page, `${dim} ${number} ${dimension} ${components.map(value => `${value} =`).join(' ')} ac`);
+}
+
+test('Entering VECTOR mode asks for a vector, then its dimension', () => {
+    pressKeys(page, 'shift 5');
+    assert.equal(page.calculatorState.mode, 'VECTOR');
+    assert.equal(displayLine(page, 'display-input'), 'Vector?');
+    assert.equal(displayLine(page, 'display-result'), '1:VctA 2:VctB 3:VctC');
+    
+    pressKeys(page, '2');
+    assert.equal(displayLine(page, 'display-input'), 'VctB(m) m?');
+    
+    pressKeys(page, '2');
+    assert.deepEqual(page.calculatorState.vectors.VctB.toArray(), [0, 0]);
+    assert.ok(page.gridEditor.isOpen());
+});
+
+test('The editor stores each entry and moves to the next cell', () => {
+    pressKeys(page, 'shift 5 1 1 2 = 1 ÷ 2 =');
+    
+    assert.deepEqual(page.calculatorState.vectors.VctA.toArray(), [2, 0.5, 0]);
+    assert.equal(page.gridEditor.getCell().col, 2);
+    
+    pressKeys(page, '◀ ◀ ▶');
+    assert.equal(page.gridEditor.getCell().col, 1);
+    assert.equal(displayLine(page, 'display-result'), '0.5');
+    assert.equal(page.document.querySelector('.grid-cell-active').textContent, '0.5');
+    
+    pressKeys(page, '7 =');
+    assert.deepEqual(page.calculatorState.vectors.VctA.toArray(), [2, 7, 0]);
+    
+    pressKeys(page, 'ac');
+    assert.equal(page.gridEditor.isOpen(), false);
+});
+
+test('The VECTOR menu inserts vector names and Dot', () => {
+    enterVector(1, [1, 2, 3]);
+    enterVector(2, [4, 5, 6]);
+    
+    pressKeys(page, 'shift 5');
+    assert.equal(displayLine(page, 'display-input'), '1:Dim 2:Data 3:VctA 4:VctB 5:VctC');
+    assert.equal(displayLine(page, 'display-result'), '6:VctAns 7:Dot 8:Angle 9:UnitV');
+    
+    pressKeys(page, '3 shift 5 7 shift 5 4');
+    assert.equal(page.calculatorState.inputBuffer, 'VctA•VctB');
+    
+    pressKeys(page, '=');
+    assert.equal(page.calculatorState.lastAns, 32);
+});
+
+test('Vector results show their components and become VctAns', () => {
+    enterVector(1, [1, 2, 3]);
+    enterVector(2, [4, 5, 6]);
+    
+    pressKeys(page, 'shift 5 3 × shift 5 4 =');
+    assert.equal(displayLine(page, 'display-result'), '[-3, 6, -3]');
+    assert.deepEqual(page.calculatorState.vectors.VctAns.toArray(), [-3, 6, -3]);
+    
+    pressKeys(page, 'shift hyp shift 5 6 ) =');
+    assertClose(page.calculatorState.lastAns, Math.sqrt(54), 1e-12);
+});
+
+test('Data on a vector with no dimension asks for one', () => {
+    pressKeys(page, 'shift 5 1 1 ac shift 5 2 3');
+    assert.equal(page.calculatorState.vectors.VctC, null);
+    assert.equal(displayLine(page, 'display-input'), 'VctC(m) m?');
+});
+
+test('Mismatched dimensions show Dimension ERROR', () => {
+    enterVector(1, [1, 2, 3]);
+    enterVector(2, [1, 2]);
+    
+    pressKeys(page, 'shift 5 3 + shift 5 4 =');
+    assert.equal(page.calculatorState.error, 'Dimension ERROR');
+});